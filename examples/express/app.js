@@ -7,7 +7,12 @@ app.use(
   honey({
     writeKey: process.env["HONEYCOMB_API_KEY"],
     // proxy: "http://localhost:3128",
-    dataset: "express-example"
+    dataset: "express-example",
+    // query strings and headers can carry credentials and personal data
+    redact: {
+      denyFields: ["query.token", "query.password"],
+      patterns: ["email", "jwt", "creditCard", "bearer"]
+    }
   })
 );
 
@@ -5,22 +5,38 @@ const replace = require("@rollup/plugin-replace");
 const json = require("@rollup/plugin-json");
 const pkg = require("./package.json");
 
-module.exports = {
-  input: "src/libhoney.js",
-  external: ["superagent", "events", "path", "url"],
+const plugins = (resolveOptions) => [
+  nodeResolve(resolveOptions),
+  commonjs(),
+  json(),
+  replace({
+    delimiters: ["<@", "@>"],
+    LIBHONEY_JS_VERSION: pkg.version,
+  }),
+  replace({
+    "process.env.LIBHONEY_TARGET": '"browser"',
+  }),
+];
 
-  plugins: [
-    nodeResolve(),
-    commonjs(),
-    json(),
-    replace({
-      delimiters: ["<@", "@>"],
-      LIBHONEY_JS_VERSION: pkg.version,
-    }),
-    replace({
-      "process.env.LIBHONEY_TARGET": '"browser"',
-    }),
-  ],
-
-  output: [{ file: pkg.browser, format: "cjs" }],
-};
+module.exports = [
+  {
+    input: "src/libhoney.js",
+    external: ["superagent", "events", "path", "url"],
+    plugins: plugins(),
+    output: [{ file: pkg.browser, format: "cjs" }],
+  },
+  {
+    // the script the "worker" transmission loads into a Web Worker.  it's loaded by URL rather
+    // than bundled by the app, so it brings its dependencies along.
+    input: "src/worker.js",
+    plugins: plugins({ browser: true }),
+    output: [
+      {
+        file: "dist/libhoney.worker.browser.js",
+        format: "iife",
+        // there's no bundler to shim `process` for us here.
+        intro: 'var process = { env: {}, version: "" };',
+      },
+    ],
+  },
+];
@@ -5,25 +5,45 @@ const replace = require("@rollup/plugin-replace");
 const json = require("@rollup/plugin-json");
 const pkg = require("./package.json");
 
-module.exports = {
-  input: "src/libhoney.js",
-  external: ["superagent", "events", "path", "url", "proxy-agent"],
+const external = [
+  "superagent",
+  "events",
+  "path",
+  "url",
+  "proxy-agent",
+  "zlib",
+  "fs",
+  "worker_threads",
+];
 
-  plugins: [
-    nodeResolve(),
-    commonjs(),
-    json(),
-    replace({
-      delimiters: ["<@", "@>"],
-      LIBHONEY_JS_VERSION: pkg.version,
-    }),
-    replace({
-      "process.env.LIBHONEY_TARGET": '"node"',
-    }),
-  ],
+const plugins = [
+  nodeResolve(),
+  commonjs(),
+  json(),
+  replace({
+    delimiters: ["<@", "@>"],
+    LIBHONEY_JS_VERSION: pkg.version,
+  }),
+  replace({
+    "process.env.LIBHONEY_TARGET": '"node"',
+  }),
+];
 
-  output: [
-    { file: pkg.main, format: "cjs" },
-    { file: pkg.module, format: "es" },
-  ],
-};
+module.exports = [
+  {
+    input: "src/libhoney.js",
+    external,
+    plugins,
+    output: [
+      { file: pkg.main, format: "cjs" },
+      { file: pkg.module, format: "es" },
+    ],
+  },
+  {
+    // the script the "worker" transmission runs in a worker thread.
+    input: "src/worker.js",
+    external,
+    plugins,
+    output: [{ file: "dist/libhoney.worker.js", format: "cjs" }],
+  },
+];
@@ -1 +1,8 @@
+/* eslint-env node */
 import "regenerator-runtime/runtime";
+
+// libhoney reads its configuration from these, which shouldn't leak in from the shell running
+// the tests.
+Object.keys(process.env)
+  .filter(name => /^(HONEYCOMB_|(HTTPS?|NO)_PROXY$)/i.test(name))
+  .forEach(name => delete process.env[name]);
@@ -0,0 +1,53 @@
+/* eslint-env node, jest */
+import { compressBody } from "../compression";
+
+import zlib from "zlib";
+
+describe("compressBody", () => {
+  const body = JSON.stringify([{ data: { a: 1, b: 2 } }]);
+
+  it("leaves the body alone with no compression", async () => {
+    for (let compression of [undefined, "none"]) {
+      let result = await compressBody(body, compression);
+      expect(result.body).toBe(body);
+      expect(result.contentEncoding).toBeUndefined();
+    }
+  });
+
+  it("gzips the body", async () => {
+    let result = await compressBody(body, "gzip");
+    expect(result.contentEncoding).toEqual("gzip");
+    expect(zlib.gunzipSync(result.body).toString()).toEqual(body);
+  });
+
+  it("deflates the body", async () => {
+    let result = await compressBody(body, "deflate");
+    expect(result.contentEncoding).toEqual("deflate");
+    expect(zlib.inflateSync(result.body).toString()).toEqual(body);
+  });
+
+  describe("in the browser", () => {
+    let compressionStream = global.CompressionStream;
+    beforeEach(() => (process.env.LIBHONEY_TARGET = "browser"));
+    afterEach(() => {
+      process.env.LIBHONEY_TARGET = "";
+      global.CompressionStream = compressionStream;
+    });
+
+    it("falls back to no compression without CompressionStream", async () => {
+      delete global.CompressionStream;
+      let result = await compressBody(body, "gzip");
+      expect(result.body).toBe(body);
+      expect(result.contentEncoding).toBeUndefined();
+    });
+
+    it("falls back to no compression if CompressionStream fails", async () => {
+      global.CompressionStream = function() {
+        throw new Error("unsupported format");
+      };
+      let result = await compressBody(body, "gzip");
+      expect(result.body).toBe(body);
+      expect(result.contentEncoding).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,60 @@
+/* eslint-env node, jest */
+import { createContext } from "../context";
+
+const tick = () => new Promise((resolve) => setTimeout(resolve, 1));
+
+describe("context", () => {
+  afterEach(() => {
+    delete process.env.LIBHONEY_TARGET;
+  });
+
+  it("follows async call trees in node", async () => {
+    let context = createContext();
+    expect(context.active()).toBeUndefined();
+
+    let seen = [];
+    let work = (value) =>
+      context.run(value, async () => {
+        await tick();
+        seen.push([value, context.active()]);
+      });
+    await Promise.all([work("a"), work("b")]);
+
+    expect(seen.sort()).toEqual([
+      ["a", "a"],
+      ["b", "b"],
+    ]);
+    expect(context.active()).toBeUndefined();
+  });
+
+  it("falls back to synchronous scopes in browsers", async () => {
+    process.env.LIBHONEY_TARGET = "browser";
+    let context = createContext();
+
+    let inner;
+    let result = context.run("outer", () => {
+      context.run("inner", () => (inner = context.active()));
+      return context.active();
+    });
+    expect(inner).toEqual("inner");
+    expect(result).toEqual("outer");
+    expect(context.active()).toBeUndefined();
+
+    let later = context.run("scoped", async () => {
+      await tick();
+      return context.active();
+    });
+    expect(await later).toBeUndefined();
+  });
+
+  it("unwinds synchronous scopes when functions throw", () => {
+    process.env.LIBHONEY_TARGET = "browser";
+    let context = createContext();
+    expect(() =>
+      context.run("scoped", () => {
+        throw new Error("oops");
+      })
+    ).toThrow("oops");
+    expect(context.active()).toBeUndefined();
+  });
+});
@@ -0,0 +1,155 @@
+/* eslint-env node, jest */
+import { noProxyMatches, optionsFromEnv } from "../env";
+import libhoney from "../libhoney";
+
+const apiHost = "https://api.honeycomb.io/";
+
+describe("env", () => {
+  let logger;
+  beforeEach(() => {
+    logger = { error: jest.fn(), warn: jest.fn() };
+  });
+
+  it("maps HONEYCOMB_ variables to options", () => {
+    expect(
+      optionsFromEnv(
+        {
+          apiHost,
+          env: {
+            HONEYCOMB_API_KEY: "abc123",
+            HONEYCOMB_DATASET: "my-service",
+            HONEYCOMB_API_ENDPOINT: "https://api.eu1.honeycomb.io",
+            HONEYCOMB_SAMPLE_RATE: "20",
+            HONEYCOMB_BATCH_SIZE: "100",
+            HONEYCOMB_BATCH_TIME_MS: "0",
+            HONEYCOMB_MAX_CONCURRENT_BATCHES: "4",
+            HONEYCOMB_PENDING_WORK_CAPACITY: "500",
+            HONEYCOMB_MAX_BATCH_BYTES: "1000000",
+            HONEYCOMB_TIMEOUT_MS: "2000",
+            HONEYCOMB_MAX_RETRIES: "3",
+            HONEYCOMB_UNKNOWN: "ignored",
+          },
+        },
+        logger
+      )
+    ).toEqual({
+      writeKey: "abc123",
+      dataset: "my-service",
+      apiHost: "https://api.eu1.honeycomb.io",
+      sampleRate: 20,
+      batchSizeTrigger: 100,
+      batchTimeTrigger: 0,
+      maxConcurrentBatches: 4,
+      pendingWorkCapacity: 500,
+      maxBatchBytes: 1000000,
+      timeout: 2000,
+      maxRetries: 3,
+    });
+    expect(logger.warn).not.toHaveBeenCalled();
+  });
+
+  it("ignores unset and empty variables, or env: false", () => {
+    expect(optionsFromEnv({ apiHost, env: { HONEYCOMB_DATASET: " " } }, logger)).toEqual({});
+    expect(optionsFromEnv({ apiHost, env: false }, logger)).toEqual({});
+  });
+
+  it("reports and ignores invalid values", () => {
+    expect(
+      optionsFromEnv(
+        {
+          apiHost,
+          env: {
+            HONEYCOMB_SAMPLE_RATE: "ten",
+            HONEYCOMB_BATCH_SIZE: "0",
+            HONEYCOMB_MAX_RETRIES: "-1",
+            HONEYCOMB_API_ENDPOINT: "api.honeycomb.io",
+            HONEYCOMB_DATASET: "ok",
+          },
+        },
+        logger
+      )
+    ).toEqual({ dataset: "ok" });
+    expect(logger.warn.mock.calls.map(([message]) => message)).toEqual([
+      'ignoring HONEYCOMB_API_ENDPOINT="api.honeycomb.io": must be a URL.',
+      'ignoring HONEYCOMB_SAMPLE_RATE="ten": must be a positive integer.',
+      'ignoring HONEYCOMB_BATCH_SIZE="0": must be a positive integer.',
+      'ignoring HONEYCOMB_MAX_RETRIES="-1": must be a non-negative integer.',
+    ]);
+  });
+
+  it("picks the proxy by the apiHost's protocol", () => {
+    let env = {
+      "https_proxy": "http://secure-proxy:3128",
+      HTTP_PROXY: "http://plain-proxy:3128",
+    };
+    expect(optionsFromEnv({ apiHost, env }, logger)).toEqual({
+      proxy: "http://secure-proxy:3128",
+    });
+    expect(
+      optionsFromEnv({ apiHost: "http://localhost:8080", env }, logger)
+    ).toEqual({ proxy: "http://plain-proxy:3128" });
+    expect(
+      optionsFromEnv({ apiHost, env: { HTTPS_PROXY: "not a url" } }, logger)
+    ).toEqual({});
+    expect(logger.warn).toHaveBeenCalledWith(
+      'ignoring HTTPS_PROXY="not a url": must be a URL.'
+    );
+  });
+
+  it("leaves a proxy passed in code alone", () => {
+    let env = { HTTPS_PROXY: "http://env-proxy:3128", NO_PROXY: "*" };
+    let given = { proxy: "http://code-proxy:3128" };
+    expect(
+      optionsFromEnv(Object.assign({ apiHost, env }, given), logger, given)
+    ).toEqual({});
+  });
+
+  it("skips the proxy for NO_PROXY hosts", () => {
+    let env = {
+      HTTPS_PROXY: "http://proxy:3128",
+      NO_PROXY: "localhost, .honeycomb.io",
+    };
+    expect(optionsFromEnv({ apiHost, proxy: "http://code-proxy", env }, logger)).toEqual({
+      proxy: undefined,
+    });
+
+    expect(noProxyMatches("*", apiHost)).toBe(true);
+    expect(noProxyMatches("honeycomb.io", apiHost)).toBe(true);
+    expect(noProxyMatches("*.honeycomb.io", apiHost)).toBe(true);
+    expect(noProxyMatches("api.honeycomb.io:443", apiHost)).toBe(true);
+    expect(noProxyMatches("api.honeycomb.io:8080", apiHost)).toBe(false);
+    expect(noProxyMatches("eycomb.io,example.com", apiHost)).toBe(false);
+  });
+
+  it("only fills in options not passed in code", () => {
+    let honey = new libhoney({
+      writeKey: "from-code",
+      sampleRate: 5,
+      transmission: "mock",
+      logger,
+      env: {
+        HONEYCOMB_API_KEY: "from-env",
+        HONEYCOMB_DATASET: "from-env",
+        HONEYCOMB_SAMPLE_RATE: "bad",
+        HONEYCOMB_BATCH_SIZE: "7",
+      },
+    });
+    expect(honey.writeKey).toEqual("from-code");
+    expect(honey.dataset).toEqual("from-env");
+    expect(honey.sampleRate).toEqual(5);
+    expect(honey.transmission.constructorArg.batchSizeTrigger).toEqual(7);
+    expect(logger.warn).toHaveBeenCalledWith(
+      'ignoring HONEYCOMB_SAMPLE_RATE="bad": must be a positive integer.'
+    );
+  });
+
+  it("reads process.env by default", () => {
+    process.env.HONEYCOMB_DATASET = "from-process-env";
+    try {
+      let honey = new libhoney({ writeKey: "12345", transmission: "mock" });
+      expect(honey.dataset).toEqual("from-process-env");
+    } finally {
+      delete process.env.HONEYCOMB_DATASET;
+    }
+  });
+});
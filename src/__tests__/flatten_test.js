@@ -0,0 +1,78 @@
+/* eslint-env node, jest */
+import { flattenFields, resolveFlattenOptions } from "../flatten";
+
+const flatten = (data, options) =>
+  flattenFields(data, resolveFlattenOptions(options || true));
+
+describe("flattenFields", () => {
+  it("flattens nested objects into dotted keys", () => {
+    expect(
+      flatten({ route: "/", params: { id: 1, user: { name: "a" } }, empty: {} })
+    ).toEqual({
+      route: "/",
+      "params.id": 1,
+      "params.user.name": "a",
+      empty: {},
+    });
+  });
+
+  it("uses the configured separator", () => {
+    expect(flatten({ a: { b: 1 } }, { separator: "/" })).toEqual({ "a/b": 1 });
+  });
+
+  it("stops at maxDepth, keeping deeper objects as JSON", () => {
+    expect(flatten({ a: { b: { c: { d: 1 } } } }, { maxDepth: 2 })).toEqual({
+      "a.b": '{"c":{"d":1}}',
+    });
+  });
+
+  it("handles arrays as configured", () => {
+    let data = { tags: ["x", "y"], items: [{ id: 1 }] };
+    expect(flatten(data)).toEqual({
+      tags: '["x","y"]',
+      items: '[{"id":1}]',
+    });
+    expect(flatten(data, { arrays: "join" })).toEqual({
+      tags: "x,y",
+      items: '{"id":1}',
+    });
+    expect(flatten(data, { arrays: "index" })).toEqual({
+      "tags.0": "x",
+      "tags.1": "y",
+      "items.0.id": 1,
+    });
+  });
+
+  it("keeps objects whole rather than going over maxColumns", () => {
+    let wide = {};
+    for (let i = 0; i < 10; i++) {
+      wide[`k${i}`] = i;
+    }
+    let flattened = flatten(
+      { a: 1, small: { x: 1, y: 2 }, wide },
+      { maxColumns: 5 }
+    );
+    expect(flattened).toEqual({
+      a: 1,
+      "small.x": 1,
+      "small.y": 2,
+      wide: JSON.stringify(wide),
+    });
+    expect(Object.keys(flattened).length).toBeLessThanOrEqual(5);
+  });
+
+  it("leaves non-plain objects alone", () => {
+    let date = new Date(0);
+    expect(flatten({ when: date })).toEqual({ when: date });
+  });
+
+  it("warns about unknown array modes", () => {
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+    expect(resolveFlattenOptions({ arrays: "explode" }).arrays).toEqual(
+      "stringify"
+    );
+    expect(console.warn).toHaveBeenCalled();
+    console.warn.mockRestore();
+    expect(resolveFlattenOptions(false)).toBeUndefined();
+  });
+});
@@ -0,0 +1,128 @@
+/* eslint-env node, jest */
+import { decode, encode } from "../msgpack";
+import { fetchClient, resolveHttpClient, superagentClient } from "../http_client";
+
+import http from "http";
+
+// global fetch, and closing the connections it keeps alive, need node 18.2 or later.
+const withFetch =
+  typeof fetch === "function" &&
+  typeof http.Server.prototype.closeAllConnections === "function";
+
+(withFetch ? describe : describe.skip)("fetchClient", () => {
+  let server, handler;
+  beforeAll(done => {
+    server = http.createServer((req, res) => {
+      let chunks = [];
+      req.on("data", chunk => chunks.push(chunk));
+      req.on("end", () => handler(req, Buffer.concat(chunks), res));
+    });
+    server.listen(6671, "localhost", done);
+  });
+  afterAll(done => {
+    // fetch keeps connections alive, which would hold up close.
+    server.closeAllConnections();
+    server.close(() => done());
+  });
+
+  const post = opts =>
+    fetchClient.post(
+      Object.assign(
+        {
+          url: "http://localhost:6671/1/batch/test",
+          headers: { "Content-Type": "application/json" },
+          body: "[]",
+          timeout: 1000
+        },
+        opts
+      )
+    );
+
+  it("posts the body and headers and reads textual responses", async () => {
+    handler = (req, body, res) => {
+      expect(req.method).toEqual("POST");
+      expect(req.headers["x-honeycomb-team"]).toEqual("123456789");
+      expect(req.headers["content-type"]).toEqual("application/json");
+      expect(body.toString()).toEqual('[{"data":{"a":1}}]');
+      res.writeHead(200, { "Content-Type": "application/json; charset=utf-8" });
+      res.end('[{"status":202}]');
+    };
+
+    let res = await post({
+      headers: {
+        "Content-Type": "application/json",
+        "X-Honeycomb-Team": "123456789"
+      },
+      body: '[{"data":{"a":1}}]'
+    });
+    expect(res.status).toEqual(200);
+    expect(res.type).toEqual("application/json");
+    expect(res.text).toEqual('[{"status":202}]');
+  });
+
+  it("reads msgpack responses as binary", async () => {
+    handler = (req, body, res) => {
+      expect(decode(new Uint8Array(body))).toEqual([{ a: 1 }]);
+      res.writeHead(200, { "Content-Type": "application/msgpack" });
+      res.end(Buffer.from(encode([{ status: 202 }])));
+    };
+
+    let res = await post({
+      headers: { "Content-Type": "application/msgpack" },
+      body: Buffer.from(encode([{ a: 1 }]))
+    });
+    expect(res.type).toEqual("application/msgpack");
+    expect(decode(res.body)).toEqual([{ status: 202 }]);
+  });
+
+  it("rejects non-2xx responses with their status and headers", async () => {
+    handler = (req, body, res) => {
+      res.writeHead(503, { "Retry-After": "5" });
+      res.end("try again later");
+    };
+
+    await expect(post()).rejects.toMatchObject({
+      status: 503,
+      response: { headers: { "retry-after": "5" }, text: "try again later" }
+    });
+  });
+
+  it("rejects requests that take longer than the timeout", async () => {
+    handler = (req, body, res) => setTimeout(() => res.end("[]"), 500);
+
+    let err = await post({ timeout: 100 }).catch(e => e);
+    expect(err.timeout).toEqual(100);
+    expect(err.status).toBeUndefined();
+  });
+});
+
+describe("resolveHttpClient", () => {
+  afterEach(() => (process.env.LIBHONEY_TARGET = ""));
+
+  it("uses client objects as-is", () => {
+    let client = { post: () => Promise.resolve() };
+    expect(resolveHttpClient(client)).toBe(client);
+  });
+
+  it("picks clients by name", () => {
+    expect(resolveHttpClient("fetch")).toBe(fetchClient);
+    expect(resolveHttpClient("superagent")).toBe(superagentClient);
+  });
+
+  it("prefers superagent in node", () => {
+    expect(resolveHttpClient()).toBe(superagentClient);
+    expect(resolveHttpClient("auto")).toBe(superagentClient);
+  });
+
+  (withFetch ? it : it.skip)("picks fetch in browser builds without XMLHttpRequest", () => {
+    process.env.LIBHONEY_TARGET = "browser";
+    expect(resolveHttpClient()).toBe(fetchClient);
+
+    global.XMLHttpRequest = function() {};
+    try {
+      expect(resolveHttpClient()).toBe(superagentClient);
+    } finally {
+      delete global.XMLHttpRequest;
+    }
+  });
+});
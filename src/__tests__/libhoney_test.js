@@ -4,6 +4,9 @@ import libhoney from "../libhoney";
 
 let superagent = require("superagent");
 let mock = require("superagent-mocker")(superagent);
+let fs = require("fs");
+let os = require("os");
+let path = require("path");
 
 describe("libhoney", () => {
   describe("constructor options", () => {
@@ -135,6 +138,24 @@ describe("libhoney", () => {
     });
   });
 
+  describe("msgpack encoding", () => {
+    it("should keep Dates and binary data in event data", () => {
+      let honey = new libhoney({
+        writeKey: "12345",
+        dataset: "testing",
+        transmission: "mock",
+        encoding: "msgpack",
+      });
+      let transmission = honey.transmission;
+      let when = new Date();
+      honey.sendNow({ when, buf: Buffer.from("abc") });
+
+      expect(transmission.events).toHaveLength(1);
+      expect(transmission.events[0].postData.when).toEqual(when);
+      expect(transmission.events[0].postData.buf).toBeInstanceOf(Uint8Array);
+    });
+  });
+
   describe("response queue", () => {
     it("should enqueue a maximum of maxResponseQueueSize, dropping new responses (not old)", (done) => {
       mock.post("http://localhost:9999/1/events/testResponseQueue", (_req) => {
@@ -175,6 +196,776 @@ describe("libhoney", () => {
     });
   });
 
+  describe("sendAsync", () => {
+    const newHoney = (dataset) =>
+      new libhoney({
+        apiHost: "http://localhost:9999",
+        writeKey: "12345",
+        dataset,
+        batchTimeTrigger: 10,
+      });
+
+    it("should resolve with the event's response", async () => {
+      mock.post("http://localhost:9999/1/batch/testSendAsync", (req) => ({
+        text: JSON.stringify(JSON.parse(req.body).map(() => ({ status: 202 }))),
+      }));
+
+      let honey = newHoney("testSendAsync");
+      let queued = [];
+      honey.on("response", (queue) => queued.push(...queue.splice(0)));
+
+      let response = await honey
+        .newEvent()
+        .add({ a: 1 })
+        .addMetadata("audit")
+        .sendAsync();
+      expect(response.status_code).toEqual(202);
+      expect(response.metadata).toEqual("audit");
+      expect(typeof response.duration).toEqual("number");
+      // the response queue sees the event's own metadata too.
+      expect(queued.map((r) => r.metadata)).toEqual(["audit"]);
+    });
+
+    it("should reject when the server rejects the event", async () => {
+      mock.post("http://localhost:9999/1/batch/testSendAsyncRejected", () => ({
+        text: JSON.stringify([{ status: 400, err: "bad event" }]),
+      }));
+
+      let honey = newHoney("testSendAsyncRejected");
+      await expect(
+        honey.newEvent().add({ a: 1 }).sendAsync()
+      ).rejects.toThrow("bad event");
+    });
+
+    it("should reject when the batch fails", async () => {
+      mock.post("http://localhost:9999/1/batch/testSendAsyncFailed", () => ({
+        status: 500,
+      }));
+
+      let honey = newHoney("testSendAsyncFailed");
+      let err = await honey
+        .newEvent()
+        .add({ a: 1 })
+        .sendPresampledAsync()
+        .catch((e) => e);
+      expect(err.status).toEqual(500);
+    });
+
+    it("should reject when the event is sampled out", async () => {
+      let honey = newHoney("testSendAsyncSampled");
+      honey.transmission._randomFn = () => 0.99;
+
+      let ev = honey.newEvent().add({ a: 1 });
+      ev.sampleRate = 10;
+      await expect(ev.sendAsync()).rejects.toThrow(
+        "event dropped due to sampling"
+      );
+    });
+
+    it("should reject invalid events", async () => {
+      let honey = newHoney("testSendAsyncInvalid");
+      jest.spyOn(console, "error").mockImplementation(() => {});
+      let ev = honey.newEvent().add({ a: 1 });
+      ev.sampleRate = "ten";
+      await expect(ev.sendAsync()).rejects.toMatchObject({
+        name: "ValidationError",
+        reason: "invalid_sample_rate",
+        message: "sampleRate must be a number",
+      });
+      console.error.mockRestore();
+    });
+
+    it("should resolve once the event is handed to a transmission that doesn't report responses", async () => {
+      let honey = new libhoney({
+        writeKey: "12345",
+        dataset: "testSendAsyncMock",
+        transmission: "mock",
+      });
+      let response = await honey
+        .newEvent()
+        .add({ a: 1 })
+        .addMetadata("audit")
+        .sendAsync();
+      expect(response).toEqual({ metadata: "audit" });
+      // the transmission sees the event's own metadata.
+      expect(honey.transmission.events.map((ev) => ev.metadata)).toEqual(["audit"]);
+    });
+
+    it("should resolve without sending when disabled", async () => {
+      let honey = new libhoney({
+        writeKey: "12345",
+        dataset: "testSendAsyncDisabled",
+        disabled: true,
+      });
+      await expect(
+        honey.newEvent().add({ a: 1 }).addMetadata("audit").sendAsync()
+      ).resolves.toEqual({ metadata: "audit" });
+    });
+  });
+
+  describe("validation errors", () => {
+    const newHoney = (opts) =>
+      new libhoney(
+        Object.assign(
+          {
+            writeKey: "12345",
+            dataset: "testValidation",
+            transmission: "mock",
+          },
+          opts
+        )
+      );
+
+    it("should report invalid events to the logger", () => {
+      let logger = { error: jest.fn(), warn: jest.fn() };
+      let honey = newHoney({ logger });
+      jest.spyOn(console, "error").mockImplementation(() => {});
+
+      let ev = honey.newEvent().add({ a: 1 });
+      ev.sampleRate = "ten";
+      ev.send();
+
+      expect(logger.error).toHaveBeenCalledWith("sampleRate must be a number");
+      expect(console.error).not.toHaveBeenCalled();
+      expect(honey.transmission.events).toEqual([]);
+      console.error.mockRestore();
+    });
+
+    it("should fall back to the console for missing logger methods", () => {
+      let honey = newHoney({ logger: { warn: jest.fn() } });
+      jest.spyOn(console, "error").mockImplementation(() => {});
+
+      let ev = honey.newEvent().add({ a: 1 });
+      ev.writeKey = "";
+      ev.send();
+
+      expect(console.error).toHaveBeenCalledWith(
+        "writeKey must be a non-empty string"
+      );
+      console.error.mockRestore();
+    });
+
+    it("should report configuration problems from every module to the logger", () => {
+      let logger = { error: jest.fn(), warn: jest.fn() };
+      jest.spyOn(console, "warn").mockImplementation(() => {});
+      let honey = new libhoney({
+        writeKey: "12345",
+        dataset: "testLogger",
+        logger,
+        compression: "lz4",
+        httpClient: "carrier pigeon",
+        sampler: { type: "magic" },
+        rulesSampler: [{ sampler: { type: "moreMagic" } }],
+        flattenFields: { arrays: "sideways" },
+      });
+
+      let warnings = logger.warn.mock.calls.map(([message]) => message);
+      [
+        /^unknown sampler type "magic"/,
+        /^unknown sampler type "moreMagic"/,
+        /^unknown flattenFields\.arrays "sideways"/,
+        /^unknown compression "lz4"/,
+        /^unknown httpClient "carrier pigeon"/,
+      ].forEach((pattern) =>
+        expect(warnings.some((message) => pattern.test(message))).toBe(true)
+      );
+      expect(console.warn).not.toHaveBeenCalled();
+      console.warn.mockRestore();
+      return honey.close();
+    });
+
+    it("should emit error events carrying the event's metadata", () => {
+      let honey = newHoney({ logger: { error: () => {} } });
+      let errors = [];
+      honey.on("error", (err) => errors.push(err));
+
+      let ev = honey.newEvent().add({ a: 1 });
+      ev.dataset = 42;
+      ev.metadata = { id: "ev1" };
+      ev.send();
+
+      expect(errors).toHaveLength(1);
+      expect(errors[0]).toBeInstanceOf(libhoney.ValidationError);
+      expect(errors[0].reason).toEqual("invalid_dataset");
+      expect(errors[0].metadata).toEqual({ id: "ev1" });
+    });
+
+    it("should throw from send in strict mode", () => {
+      let logger = { error: jest.fn() };
+      let honey = newHoney({ logger, strict: true });
+
+      let ev = honey.newEvent();
+      ev.data = "not an object";
+      expect(() => ev.send()).toThrow(libhoney.ValidationError);
+      expect(() => ev.send()).toThrow("data must be an object");
+      expect(logger.error).not.toHaveBeenCalled();
+      expect(honey.transmission.events).toEqual([]);
+    });
+  });
+
+  describe("withBuilder", () => {
+    const tick = () => new Promise((resolve) => setTimeout(resolve, 1));
+
+    it("should make a builder current across async work", async () => {
+      let honey = new libhoney({
+        writeKey: "12345",
+        dataset: "testWithBuilder",
+        transmission: "mock",
+      });
+      honey.addField("global", true);
+      expect(honey.currentBuilder()).toBe(honey._builder);
+
+      let handle = (requestId) => {
+        let builder = honey.newBuilder(
+          { requestId },
+          { handledBy: () => "handler" }
+        );
+        return honey.withBuilder(builder, async () => {
+          await tick();
+          expect(honey.currentBuilder()).toBe(builder);
+          honey.sendNow({ step: "query" });
+          await tick();
+          honey.newEvent().addField("step", "render").send();
+          return requestId;
+        });
+      };
+      expect(await Promise.all([handle(1), handle(2)])).toEqual([1, 2]);
+      honey.sendNow({ step: "outside" });
+
+      let sent = honey.transmission.events.map((ev) => ev.postData);
+      expect(sent.filter((data) => data.requestId === 1)).toHaveLength(2);
+      expect(sent.filter((data) => data.requestId === 2)).toHaveLength(2);
+      sent.forEach((data) => expect(data.global).toBe(true));
+      expect(sent[sent.length - 1]).toEqual({ global: true, step: "outside" });
+      expect(sent[0].handledBy).toEqual("handler");
+    });
+
+    it("should nest scopes, and start spans from the current builder", () => {
+      let honey = new libhoney({
+        writeKey: "12345",
+        dataset: "testWithBuilder",
+        transmission: "mock",
+      });
+      let outer = honey.newBuilder({ scope: "outer" });
+      let inner = honey.newBuilder({ scope: "inner" });
+
+      honey.withBuilder(outer, () => {
+        honey.withBuilder(inner, () => honey.startSpan("inner span").finish());
+        honey.newBuilder({ extra: 1 }).sendNow();
+      });
+
+      let [span, ev] = honey.transmission.events.map((e) => e.postData);
+      expect(span.scope).toEqual("inner");
+      expect(span.name).toEqual("inner span");
+      expect(ev).toEqual({ scope: "outer", extra: 1 });
+    });
+  });
+
+  describe("sampler", () => {
+    it("should keep one sampler across transmissions", async () => {
+      let honey = new libhoney({
+        writeKey: "12345",
+        dataset: "testSampler",
+        transmission: "mock",
+        sampler: { type: "avgSampleRate", key: (fields) => fields.route },
+      });
+      let sampler = honey.transmission.constructorArg.sampler;
+      expect(typeof sampler.getSampleRate).toEqual("function");
+
+      await honey.flush();
+      expect(honey.transmission.constructorArg.sampler).toBe(sampler);
+    });
+  });
+
+  describe("beforeSend", () => {
+    const newHoney = (beforeSend) =>
+      new libhoney({
+        writeKey: "12345",
+        dataset: "testBeforeSend",
+        transmission: "mock",
+        beforeSend,
+      });
+
+    it("should let hooks add, rename and remove fields", () => {
+      let seen = [];
+      let honey = newHoney([
+        (fields, metadata) => {
+          seen.push(metadata);
+          fields.added = true;
+          delete fields.secret;
+        },
+        (fields) => {
+          let { user, ...rest } = fields;
+          return Object.assign(rest, { "user.id": user });
+        },
+      ]);
+
+      honey.newEvent().add({ user: 7, secret: "x" }).addMetadata("m").send();
+      honey.newEvent().add({ user: 8 }).sendPresampled();
+
+      expect(seen).toEqual(["m", null]);
+      expect(honey.transmission.events.map((ev) => ev.postData)).toEqual([
+        { added: true, "user.id": 7 },
+        { added: true, "user.id": 8 },
+      ]);
+    });
+
+    it("should drop events a hook returns false for", () => {
+      let honey = newHoney([(fields) => fields.route !== "/health"]);
+      let responses = [];
+      honey.on("response", (queue) => responses.push(...queue.splice(0)));
+
+      honey.newEvent().add({ route: "/health" }).addMetadata("dropped").send();
+      honey.newEvent().add({ route: "/users" }).send();
+
+      expect(honey.transmission.events).toHaveLength(1);
+      expect(responses).toHaveLength(1);
+      expect(responses[0].metadata).toEqual("dropped");
+      expect(responses[0].error.message).toEqual(
+        "event dropped by beforeSend hook"
+      );
+    });
+
+    it("should wait on async hooks, and flush should wait on them too", async () => {
+      let honey = newHoney([
+        (fields) => Promise.resolve(Object.assign({ enriched: true }, fields)),
+        () => Promise.resolve(),
+      ]);
+      let transmission = honey.transmission;
+
+      honey.sendNow({ a: 1 });
+      expect(transmission.events).toHaveLength(0);
+      await honey.flush();
+      expect(transmission.events.map((ev) => ev.postData)).toEqual([
+        { enriched: true, a: 1 },
+      ]);
+    });
+
+    it("should stop waiting on hooks at the flush and close deadlines", async () => {
+      let honey = newHoney([() => new Promise(() => {})]);
+
+      honey.sendNow({ a: 1 });
+      honey.sendNow({ a: 2 });
+      await expect(honey.flush({ timeoutMs: 20 })).resolves.toEqual({
+        sent: 0,
+        failed: 0,
+        pending: 2,
+      });
+      await expect(honey.close({ timeoutMs: 20 })).resolves.toMatchObject({
+        pending: 2,
+      });
+    });
+
+    it("should reject sendAsync for dropped events, and report failing hooks", async () => {
+      let honey = newHoney([
+        (fields) => {
+          if (fields.explode) {
+            throw new Error("boom");
+          }
+          return Promise.resolve(!fields.drop);
+        },
+      ]);
+
+      await expect(
+        honey.newEvent().add({ drop: true }).sendAsync()
+      ).rejects.toThrow("event dropped by beforeSend hook");
+      await expect(
+        honey.newEvent().add({ explode: true }).sendAsync()
+      ).rejects.toThrow("beforeSend hook failed: Error: boom");
+    });
+  });
+
+  describe("serialization", () => {
+    it("should send events with values JSON can't carry", () => {
+      let honey = new libhoney({
+        writeKey: "12345",
+        dataset: "testSerialization",
+        transmission: "mock",
+      });
+      // eslint-disable-next-line no-undef
+      let data = { big: BigInt(1), error: new Error("oops") };
+      data.self = data;
+
+      honey.sendNow(data);
+      expect(honey.transmission.events).toHaveLength(1);
+      let postData = honey.transmission.events[0].postData;
+      expect(postData.big).toEqual("1");
+      expect(postData["error.message"]).toEqual("oops");
+      // the builder copies fields into the event, so the cycle starts one level down.
+      expect(postData.self.self).toEqual("[Circular]");
+    });
+  });
+
+  describe("flattenFields", () => {
+    it("should flatten nested event data before the beforeSend hooks", () => {
+      let seen;
+      let honey = new libhoney({
+        writeKey: "12345",
+        dataset: "testFlatten",
+        transmission: "mock",
+        flattenFields: { maxDepth: 3 },
+        beforeSend: [(fields) => (seen = Object.assign({}, fields))],
+      });
+
+      let params = { id: "7" };
+      honey.sendNow({ params, route: "/users/:id" });
+      expect(seen).toEqual({ "params.id": "7", route: "/users/:id" });
+      expect(honey.transmission.events[0].postData).toEqual(seen);
+      // the caller's data is left alone
+      expect(params).toEqual({ id: "7" });
+    });
+  });
+
+  describe("redact", () => {
+    it("should redact events after the beforeSend hooks run", () => {
+      let honey = new libhoney({
+        writeKey: "12345",
+        dataset: "testRedact",
+        transmission: "mock",
+        beforeSend: [
+          (fields) => {
+            fields.contact = "jane@example.com";
+          },
+        ],
+        redact: { denyFields: ["query.token"], patterns: ["email"] },
+      });
+
+      honey.sendNow({ query: { token: "t", page: 2 } });
+      expect(honey.transmission.events[0].postData).toEqual({
+        query: { token: "[REDACTED]", page: 2 },
+        contact: "[REDACTED]",
+      });
+    });
+
+    it("should redact what's in Maps when encoding msgpack", () => {
+      let honey = new libhoney({
+        writeKey: "12345",
+        dataset: "testRedactMsgpack",
+        transmission: "mock",
+        encoding: "msgpack",
+        redact: { denyFields: ["headers.authorization"], patterns: ["email"] },
+      });
+
+      honey.sendNow({
+        headers: new Map([
+          ["authorization", "Bearer secret"],
+          ["x", "me@example.com"],
+        ]),
+      });
+      expect(honey.transmission.events[0].postData).toEqual({
+        headers: { authorization: "[REDACTED]", x: "[REDACTED]" },
+      });
+    });
+  });
+
+  describe("schemas", () => {
+    it("should coerce fields and report violations with the response", async () => {
+      mock.post("http://localhost:9999/1/batch/testSchemaFlag", (req) => ({
+        text: JSON.stringify(JSON.parse(req.body).map(() => ({ status: 202 }))),
+      }));
+      let honey = new libhoney({
+        apiHost: "http://localhost:9999",
+        writeKey: "12345",
+        dataset: "testSchemaFlag",
+        batchTimeTrigger: 10,
+        schemas: {
+          testSchemaFlag: { fields: { status: "number" }, required: ["route"] },
+        },
+      });
+      let queued = [];
+      honey.on("response", (queue) => queued.push(...queue.splice(0)));
+
+      let response = await honey
+        .newEvent()
+        .add({ status: "oops" })
+        .addMetadata("flagged")
+        .sendAsync();
+      expect(response.status_code).toEqual(202);
+      expect(response.metadata).toEqual("flagged");
+      expect(response.schemaViolations).toEqual([
+        { field: "route", reason: "missing" },
+        { field: "status", reason: "type", expected: "number", actual: "string", value: "oops" },
+      ]);
+
+      honey.newEvent().add({ status: "200", route: "/" }).addMetadata("fine").send();
+      await honey.flush();
+      expect(queued.map((r) => r.metadata)).toEqual(["flagged", "fine"]);
+      expect(queued[0].schemaViolations).toHaveLength(2);
+      expect(queued[1]).not.toHaveProperty("schemaViolations");
+    });
+
+    it("should leave the metadata of flagged events alone", () => {
+      let honey = new libhoney({
+        writeKey: "12345",
+        dataset: "testSchemaMetadata",
+        transmission: "mock",
+        schemas: { testSchemaMetadata: { fields: { status: "number" } } },
+      });
+      honey.newEvent().add({ status: "oops" }).addMetadata({ id: 1 }).send();
+
+      let [ev] = honey.transmission.events;
+      expect(ev.metadata).toEqual({ id: 1 });
+      expect(ev.schemaViolations).toHaveLength(1);
+    });
+
+    it("should drop violating events when asked to", async () => {
+      let honey = new libhoney({
+        writeKey: "12345",
+        dataset: "testSchemaDrop",
+        transmission: "mock",
+        schemas: {
+          testSchemaDrop: { fields: { status: "integer" }, onViolation: "drop" },
+        },
+      });
+      let queued = [];
+      honey.on("response", (queue) => queued.push(...queue.splice(0)));
+
+      honey.newEvent().add({ status: "200" }).send();
+      honey.newEvent().add({ status: 200.5 }).addMetadata("dropped").send();
+      await expect(
+        honey.newEvent().add({ status: "x" }).sendAsync()
+      ).rejects.toThrow("event dropped for violating its dataset's schema");
+
+      expect(honey.transmission.events.map((ev) => ev.postData)).toEqual([
+        { status: 200 },
+      ]);
+      expect(queued).toHaveLength(2);
+      expect(queued[0].metadata).toEqual("dropped");
+      expect(queued[0].schemaViolations).toEqual([
+        { field: "status", reason: "type", expected: "integer", actual: "number", value: 200.5 },
+      ]);
+
+      // other datasets aren't checked.
+      let ev = honey.newEvent().add({ status: "x" });
+      ev.dataset = "otherDataset";
+      ev.send();
+      expect(honey.transmission.events).toHaveLength(2);
+    });
+  });
+
+  describe("rulesSampler", () => {
+    it("should set sample rates from the first matching rule and record it", () => {
+      let honey = new libhoney({
+        writeKey: "12345",
+        dataset: "testRulesSampler",
+        transmission: "mock",
+        sampler: { getSampleRate: () => 99 },
+        rulesSampler: [
+          {
+            name: "health",
+            conditions: [{ field: "route", operator: "=", value: "/health" }],
+            sampleRate: 100,
+          },
+        ],
+      });
+      let transmission = honey.transmission;
+
+      honey.sendNow({ route: "/health" });
+      honey.sendNow({ route: "/users" });
+      honey.newEvent().add({ route: "/health" }).sendPresampled();
+
+      expect(transmission.events).toHaveLength(3);
+      let [matched, unmatched, presampled] = transmission.events;
+      expect(matched.sampleRate).toEqual(100);
+      expect(matched.sampleRule).toEqual("health");
+      expect(matched.postData["meta.sample_rule"]).toEqual("health");
+      expect(unmatched.sampleRate).toEqual(1);
+      expect(unmatched.sampleRule).toBeUndefined();
+      expect(unmatched.postData).toEqual({ route: "/users" });
+      expect(presampled.sampleRule).toBeUndefined();
+    });
+  });
+
+  describe("close", () => {
+    const newHoney = (dataset) =>
+      new libhoney({
+        apiHost: "http://localhost:9999",
+        writeKey: "12345",
+        dataset,
+        batchTimeTrigger: 60000,
+      });
+
+    it("should flush and resolve with a summary", async () => {
+      mock.post("http://localhost:9999/1/batch/testClose", (req) => ({
+        text: JSON.stringify(JSON.parse(req.body).map(() => ({ status: 202 }))),
+      }));
+
+      let honey = newHoney("testClose");
+      let transmission = honey.transmission;
+      honey.sendNow({ a: 1 });
+      honey.sendNow({ a: 2 });
+
+      await expect(honey.close()).resolves.toEqual({
+        sent: 2,
+        failed: 0,
+        pending: 0,
+      });
+      expect(transmission._closed).toBe(true);
+      // closing again hands back the same outcome
+      await expect(honey.close()).resolves.toEqual({
+        sent: 2,
+        failed: 0,
+        pending: 0,
+      });
+    });
+
+    it("should drop events sent after close", async () => {
+      let honey = newHoney("testClosedSend");
+      await honey.close();
+
+      jest.spyOn(console, "error").mockImplementation(() => {});
+      honey.sendNow({ a: 1 });
+      expect(console.error).toHaveBeenCalledWith(
+        "libhoney instance is closed, dropping event"
+      );
+      console.error.mockRestore();
+
+      await expect(
+        honey.newEvent().add({ a: 1 }).sendAsync()
+      ).rejects.toThrow("libhoney instance is closed");
+    });
+  });
+
+  describe("throttling", () => {
+    it("should emit throttled when the API sends Retry-After", (done) => {
+      mock.post("http://localhost:9999/1/batch/testThrottled", (_req) => {
+        return { status: 429, headers: { "retry-after": "30" } };
+      });
+
+      let honey = new libhoney({
+        apiHost: "http://localhost:9999",
+        writeKey: "12345",
+        dataset: "testThrottled",
+        batchTimeTrigger: 10,
+      });
+
+      honey.on("throttled", (throttle) => {
+        expect(throttle.apiHost).toEqual("http://localhost:9999");
+        expect(throttle.dataset).toEqual("testThrottled");
+        expect(throttle.retryAfter).toEqual(30000);
+        expect(throttle.until).toBeInstanceOf(Date);
+        done();
+      });
+
+      honey.sendNow({ a: 1 });
+    });
+  });
+
+  describe("spool", () => {
+    let dir;
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "libhoney-spool-"));
+    });
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("should replay events left in the spool by an earlier instance", async () => {
+      // an instance that never gets to deliver its event
+      let crashed = new libhoney({
+        apiHost: "http://localhost:9999",
+        writeKey: "12345",
+        dataset: "testSpool",
+        batchTimeTrigger: 60000,
+        spool: { dir },
+      });
+      crashed.sendNow({ a: 1 });
+      // the process goes away before the event is delivered.
+      await crashed._spool.close();
+
+      let honey = new libhoney({
+        writeKey: "12345",
+        dataset: "testSpool",
+        transmission: "mock",
+        spool: { dir },
+      });
+      let transmission = honey.transmission;
+      expect(transmission.events).toHaveLength(1);
+      expect(transmission.events[0].postData).toEqual({ a: 1 });
+      expect(transmission.events[0].dataset).toEqual("testSpool");
+      crashed.transmission._clearSendTimeout();
+    });
+
+    it("should warn rather than throw if replaying the spool fails", () => {
+      let record = JSON.stringify({ id: 1, t: Date.now(), ev: { postData: { a: 1 } } });
+      // a pid past the kernel's limit is never running, so this segment gets replayed.
+      fs.writeFileSync(path.join(dir, "1-99999999-abc-0.seg"), record + "\n");
+      let readFileSync = jest.spyOn(fs, "readFileSync").mockImplementation(() => {
+        throw Object.assign(new Error("permission denied"), { code: "EACCES" });
+      });
+      try {
+        let logger = { warn: jest.fn() };
+        let honey = new libhoney({
+          writeKey: "12345",
+          dataset: "testSpool",
+          transmission: "mock",
+          spool: { dir },
+          logger,
+        });
+        expect(honey.transmission.events).toHaveLength(0);
+        expect(logger.warn).toHaveBeenCalledWith(
+          expect.stringMatching(/^unable to replay spooled events: .*permission denied/)
+        );
+      } finally {
+        readFileSync.mockRestore();
+      }
+    });
+  });
+
+  describe("page hide", () => {
+    let listeners;
+    beforeEach(() => {
+      listeners = {};
+      const addEventListener = (type, fn) => (listeners[type] = fn);
+      process.env.LIBHONEY_TARGET = "browser";
+      global.window = { addEventListener };
+      global.document = { addEventListener, visibilityState: "visible" };
+    });
+    afterEach(() => {
+      process.env.LIBHONEY_TARGET = "";
+      delete global.window;
+      delete global.document;
+    });
+
+    class PageHideTransmission extends MockTransmission {
+      constructor(options) {
+        super(options);
+        this.pageHides = 0;
+      }
+
+      flushOnPageHide() {
+        this.pageHides++;
+      }
+    }
+
+    it("should flush the transmission when the page is hidden or unloaded", () => {
+      let honey = new libhoney({
+        writeKey: "12345",
+        dataset: "testPageHide",
+        transmission: PageHideTransmission,
+      });
+      let transmission = honey.transmission;
+
+      listeners.visibilitychange();
+      expect(transmission.pageHides).toEqual(0);
+      document.visibilityState = "hidden";
+      listeners.visibilitychange();
+      expect(transmission.pageHides).toEqual(1);
+      listeners.pagehide();
+      expect(transmission.pageHides).toEqual(2);
+    });
+
+    it("should not listen when flushOnPageHide is false", () => {
+      new libhoney({
+        writeKey: "12345",
+        dataset: "testPageHide",
+        transmission: PageHideTransmission,
+        flushOnPageHide: false,
+      });
+      expect(listeners).toEqual({});
+    });
+  });
+
   describe("disabled = true", () => {
     it("should not hit transmission", async () => {
       let honey = new libhoney({
@@ -187,7 +978,11 @@ describe("libhoney", () => {
       let transmission = honey.transmission;
 
       expect(transmission).toBe(null);
-      await expect(honey.flush()).resolves.toBeUndefined();
+      await expect(honey.flush()).resolves.toEqual({
+        sent: 0,
+        failed: 0,
+        pending: 0,
+      });
     });
   });
 });
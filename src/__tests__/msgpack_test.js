@@ -0,0 +1,99 @@
+/* eslint-env node, jest */
+/* global BigInt */
+import { decode, encode, encodeArray } from "../msgpack";
+
+const bytes = arr => Uint8Array.from(arr);
+
+describe("msgpack", () => {
+  it("encodes scalars compactly", () => {
+    expect(encode(null)).toEqual(bytes([0xc0]));
+    expect(encode(true)).toEqual(bytes([0xc3]));
+    expect(encode(false)).toEqual(bytes([0xc2]));
+    expect(encode(1)).toEqual(bytes([0x01]));
+    expect(encode(-1)).toEqual(bytes([0xff]));
+    expect(encode(200)).toEqual(bytes([0xcc, 200]));
+    expect(encode(-200)).toEqual(bytes([0xd1, 0xff, 0x38]));
+    expect(encode("a")).toEqual(bytes([0xa1, 0x61]));
+    expect(encode(1.5)).toEqual(
+      bytes([0xcb, 0x3f, 0xf8, 0, 0, 0, 0, 0, 0])
+    );
+  });
+
+  it("round trips nested values", () => {
+    let value = {
+      str: "héllo",
+      long: "x".repeat(70000),
+      ints: [0, 127, 128, 65535, 65536, 2 ** 40, -33, -129, -40000, -(2 ** 40)],
+      float: -0.25,
+      nested: { a: [1, { b: null }], t: true },
+      many: Array.from({ length: 20 }, (_, i) => i)
+    };
+    expect(decode(encode(value))).toEqual(value);
+  });
+
+  it("encodes BigInts as 64 bit integers", () => {
+    let big = BigInt("18446744073709551615");
+    expect(decode(encode(big))).toEqual(big);
+    expect(decode(encode(BigInt(-5)))).toEqual(-5);
+    expect(() => encode(BigInt("18446744073709551616"))).toThrow(RangeError);
+  });
+
+  it("encodes binary data as bin", () => {
+    let data = Buffer.from("binary");
+    let encoded = encode(data);
+    expect(encoded[0]).toEqual(0xc4);
+    expect(Buffer.from(decode(encoded))).toEqual(data);
+  });
+
+  it("encodes Dates with the timestamp extension", () => {
+    // whole seconds fit in timestamp 32
+    let date = new Date(1500000000000);
+    let encoded = encode(date);
+    expect(encoded.slice(0, 2)).toEqual(bytes([0xd6, 0xff]));
+    expect(decode(encoded)).toEqual(date);
+
+    // milliseconds need timestamp 64
+    date = new Date(1500000000123);
+    encoded = encode(date);
+    expect(encoded.slice(0, 2)).toEqual(bytes([0xd7, 0xff]));
+    expect(decode(encoded)).toEqual(date);
+
+    // dates before the epoch need timestamp 96
+    date = new Date(-1500000000123);
+    encoded = encode(date);
+    expect(encoded.slice(0, 3)).toEqual(bytes([0xc7, 12, 0xff]));
+    expect(decode(encoded)).toEqual(date);
+  });
+
+  it("follows JSON's rules for toJSON, functions and undefined", () => {
+    let value = {
+      keep: 1,
+      dropped: undefined,
+      fn() {},
+      custom: { toJSON: () => "custom" },
+      arr: [undefined]
+    };
+    expect(decode(encode(value))).toEqual({
+      keep: 1,
+      custom: "custom",
+      arr: [null]
+    });
+  });
+
+  it("throws on circular structures", () => {
+    let a = {};
+    a.a = a;
+    expect(() => encode(a)).toThrow(TypeError);
+  });
+
+  it("builds arrays out of encoded elements", () => {
+    let elements = Array.from({ length: 17 }, (_, i) => encode({ i }));
+    expect(decode(encodeArray(elements))).toEqual(
+      Array.from({ length: 17 }, (_, i) => ({ i }))
+    );
+  });
+
+  it("throws on truncated input", () => {
+    expect(() => decode(encode("truncated").slice(0, 3))).toThrow(RangeError);
+  });
+});
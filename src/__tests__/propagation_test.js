@@ -0,0 +1,263 @@
+/* eslint-env node, jest */
+import { b3, b3Multi, honeycomb, propagation, w3c, xray } from "../propagation";
+import libhoney from "../libhoney";
+
+const traceId = "4bf92f3577b34da6a3ce929d0e0e4736";
+const parentId = "00f067aa0ba902b7";
+
+const newHoney = () =>
+  new libhoney({
+    apiHost: "http://foo/bar",
+    writeKey: "12345",
+    dataset: "testPropagation",
+    transmission: "mock",
+  });
+
+describe("propagation", () => {
+  describe("w3c", () => {
+    it("parses traceparent and tracestate", () => {
+      expect(
+        w3c.parse({
+          traceparent: `00-${traceId}-${parentId}-01`,
+          tracestate: "vendor=value",
+        })
+      ).toEqual({ traceId, parentId, sampled: true, traceState: "vendor=value" });
+      expect(w3c.parse({ Traceparent: `00-${traceId}-${parentId}-00` })).toEqual({
+        traceId,
+        parentId,
+        sampled: false,
+      });
+    });
+
+    it("rejects malformed traceparents", () => {
+      [
+        undefined,
+        "",
+        `ff-${traceId}-${parentId}-01`,
+        `00-${"0".repeat(32)}-${parentId}-01`,
+        `00-${traceId}-${"0".repeat(16)}-01`,
+        `00-${traceId.slice(1)}-${parentId}-01`,
+        `00-${traceId}-${parentId}`,
+      ].forEach((traceparent) =>
+        expect(w3c.parse({ traceparent })).toBeUndefined()
+      );
+    });
+
+    it("serializes contexts", () => {
+      expect(w3c.serialize({ traceId, parentId })).toEqual({
+        traceparent: `00-${traceId}-${parentId}-01`,
+      });
+      expect(
+        w3c.serialize({ traceId, parentId, sampled: false, traceState: "a=b" })
+      ).toEqual({
+        traceparent: `00-${traceId}-${parentId}-00`,
+        tracestate: "a=b",
+      });
+    });
+
+    it("reads headers with a get method", () => {
+      let headers = new Map([["traceparent", `00-${traceId}-${parentId}-01`]]);
+      expect(w3c.parse(headers).traceId).toEqual(traceId);
+    });
+  });
+
+  describe("b3", () => {
+    it("round trips the single header", () => {
+      let headers = { b3: `${traceId}-${parentId}-1-05e3ac9a4f6e3b90` };
+      let context = b3.parse(headers);
+      expect(context).toEqual({ traceId, parentId, sampled: true });
+      expect(b3.serialize(context)).toEqual({ b3: `${traceId}-${parentId}-1` });
+      expect(b3.parse({ b3: "0" })).toBeUndefined();
+      expect(b3.parse({ b3: `${traceId.slice(16)}-${parentId}` })).toEqual({
+        traceId: traceId.slice(16),
+        parentId,
+      });
+    });
+
+    it("round trips the multiple headers", () => {
+      let context = b3Multi.parse({
+        "x-b3-traceid": traceId,
+        "x-b3-spanid": parentId,
+        "x-b3-sampled": "0",
+      });
+      expect(context).toEqual({ traceId, parentId, sampled: false });
+      expect(b3Multi.serialize(context)).toEqual({
+        "X-B3-TraceId": traceId,
+        "X-B3-SpanId": parentId,
+        "X-B3-Sampled": "0",
+      });
+      expect(
+        b3Multi.parse({
+          "x-b3-traceid": traceId,
+          "x-b3-spanid": parentId,
+          "x-b3-flags": "1",
+        }).sampled
+      ).toBe(true);
+      expect(b3Multi.parse({ "x-b3-traceid": traceId })).toBeUndefined();
+    });
+  });
+
+  describe("xray", () => {
+    it("round trips X-Amzn-Trace-Id", () => {
+      let header = "Root=1-5759e988-bd862e3fe1be46a994272793;Parent=53995c3f42cd8ad8;Sampled=1";
+      let context = xray.parse({ "x-amzn-trace-id": header });
+      expect(context).toEqual({
+        traceId: "5759e988bd862e3fe1be46a994272793",
+        parentId: "53995c3f42cd8ad8",
+        sampled: true,
+      });
+      expect(xray.serialize(context)).toEqual({ "X-Amzn-Trace-Id": header });
+      expect(xray.parse({ "x-amzn-trace-id": "Root=1-abc;Parent=53995c3f42cd8ad8" })).toBeUndefined();
+    });
+  });
+
+  describe("honeycomb", () => {
+    it("round trips X-Honeycomb-Trace with its dataset and context", () => {
+      let context = {
+        traceId: "trace-1",
+        parentId: "span-1",
+        dataset: "my dataset",
+        fields: { userId: 7, note: "ünïcode" },
+      };
+      let headers = honeycomb.serialize(context);
+      expect(headers["X-Honeycomb-Trace"]).toMatch(
+        /^1;trace_id=trace-1,parent_id=span-1,dataset=my%20dataset,context=/
+      );
+      expect(honeycomb.parse(headers)).toEqual(context);
+    });
+
+    (typeof btoa === "function" ? it : it.skip)(
+      "round trips the context with btoa and atob where there's no Buffer",
+      () => {
+        let context = { traceId: "t", parentId: "p", fields: { note: "ünïcode" } };
+        let nodeEncoded = honeycomb.serialize(context);
+        let { Buffer } = global;
+        delete global.Buffer;
+        try {
+          expect(honeycomb.serialize(context)).toEqual(nodeEncoded);
+          expect(honeycomb.parse(nodeEncoded)).toEqual(context);
+        } finally {
+          global.Buffer = Buffer;
+        }
+      }
+    );
+
+    it("parses beeline headers and survives a bad context", () => {
+      expect(
+        honeycomb.parse({
+          "x-honeycomb-trace": "1;trace_id=abc,parent_id=def,context=!!!",
+        })
+      ).toEqual({ traceId: "abc", parentId: "def" });
+      expect(
+        honeycomb.parse({ "x-honeycomb-trace": "2;trace_id=abc,parent_id=def" })
+      ).toBeUndefined();
+    });
+  });
+
+  describe("with builders", () => {
+    it("continues an upstream trace from an extracted builder", () => {
+      let honey = newHoney();
+      let builder = honey.newBuilder();
+      let context = libhoney.propagation.w3c.extract(
+        { traceparent: `00-${traceId}-${parentId}-01` },
+        builder
+      );
+      expect(context.traceId).toEqual(traceId);
+
+      let span = builder.startSpan("handle request");
+      expect(span.traceId).toEqual(traceId);
+      expect(span.parentId).toEqual(parentId);
+      span.startChild("child").finish();
+      span.finish();
+
+      let [child, root] = honey.transmission.events;
+      expect(root.postData["trace.trace_id"]).toEqual(traceId);
+      expect(root.postData["trace.parent_id"]).toEqual(parentId);
+      expect(child.postData["trace.parent_id"]).toEqual(span.spanId);
+    });
+
+    it("adds the honeycomb context's fields to the builder", () => {
+      let builder = newHoney().newBuilder();
+      propagation.honeycomb.extract(
+        honeycomb.serialize({ traceId: "t", parentId: "p", fields: { userId: 7 } }),
+        builder
+      );
+      expect(builder.newEvent().data).toEqual({
+        userId: 7,
+        "trace.trace_id": "t",
+        "trace.parent_id": "p",
+      });
+    });
+
+    it("leaves builders alone when there's no context", () => {
+      let builder = newHoney().newBuilder();
+      expect(propagation.b3.extract({}, builder)).toBeUndefined();
+      expect(builder.newEvent().data).toEqual({});
+      expect(builder.startSpan("root").parentId).toBeUndefined();
+    });
+
+    it("injects spans and builders into outgoing headers", () => {
+      let honey = newHoney();
+      let span = honey.startSpan("root");
+      expect(propagation.b3Multi.inject(span)).toEqual({
+        "X-B3-TraceId": span.traceId,
+        "X-B3-SpanId": span.spanId,
+      });
+
+      let builder = honey.newBuilder();
+      propagation.xray.extract(
+        { "X-Amzn-Trace-Id": `Root=1-${traceId.slice(0, 8)}-${traceId.slice(8)};Parent=${parentId}` },
+        builder
+      );
+      let headers = { accept: "application/json" };
+      expect(propagation.w3c.inject(builder, headers)).toBe(headers);
+      expect(headers).toEqual({
+        accept: "application/json",
+        traceparent: `00-${traceId}-${parentId}-01`,
+      });
+
+      expect(propagation.w3c.inject(honey.newBuilder())).toEqual({});
+    });
+
+    it("fits ids to formats with fixed-size hex ids", () => {
+      let short = { traceId: traceId.slice(16).toUpperCase(), parentId };
+      expect(propagation.w3c.inject(short)).toEqual({
+        traceparent: `00-${"0".repeat(16)}${traceId.slice(16)}-${parentId}-01`,
+      });
+      expect(propagation.b3.inject(short)).toEqual({
+        b3: `${traceId.slice(16)}-${parentId}`,
+      });
+
+      let uuid = "4bf92f35-77b3-4da6-a3ce-929d0e0e4736";
+      expect(propagation.xray.inject({ traceId: uuid, parentId })).toEqual({
+        "X-Amzn-Trace-Id": `Root=1-4bf92f35-77b34da6a3ce929d0e0e4736;Parent=${parentId}`,
+      });
+
+      // older beelines' span ids are UUIDs, which no 64-bit id can stand for.
+      let beeline = { traceId: uuid, parentId: "a8e8eb4d-6b3c-4ff6-9a1b-0f3e1c2d3b4a" };
+      let headers = { accept: "application/json" };
+      expect(propagation.w3c.inject(beeline, headers)).toEqual({
+        accept: "application/json",
+      });
+      expect(propagation.b3Multi.inject({ traceId: "not hex", parentId })).toEqual({});
+      expect(propagation.honeycomb.inject(beeline)).toEqual(honeycomb.serialize(beeline));
+    });
+
+    it("moves builders to the dataset of a honeycomb trace", () => {
+      let builder = newHoney().newBuilder();
+      propagation.honeycomb.extract(
+        honeycomb.serialize({ traceId: "t", parentId: "p", dataset: "upstream" }),
+        builder
+      );
+      expect(builder.dataset).toEqual("upstream");
+      expect(builder.startSpan("downstream").event.dataset).toEqual("upstream");
+
+      let other = newHoney().newBuilder();
+      propagation.honeycomb.extract(
+        honeycomb.serialize({ traceId: "t", parentId: "p" }),
+        other
+      );
+      expect(other.dataset).toEqual("testPropagation");
+    });
+  });
+});
@@ -0,0 +1,103 @@
+/* eslint-env node, jest */
+import { RulesSampler, resolveRulesSampler } from "../rules_sampler";
+
+describe("rules sampler", () => {
+  const rules = [
+    {
+      name: "errors",
+      conditions: [{ field: "error", operator: "exists" }],
+      sampleRate: 1,
+    },
+    {
+      name: "health",
+      conditions: [{ field: "route", operator: "=", value: "/health" }],
+      sampleRate: 100,
+    },
+    {
+      name: "slow api",
+      conditions: [
+        { field: "route", operator: "matches", value: "^/api/" },
+        { field: "durationMs", operator: ">", value: 1000 },
+      ],
+      sampleRate: 2,
+    },
+    { name: "default", sampleRate: 10 },
+  ];
+
+  it("picks the first rule whose conditions all hold", () => {
+    let sampler = new RulesSampler({ rules });
+    expect(
+      sampler.sample({ route: "/health", error: "boom" })
+    ).toEqual({ rule: "errors", sampleRate: 1 });
+    expect(sampler.sample({ route: "/health" })).toEqual({
+      rule: "health",
+      sampleRate: 100,
+    });
+    expect(sampler.sample({ route: "/api/users", durationMs: 1500 })).toEqual({
+      rule: "slow api",
+      sampleRate: 2,
+    });
+    expect(sampler.sample({ route: "/api/users", durationMs: 15 })).toEqual({
+      rule: "default",
+      sampleRate: 10,
+    });
+  });
+
+  it("supports every operator", () => {
+    const matches = (operator, value, fields) =>
+      new RulesSampler({
+        rules: [{ conditions: [{ field: "f", operator, value }], sampleRate: 5 }],
+      }).sample(fields) !== undefined;
+
+    expect(matches("=", 1, { f: 1 })).toBe(true);
+    expect(matches("=", 1, { f: "1" })).toBe(false);
+    expect(matches("!=", 1, { f: 2 })).toBe(true);
+    expect(matches(">", 1, { f: 2 })).toBe(true);
+    expect(matches(">", 1, { f: "2" })).toBe(false);
+    expect(matches(">=", 2, { f: 2 })).toBe(true);
+    expect(matches("<", 2, { f: 1 })).toBe(true);
+    expect(matches("<=", 1, { f: 2 })).toBe(false);
+    expect(matches("exists", undefined, { f: 0 })).toBe(true);
+    expect(matches("exists", undefined, {})).toBe(false);
+    expect(matches("not-exists", undefined, { f: null })).toBe(true);
+    expect(matches("matches", /^a/, { f: "abc" })).toBe(true);
+    expect(matches("matches", "^b", { f: "abc" })).toBe(false);
+  });
+
+  it("hands events to a rule's dynamic sampler", () => {
+    let sampler = new RulesSampler({
+      rules: [{ name: "dynamic", sampler: { getSampleRate: () => 7 } }],
+    });
+    expect(sampler.sample({})).toEqual({ rule: "dynamic", sampleRate: 7 });
+  });
+
+  it("names unnamed rules by their position", () => {
+    let sampler = resolveRulesSampler([
+      { conditions: [{ field: "a", operator: "exists" }], sampleRate: 3 },
+      { sampleRate: 4 },
+    ]);
+    expect(sampler.sample({})).toEqual({ rule: "rule 1", sampleRate: 4 });
+    expect(sampler.ruleField).toEqual("meta.sample_rule");
+  });
+
+  it("returns undefined when no rule matches", () => {
+    let sampler = new RulesSampler({
+      rules: [{ conditions: [{ field: "a", operator: "exists" }] }],
+    });
+    expect(sampler.sample({})).toBeUndefined();
+  });
+
+  it("rejects bad config", () => {
+    expect(() => resolveRulesSampler({ rules: "nope" })).toThrow(
+      "rulesSampler needs a list of rules."
+    );
+    expect(() =>
+      resolveRulesSampler([
+        { conditions: [{ field: "a", operator: "~=" }], sampleRate: 1 },
+      ])
+    ).toThrow('unknown rule operator "~="');
+    expect(() =>
+      resolveRulesSampler([{ conditions: [{ operator: "exists" }] }])
+    ).toThrow("rule conditions need a field name.");
+  });
+});
@@ -0,0 +1,173 @@
+/* eslint-env node, jest */
+import {
+  AvgSampleRateSampler,
+  EMASampleRateSampler,
+  TotalThroughputSampler,
+  deterministicSample,
+  resolveSampler,
+} from "../sampler";
+
+import crypto from "crypto";
+
+let now;
+
+const countEvents = (sampler, fields, n) => {
+  for (let i = 0; i < n; i++) {
+    sampler.getSampleRate(fields);
+  }
+};
+
+describe("dynamic samplers", () => {
+  beforeEach(() => {
+    now = 1000000;
+    jest.spyOn(Date, "now").mockImplementation(() => now);
+  });
+  afterEach(() => Date.now.mockRestore());
+
+  const key = (fields) => `${fields.status}:${fields.route}`;
+  const ok = { status: 200, route: "/" };
+  const failed = { status: 500, route: "/" };
+
+  describe("avgSampleRate", () => {
+    it("uses the goal rate until the first window closes", () => {
+      let sampler = new AvgSampleRateSampler({ key, goalSampleRate: 20 });
+      expect(sampler.getSampleRate(ok)).toEqual(20);
+    });
+
+    it("thins noisy keys and keeps rare ones", () => {
+      let sampler = new AvgSampleRateSampler({
+        key,
+        goalSampleRate: 10,
+        clearFrequencyMs: 30000,
+      });
+      countEvents(sampler, ok, 1000);
+      countEvents(sampler, failed, 10);
+
+      now += 30000;
+      expect(sampler.getSampleRate(ok)).toEqual(14);
+      expect(sampler.getSampleRate(failed)).toEqual(1);
+      // keys we haven't seen before are kept
+      expect(sampler.getSampleRate({ status: 404, route: "/" })).toEqual(1);
+    });
+
+    it("keeps everything when nothing repeats", () => {
+      let sampler = new AvgSampleRateSampler({ key, clearFrequencyMs: 1000 });
+      sampler.getSampleRate(ok);
+      sampler.getSampleRate(failed);
+
+      now += 1000;
+      expect(sampler.getSampleRate(ok)).toEqual(1);
+    });
+  });
+
+  describe("emaSampleRate", () => {
+    it("smooths counts across windows and ages out quiet keys", () => {
+      let sampler = new EMASampleRateSampler({
+        key,
+        adjustmentIntervalMs: 15000,
+      });
+      expect(sampler.getSampleRate(ok)).toEqual(10);
+      countEvents(sampler, ok, 999);
+      countEvents(sampler, failed, 10);
+
+      now += 15000;
+      expect(sampler.getSampleRate(ok)).toBeGreaterThan(1);
+      expect(sampler.getSampleRate(failed)).toEqual(1);
+      expect(sampler._movingAverage.get("500:/")).toEqual(5);
+
+      // with no more 500s, their average halves every window until it's forgotten
+      for (let i = 0; i < 4; i++) {
+        now += 15000;
+        sampler.getSampleRate(ok);
+      }
+      expect(sampler._movingAverage.has("500:/")).toBe(false);
+      expect(sampler._movingAverage.has("200:/")).toBe(true);
+    });
+  });
+
+  describe("totalThroughput", () => {
+    it("splits the goal throughput evenly across keys", () => {
+      let sampler = new TotalThroughputSampler({
+        key,
+        goalThroughputPerSec: 100,
+        clearFrequencyMs: 30000,
+      });
+      expect(sampler.getSampleRate(ok)).toEqual(1);
+      countEvents(sampler, ok, 2999);
+      countEvents(sampler, failed, 30);
+
+      now += 30000;
+      // 100 events a second against a goal of 50 for each key
+      expect(sampler.getSampleRate(ok)).toEqual(2);
+      expect(sampler.getSampleRate(failed)).toEqual(1);
+    });
+  });
+
+  describe("resolveSampler", () => {
+    it("builds built-in samplers from their config", () => {
+      expect(resolveSampler({ type: "avgSampleRate", key })).toBeInstanceOf(
+        AvgSampleRateSampler
+      );
+      expect(resolveSampler({ type: "emaSampleRate", key })).toBeInstanceOf(
+        EMASampleRateSampler
+      );
+      expect(resolveSampler({ type: "totalThroughput", key })).toBeInstanceOf(
+        TotalThroughputSampler
+      );
+    });
+
+    it("uses sampler objects as they are", () => {
+      let sampler = { getSampleRate: () => 5 };
+      expect(resolveSampler(sampler)).toBe(sampler);
+      expect(resolveSampler(undefined)).toBeUndefined();
+    });
+
+    it("warns about unknown sampler types", () => {
+      jest.spyOn(console, "warn").mockImplementation(() => {});
+      expect(resolveSampler({ type: "nope", key })).toBeUndefined();
+      expect(console.warn).toHaveBeenCalled();
+      console.warn.mockRestore();
+    });
+
+    it("requires a key function", () => {
+      expect(() => resolveSampler({ type: "avgSampleRate" })).toThrow(
+        "dynamic samplers need a key function over event fields."
+      );
+    });
+  });
+});
+
+describe("deterministicSample", () => {
+  // the Beelines' deterministic sampler, on node's own SHA-1
+  const beelineSample = (traceId, sampleRate) => {
+    let upperBound = Math.floor(0xffffffff / sampleRate);
+    let sum = crypto.createHash("sha1").update(traceId).digest();
+    return sum.readUInt32BE(0) <= upperBound;
+  };
+
+  it("makes the same decisions as the Beelines", () => {
+    for (let sampleRate of [2, 10, 17]) {
+      for (let i = 0; i < 200; i++) {
+        let traceId = `trace-${i}-${sampleRate}`;
+        expect(deterministicSample(traceId, sampleRate)).toEqual(
+          beelineSample(traceId, sampleRate)
+        );
+      }
+    }
+  });
+
+  it("keeps roughly 1 in sampleRate", () => {
+    let kept = 0;
+    for (let i = 0; i < 1000; i++) {
+      if (deterministicSample(`id-${i}`, 10)) {
+        kept++;
+      }
+    }
+    expect(kept).toBeGreaterThan(50);
+    expect(kept).toBeLessThan(150);
+  });
+
+  it("keeps everything at a sample rate of 1", () => {
+    expect(deterministicSample("anything", 1)).toBe(true);
+  });
+});
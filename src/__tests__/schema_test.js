@@ -0,0 +1,116 @@
+/* eslint-env node, jest */
+import { Schema, resolveSchemas } from "../schema";
+
+describe("schema", () => {
+  it("coerces values where nothing is lost", () => {
+    let schema = new Schema({
+      fields: {
+        status: "number",
+        count: "integer",
+        route: "string",
+        retried: "string",
+        ok: "boolean",
+        at: "date",
+        day: "date",
+      },
+    });
+    expect(
+      schema.check({
+        status: " 200 ",
+        count: "3",
+        route: "/users",
+        retried: 2,
+        ok: "TRUE",
+        at: "2024-03-01T12:30:00+02:00",
+        day: "2024-03-01",
+        other: "untouched",
+      })
+    ).toEqual({
+      fields: {
+        status: 200,
+        count: 3,
+        route: "/users",
+        retried: "2",
+        ok: true,
+        at: "2024-03-01T10:30:00.000Z",
+        day: "2024-03-01T00:00:00.000Z",
+        other: "untouched",
+      },
+      violations: [],
+    });
+  });
+
+  it("reports what it can't coerce, with field-level detail", () => {
+    let schema = new Schema({
+      fields: {
+        status: "number",
+        count: "integer",
+        big: "integer",
+        route: "string",
+        ok: "boolean",
+        at: "date",
+        local: "date",
+      },
+      required: ["status", "requestId"],
+    });
+    let data = {
+      status: "ok",
+      count: 1.5,
+      big: "12345678901234567890",
+      route: { path: "/" },
+      ok: "yes",
+      at: 1700000000000,
+      local: "2024-03-01T12:30:00",
+    };
+    let { fields, violations } = schema.check(data);
+    expect(fields).toEqual(data);
+    expect(violations).toEqual([
+      { field: "requestId", reason: "missing" },
+      { field: "status", reason: "type", expected: "number", actual: "string", value: "ok" },
+      { field: "count", reason: "type", expected: "integer", actual: "number", value: 1.5 },
+      {
+        field: "big",
+        reason: "type",
+        expected: "integer",
+        actual: "string",
+        value: "12345678901234567890",
+      },
+      { field: "route", reason: "type", expected: "string", actual: "object", value: { path: "/" } },
+      { field: "ok", reason: "type", expected: "boolean", actual: "string", value: "yes" },
+      { field: "at", reason: "type", expected: "date", actual: "number", value: 1700000000000 },
+      {
+        field: "local",
+        reason: "type",
+        expected: "date",
+        actual: "string",
+        value: "2024-03-01T12:30:00",
+      },
+    ]);
+  });
+
+  it("treats null as missing", () => {
+    let schema = new Schema({ fields: { status: "number" }, required: ["status"] });
+    expect(schema.check({ status: null }).violations).toEqual([
+      { field: "status", reason: "missing" },
+    ]);
+    expect(schema.check({}).violations).toEqual([{ field: "status", reason: "missing" }]);
+  });
+
+  it("rejects unknown types and onViolation settings", () => {
+    expect(() => new Schema({ fields: { a: "float" } })).toThrow(
+      'unknown schema type "float" for field "a"'
+    );
+    expect(() => new Schema({ onViolation: "ignore" })).toThrow(
+      'unknown schema onViolation "ignore"'
+    );
+  });
+
+  it("resolves schemas by dataset", () => {
+    let existing = new Schema({ onViolation: "drop" });
+    let schemas = resolveSchemas({ a: { fields: { x: "number" } }, b: existing });
+    expect(schemas.get("a")).toBeInstanceOf(Schema);
+    expect(schemas.get("a").drop).toBe(false);
+    expect(schemas.get("b")).toBe(existing);
+    expect(resolveSchemas(undefined)).toBeUndefined();
+  });
+});
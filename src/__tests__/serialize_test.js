@@ -0,0 +1,96 @@
+/* eslint-env node, jest */
+/* global BigInt */
+import { circularMarker, serializeFields } from "../serialize";
+
+describe("serializeFields", () => {
+  it("spreads errors out into fields", () => {
+    let err = new TypeError("bad thing");
+    err.code = "E_BAD";
+    let serialized = serializeFields({ error: err, list: [new Error("in a list")] });
+    expect(serialized["error.name"]).toEqual("TypeError");
+    expect(serialized["error.message"]).toEqual("bad thing");
+    expect(serialized["error.stack"]).toEqual(err.stack);
+    expect(serialized["error.code"]).toEqual("E_BAD");
+    expect(serialized.error).toBeUndefined();
+    expect(serialized.list[0].message).toEqual("in a list");
+  });
+
+  it("turns BigInts, Maps and Sets into JSON-friendly values", () => {
+    expect(
+      serializeFields({
+        big: BigInt("12345678901234567890"),
+        map: new Map([
+          ["a", 1],
+          [2, { b: BigInt(3) }],
+        ]),
+        set: new Set(["x", "y"]),
+      })
+    ).toEqual({
+      big: "12345678901234567890",
+      map: { a: 1, 2: { b: "3" } },
+      set: ["x", "y"],
+    });
+  });
+
+  it("base64 encodes binary data, up to maxBinaryBytes", () => {
+    let serialized = serializeFields(
+      {
+        buf: Buffer.from("hello world"),
+        bytes: new Uint8Array([0xff, 0x00]),
+        long: Buffer.alloc(100, 1),
+      },
+      { maxBinaryBytes: 10 }
+    );
+    expect(serialized.buf).toEqual(Buffer.from("hello worl").toString("base64"));
+    expect(serialized.bytes).toEqual("/wA=");
+    expect(Buffer.from(serialized.long, "base64")).toEqual(Buffer.alloc(10, 1));
+  });
+
+  it("replaces circular references with a marker", () => {
+    let a = { name: "a", list: [] };
+    a.self = a;
+    a.list.push(a);
+    let shared = { x: 1 };
+    expect(serializeFields({ a, shared, again: shared })).toEqual({
+      a: { name: "a", list: [circularMarker], self: circularMarker },
+      shared: { x: 1 },
+      again: { x: 1 },
+    });
+  });
+
+  it("follows JSON's rules for everything else", () => {
+    let date = new Date(0);
+    expect(
+      serializeFields({
+        date,
+        fn: () => 1,
+        undef: undefined,
+        list: [undefined, () => 1],
+        custom: { toJSON: () => "custom" },
+      })
+    ).toEqual({
+      date: "1970-01-01T00:00:00.000Z",
+      list: [null, null],
+      custom: "custom",
+    });
+  });
+
+  it("keeps Dates, binary data and BigInts for msgpack", () => {
+    let date = new Date();
+    let data = {
+      date,
+      buf: Buffer.from("abc"),
+      big: BigInt(5),
+      map: new Map([[1, "one"]]),
+      nested: { date },
+    };
+    let clone = serializeFields(data, { native: true });
+    expect(clone.date).toEqual(date);
+    expect(clone.date).not.toBe(date);
+    expect(clone.nested.date).toEqual(date);
+    expect(clone.buf).toEqual(Uint8Array.from([0x61, 0x62, 0x63]));
+    expect(clone.big).toEqual(BigInt(5));
+    // maps become objects either way, so redaction and flattening can see into them.
+    expect(clone.map).toEqual({ 1: "one" });
+  });
+});
@@ -0,0 +1,26 @@
+/* eslint-env node, jest */
+import { sha1 } from "../sha1";
+
+const hex = (bytes) => Buffer.from(bytes).toString("hex");
+
+describe("sha1", () => {
+  it("matches known digests", () => {
+    expect(hex(sha1(""))).toEqual("da39a3ee5e6b4b0d3255bfef95601890afd80709");
+    expect(hex(sha1("abc"))).toEqual(
+      "a9993e364706816aba3e25717850c26c9cd0d89d"
+    );
+    // spans several blocks
+    expect(hex(sha1("a".repeat(1000)))).toEqual(
+      "291e9a6c66994949b57ba5e650361e98fc36b1ba"
+    );
+  });
+
+  it("hashes strings as utf-8", () => {
+    expect(hex(sha1("héllo✓"))).toEqual(
+      "5610e1723f0a46a5e1b17215801607ecf34252ce"
+    );
+    expect(hex(sha1(new TextEncoder().encode("abc")))).toEqual(
+      "a9993e364706816aba3e25717850c26c9cd0d89d"
+    );
+  });
+});
@@ -0,0 +1,117 @@
+/* eslint-env node, jest */
+import { registerShutdownFlush, unregisterShutdownFlush } from "../shutdown";
+import libhoney from "../libhoney";
+
+// our handler is always the most recently added listener.
+const ourListener = event => process.listeners(event).slice(-1)[0];
+
+const fakeHoney = flush => ({ flush: jest.fn(flush || (() => Promise.resolve())) });
+
+describe("shutdown hooks", () => {
+  let honeys;
+  beforeEach(() => {
+    honeys = [];
+    jest.spyOn(process, "kill").mockImplementation(() => {});
+    jest.spyOn(process, "exit").mockImplementation(() => {});
+  });
+  afterEach(() => {
+    honeys.forEach(honey => unregisterShutdownFlush(honey));
+    jest.restoreAllMocks();
+  });
+
+  const register = (honey, timeoutMs = 1000) => {
+    honeys.push(honey);
+    registerShutdownFlush(honey, timeoutMs);
+    return honey;
+  };
+
+  it("registers one set of handlers however many instances there are", () => {
+    let counts = () =>
+      ["SIGTERM", "SIGINT", "beforeExit", "uncaughtException"].map(
+        event => process.listenerCount(event)
+      );
+    let before = counts();
+
+    let honey = register(fakeHoney());
+    register(fakeHoney());
+    register(honey);
+    expect(counts()).toEqual(before.map(n => n + 1));
+
+    unregisterShutdownFlush(honeys[0]);
+    expect(counts()).toEqual(before.map(n => n + 1));
+    unregisterShutdownFlush(honeys[1]);
+    expect(counts()).toEqual(before);
+  });
+
+  it("flushes every instance on SIGTERM, then re-raises it", async () => {
+    let honeys2 = [register(fakeHoney()), register(fakeHoney())];
+    jest.spyOn(process, "listenerCount").mockReturnValue(1);
+
+    ourListener("SIGTERM")();
+    await new Promise(resolve => setImmediate(resolve));
+
+    honeys2.forEach(honey => expect(honey.flush).toHaveBeenCalledTimes(1));
+    expect(process.kill).toHaveBeenCalledWith(process.pid, "SIGTERM");
+  });
+
+  it("gives up on flushes that outlast their deadline", async () => {
+    register(fakeHoney(() => new Promise(() => {})), 20);
+    jest.spyOn(process, "listenerCount").mockReturnValue(1);
+
+    ourListener("SIGINT")();
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(process.kill).toHaveBeenCalledWith(process.pid, "SIGINT");
+  });
+
+  it("leaves signals to the app when it handles them itself", async () => {
+    let honey = register(fakeHoney());
+    jest.spyOn(process, "listenerCount").mockReturnValue(2);
+
+    ourListener("SIGTERM")();
+    await new Promise(resolve => setImmediate(resolve));
+    expect(honey.flush).toHaveBeenCalled();
+    expect(process.kill).not.toHaveBeenCalled();
+  });
+
+  it("reports uncaught exceptions and exits after flushing", async () => {
+    let honey = register(fakeHoney());
+    jest.spyOn(process, "listenerCount").mockReturnValue(1);
+    jest.spyOn(console, "error").mockImplementation(() => {});
+
+    let err = new Error("boom");
+    ourListener("uncaughtException")(err);
+    await new Promise(resolve => setImmediate(resolve));
+    expect(honey.flush).toHaveBeenCalled();
+    expect(console.error).toHaveBeenCalledWith(err.stack);
+    expect(process.exit).toHaveBeenCalledWith(1);
+  });
+
+  it("flushes only once on beforeExit", async () => {
+    let honey = register(fakeHoney());
+
+    ourListener("beforeExit")();
+    await new Promise(resolve => setImmediate(resolve));
+    ourListener("beforeExit")();
+    expect(honey.flush).toHaveBeenCalledTimes(1);
+  });
+
+  it("is installed by the autoFlushOnExit option", () => {
+    let before = process.listenerCount("SIGTERM");
+    let honey = new libhoney({
+      writeKey: "12345",
+      dataset: "testShutdown",
+      transmission: "mock",
+      autoFlushOnExit: true,
+    });
+    let other = new libhoney({
+      writeKey: "12345",
+      dataset: "testShutdown",
+      transmission: "mock",
+    }).installShutdownHooks();
+    expect(process.listenerCount("SIGTERM")).toEqual(before + 1);
+
+    honey.removeShutdownHooks();
+    other.removeShutdownHooks();
+    expect(process.listenerCount("SIGTERM")).toEqual(before);
+  });
+});
@@ -0,0 +1,182 @@
+/* eslint-env node, jest */
+import { newSpanId, newTraceId } from "../span";
+import libhoney from "../libhoney";
+
+const newHoney = () =>
+  new libhoney({
+    apiHost: "http://foo/bar",
+    writeKey: "12345",
+    dataset: "testSpans",
+    transmission: "mock",
+  });
+
+describe("span", () => {
+  it("generates W3C-sized hex ids", () => {
+    expect(newTraceId()).toMatch(/^[0-9a-f]{32}$/);
+    expect(newSpanId()).toMatch(/^[0-9a-f]{16}$/);
+    expect(newTraceId()).not.toEqual(newTraceId());
+  });
+
+  it("sends a root span with trace fields and a duration", () => {
+    let honey = newHoney();
+    let span = honey.startSpan("handle request", { route: "/users" });
+    expect(honey.transmission.events).toEqual([]);
+
+    span.addField("user", "alice");
+    span.finish({ status: 200 });
+
+    let [ev] = honey.transmission.events;
+    expect(ev.dataset).toEqual("testSpans");
+    expect(ev.postData).toMatchObject({
+      name: "handle request",
+      route: "/users",
+      user: "alice",
+      status: 200,
+      "trace.trace_id": span.traceId,
+      "trace.span_id": span.spanId,
+    });
+    expect(ev.postData).not.toHaveProperty("trace.parent_id");
+    expect(typeof ev.postData.duration_ms).toEqual("number");
+    expect(ev.postData.duration_ms).toBeGreaterThanOrEqual(0);
+  });
+
+  it("parents child spans in the same trace", () => {
+    let honey = newHoney();
+    let builder = honey.newBuilder({ service: "api" });
+    builder.dataset = "otherDataset";
+
+    let root = builder.startSpan("root");
+    let child = root.startChild("child", { table: "users" });
+    let grandchild = child.startChild("grandchild");
+    grandchild.finish();
+    child.finish();
+    root.finish();
+
+    let events = honey.transmission.events;
+    expect(events.map((ev) => ev.postData.name)).toEqual([
+      "grandchild",
+      "child",
+      "root",
+    ]);
+    events.forEach((ev) => {
+      expect(ev.dataset).toEqual("otherDataset");
+      expect(ev.postData.service).toEqual("api");
+      expect(ev.postData["trace.trace_id"]).toEqual(root.traceId);
+    });
+    expect(events[0].postData["trace.parent_id"]).toEqual(child.spanId);
+    expect(events[1].postData["trace.parent_id"]).toEqual(root.spanId);
+    expect(events[1].postData.table).toEqual("users");
+  });
+
+  it("only sends once", () => {
+    let honey = newHoney();
+    let span = honey.startSpan("once");
+    span.finish();
+    span.finish();
+    expect(honey.transmission.events).toHaveLength(1);
+  });
+
+  it("sends span events and links with the span", () => {
+    let honey = newHoney();
+    let other = honey.startSpan("enqueue");
+    let span = honey.startSpan("process job");
+    span.addEvent("cache miss", { key: "user:1" });
+    span.addLink(other, { reason: "enqueued by" });
+    expect(honey.transmission.events).toEqual([]);
+    span.finish();
+
+    let [spanEvent, link, sent] = honey.transmission.events;
+    expect(sent.postData.name).toEqual("process job");
+    expect(spanEvent.postData).toEqual({
+      name: "cache miss",
+      key: "user:1",
+      "trace.trace_id": span.traceId,
+      "trace.parent_id": span.spanId,
+      "meta.annotation_type": "span_event",
+    });
+    expect(link.postData).toEqual({
+      reason: "enqueued by",
+      "trace.trace_id": span.traceId,
+      "trace.parent_id": span.spanId,
+      "meta.annotation_type": "link",
+      "trace.link.trace_id": other.traceId,
+      "trace.link.span_id": other.spanId,
+    });
+  });
+
+  it("keeps or drops a span's annotations along with it", () => {
+    let honey = newHoney();
+    let responses = [];
+    honey.on("response", (queue) => responses.push(...queue.splice(0)));
+    let random = jest.spyOn(Math, "random");
+    try {
+      random.mockReturnValueOnce(0.9);
+      let dropped = honey.startSpan("dropped");
+      dropped.event.sampleRate = 4;
+      dropped.addEvent("checkpoint");
+      dropped.finish();
+      expect(honey.transmission.events).toEqual([]);
+      expect(responses).toHaveLength(1);
+      expect(responses[0].error.message).toEqual("event dropped due to sampling");
+
+      random.mockReturnValueOnce(0.1);
+      let kept = honey.startSpan("kept");
+      kept.event.sampleRate = 4;
+      kept.addEvent("checkpoint");
+      kept.finish();
+      expect(random).toHaveBeenCalledTimes(2);
+      expect(honey.transmission.events.map((ev) => ev.postData.name)).toEqual([
+        "checkpoint",
+        "kept",
+      ]);
+      expect(honey.transmission.events.map((ev) => ev.sampleRate)).toEqual([4, 4]);
+    } finally {
+      random.mockRestore();
+    }
+  });
+
+  it("samples spans by their own fields and gives annotations the span's rate", () => {
+    let honey = new libhoney({
+      apiHost: "http://foo/bar",
+      writeKey: "12345",
+      dataset: "testSpans",
+      transmission: "mock",
+      deterministicSamplingField: "trace.trace_id",
+      rulesSampler: [
+        {
+          name: "slow",
+          conditions: [{ field: "name", operator: "=", value: "slow" }],
+          sampleRate: 1,
+        },
+        {
+          name: "checkpoints",
+          conditions: [{ field: "name", operator: "=", value: "checkpoint" }],
+          sampleRate: 1000,
+        },
+        { name: "rest", sampleRate: 3 },
+      ],
+    });
+    let span = honey.startSpan("slow");
+    span.addEvent("checkpoint");
+    span.finish();
+
+    let [annotation, sent] = honey.transmission.events;
+    expect(sent.postData["meta.sample_rule"]).toEqual("slow");
+    expect(annotation.sampleRate).toEqual(1);
+    expect(annotation.postData).not.toHaveProperty("meta.sample_rule");
+
+    for (let i = 0; i < 20; i++) {
+      let other = honey.startSpan("other");
+      other.addEvent("checkpoint");
+      other.finish();
+    }
+    let events = honey.transmission.events.splice(2);
+    expect(events.length % 2).toEqual(0);
+    expect(events.every((ev) => ev.sampleRate === 3)).toBe(true);
+    for (let i = 0; i < events.length; i += 2) {
+      expect(events[i].postData["trace.trace_id"]).toEqual(
+        events[i + 1].postData["trace.trace_id"]
+      );
+    }
+  });
+});
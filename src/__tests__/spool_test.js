@@ -0,0 +1,207 @@
+/* eslint-env node, jest */
+import Spool from "../spool";
+import { ValidatedEvent } from "../transmission";
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+const makeEvent = (postData = { a: 1 }) =>
+  new ValidatedEvent({
+    apiHost: "http://localhost:9999",
+    writeKey: "123456789",
+    dataset: "test-spool",
+    sampleRate: 1,
+    timestamp: new Date(),
+    postData,
+    metadata: { id: postData.a }
+  });
+
+// what's left on disk when `spool`'s process goes away.
+const crash = spool => spool.close();
+
+const replayAll = spool => {
+  let events = [];
+  spool.replay(ev => events.push(ev));
+  return events;
+};
+
+describe("spool", () => {
+  let dir;
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "libhoney-spool-"));
+  });
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("replays events that were never acked", async () => {
+    let spool = new Spool({ dir });
+    let acked = makeEvent({ a: 1 });
+    let unacked = makeEvent({ a: 2 });
+    expect(spool.append(acked)).toBe(true);
+    expect(spool.append(unacked)).toBe(true);
+    spool.ack(acked);
+    await crash(spool);
+
+    let events = replayAll(new Spool({ dir }));
+    expect(events).toHaveLength(1);
+    expect(events[0]).toBeInstanceOf(ValidatedEvent);
+    expect(events[0].postData).toEqual({ a: 2 });
+    expect(events[0].metadata).toEqual({ id: 2 });
+    expect(events[0].writeKey).toEqual("123456789");
+    expect(events[0].dataset).toEqual("test-spool");
+    expect(events[0].timestamp).toEqual(unacked.timestamp);
+
+    // replayed segments are removed, it's up to the caller to re-spool what it enqueues.
+    expect(fs.readdirSync(dir)).toHaveLength(0);
+  });
+
+  it("removes segments once all their events are acked", async () => {
+    let spool = new Spool({ dir, segmentBytes: 1 });
+    let events = [makeEvent({ a: 1 }), makeEvent({ a: 2 }), makeEvent({ a: 3 })];
+    events.forEach(ev => spool.append(ev));
+    await spool.flush();
+    expect(fs.readdirSync(dir)).toHaveLength(3);
+
+    spool.ack(events[0]);
+    spool.ack(events[1]);
+    // the current segment is kept around for further appends.
+    spool.ack(events[2]);
+    await crash(spool);
+    expect(fs.readdirSync(dir)).toHaveLength(1);
+
+    expect(replayAll(new Spool({ dir }))).toHaveLength(0);
+  });
+
+  it("skips events older than maxAge", async () => {
+    let spool = new Spool({ dir });
+    let old = makeEvent({ a: 1 });
+    old.spooledAt = Date.now() - 10000;
+    spool.append(old);
+    spool.append(makeEvent({ a: 2 }));
+    await crash(spool);
+
+    let events = replayAll(new Spool({ dir, maxAge: 5000 }));
+    expect(events.map(ev => ev.postData.a)).toEqual([2]);
+  });
+
+  it("stops spooling past maxBytes, and replays the newest events that fit", async () => {
+    let spool = new Spool({ dir });
+    spool.append(makeEvent({ a: 0 }));
+    await crash(spool);
+    let recordBytes = fs.statSync(path.join(dir, fs.readdirSync(dir)[0])).size;
+
+    spool = new Spool({ dir, maxBytes: recordBytes * 4.5 });
+    let appended = [1, 2, 3, 4, 5].filter(a => spool.append(makeEvent({ a })));
+    // the record left by the first spool counts towards the limit until it's replayed.
+    expect(appended).toEqual([1, 2, 3]);
+    await crash(spool);
+
+    let events = replayAll(new Spool({ dir, maxBytes: recordBytes * 2.5 }));
+    expect(events.map(ev => ev.postData.a)).toEqual([2, 3]);
+  });
+
+  it("ignores a partially written record", async () => {
+    let spool = new Spool({ dir });
+    spool.append(makeEvent({ a: 1 }));
+    await crash(spool);
+    let [segment] = fs.readdirSync(dir);
+    fs.appendFileSync(path.join(dir, segment), '{"id":2,"t":');
+
+    let events = replayAll(new Spool({ dir }));
+    expect(events.map(ev => ev.postData.a)).toEqual([1]);
+  });
+
+  it("writes records out asynchronously, in the background", async () => {
+    let spool = new Spool({ dir, flushInterval: 5 });
+    spool.append(makeEvent({ a: 1 }));
+    expect(fs.readdirSync(dir)).toHaveLength(0);
+
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(fs.readdirSync(dir)).toHaveLength(1);
+    await spool.close();
+  });
+
+  it("leaves segments of spools that are still open alone", async () => {
+    let live = new Spool({ dir });
+    live.append(makeEvent({ a: 1 }));
+    await live.flush();
+
+    let other = new Spool({ dir });
+    expect(replayAll(other)).toHaveLength(0);
+    expect(fs.readdirSync(dir)).toHaveLength(1);
+
+    await live.close();
+    expect(replayAll(new Spool({ dir })).map(ev => ev.postData.a)).toEqual([1]);
+  });
+
+  it("leaves segments of other running processes alone", () => {
+    let record = JSON.stringify({ id: 1, t: Date.now(), ev: { postData: { a: 1 } } }) + "\n";
+    // pid 1 is always running, and a pid past the kernel's limit never is.
+    fs.writeFileSync(path.join(dir, "1-1-abc-0.seg"), record);
+    fs.writeFileSync(path.join(dir, "1-99999999-abc-0.seg"), record);
+
+    expect(replayAll(new Spool({ dir }))).toHaveLength(1);
+    expect(fs.readdirSync(dir)).toEqual(["1-1-abc-0.seg"]);
+  });
+
+  it("skips segments another spool replays first", () => {
+    let record = JSON.stringify({ id: 1, t: Date.now(), ev: { postData: { a: 1 } } }) + "\n";
+    fs.writeFileSync(path.join(dir, "1-99999999-abc-0.seg"), record);
+
+    // both see the segment, but only the first to get to it replays it.
+    let first = new Spool({ dir });
+    let second = new Spool({ dir });
+    expect(replayAll(first)).toHaveLength(1);
+    expect(replayAll(second)).toHaveLength(0);
+    expect(fs.readdirSync(dir)).toHaveLength(0);
+    expect(second._totalBytes).toEqual(0);
+  });
+
+  it("treats segments that go away while it opens as already replayed", () => {
+    let record = JSON.stringify({ id: 1, t: Date.now(), ev: { postData: { a: 1 } } }) + "\n";
+    fs.writeFileSync(path.join(dir, "1-99999999-abc-0.seg"), record);
+    fs.writeFileSync(path.join(dir, "2-99999999-abc-0.seg"), record);
+
+    let statSync = jest.spyOn(fs, "statSync").mockImplementationOnce(() => {
+      throw Object.assign(new Error("no such file"), { code: "ENOENT" });
+    });
+    let spool;
+    try {
+      spool = new Spool({ dir });
+    } finally {
+      statSync.mockRestore();
+    }
+    expect(spool._totalBytes).toEqual(Buffer.byteLength(record));
+    fs.unlinkSync(path.join(dir, "1-99999999-abc-0.seg"));
+    expect(replayAll(spool)).toHaveLength(1);
+    expect(fs.readdirSync(dir)).toHaveLength(0);
+  });
+
+  it("leaves a segment it's replaying where only it will replay it", async () => {
+    let record = JSON.stringify({ id: 1, t: Date.now(), ev: { postData: { a: 1 } } }) + "\n";
+    fs.writeFileSync(path.join(dir, "1-99999999-abc-0.seg"), record);
+
+    let spool = new Spool({ dir });
+    let others = [];
+    spool.replay(() => {
+      // what another spool opened mid-replay sees.
+      others.push(replayAll(new Spool({ dir })).length);
+    });
+    expect(others).toEqual([0]);
+    await spool.close();
+  });
+
+  it("reports failed writes to its logger", async () => {
+    let logger = { warn: jest.fn() };
+    let spool = new Spool({ dir, logger });
+    fs.rmSync(dir, { recursive: true, force: true });
+    spool.append(makeEvent({ a: 1 }));
+    await spool.close();
+
+    expect(logger.warn).toHaveBeenCalledWith(
+      expect.stringMatching(/^unable to write to spool in /)
+    );
+  });
+});
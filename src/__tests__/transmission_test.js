@@ -1,15 +1,29 @@
 /* eslint-env node, jest */
+/* global BigInt */
 import "babel-polyfill";
 
 import { Transmission, ValidatedEvent } from "../transmission";
+import { decode, encode } from "../msgpack";
+import Spool from "../spool";
 
+import fs from "fs";
 import http from "http";
 import net from "net";
+import os from "os";
+import path from "path";
 import superagent from "superagent";
 import superagentMocker from "superagent-mocker";
+import zlib from "zlib";
 
 let mock;
 
+// global fetch, and closing the connections it keeps alive, need node 18.2 or later.
+const itWithFetch =
+  typeof fetch === "function" &&
+  typeof http.Server.prototype.closeAllConnections === "function"
+    ? it
+    : it.skip;
+
 describe("base transmission", () => {
   beforeEach(() => (mock = superagentMocker(superagent)));
   afterEach(() => {
@@ -242,6 +256,96 @@ describe("base transmission", () => {
     );
   });
 
+  it("should sample deterministically on deterministicSamplingField", () => {
+    let transmission = new Transmission({
+      batchTimeTrigger: 60000,
+      deterministicSamplingField: "trace.trace_id"
+    });
+    // decisions shouldn't depend on randomness at all
+    transmission._randomFn = () => {
+      throw new Error("sampled at random");
+    };
+    const newEvent = traceId =>
+      new ValidatedEvent({
+        apiHost: "http://localhost:9999",
+        writeKey: "123456789",
+        dataset: "test-transmission",
+        sampleRate: 10,
+        timestamp: new Date(),
+        postData: { "trace.trace_id": traceId }
+      });
+
+    let decisions = [];
+    for (let i = 0; i < 50; i++) {
+      let traceId = `trace-${i}`;
+      let first = transmission._shouldSendEvent(newEvent(traceId));
+      expect(transmission._shouldSendEvent(newEvent(traceId))).toEqual(first);
+      decisions.push(first);
+    }
+    expect(decisions).toContain(true);
+    expect(decisions).toContain(false);
+
+    // events without the field are sampled at random
+    transmission._randomFn = () => 0.05;
+    expect(transmission._shouldSendEvent(newEvent(undefined))).toBe(true);
+  });
+
+  it("should take sample rates from the sampler", async () => {
+    let batches = [];
+    mock.post("http://localhost:9999/1/batch/test-transmission", req => {
+      let batch = JSON.parse(req.body);
+      batches.push(batch);
+      return { text: JSON.stringify(batch.map(() => ({ status: 202 }))) };
+    });
+
+    let sampled = [];
+    let transmission = new Transmission({
+      batchTimeTrigger: 10,
+      sampler: {
+        getSampleRate(fields) {
+          sampled.push(fields);
+          return fields.noisy ? 4 : 1;
+        }
+      }
+    });
+    transmission._randomFn = () => 0.2;
+
+    [true, false].forEach(noisy =>
+      transmission.sendEvent(
+        new ValidatedEvent({
+          apiHost: "http://localhost:9999",
+          writeKey: "123456789",
+          dataset: "test-transmission",
+          sampleRate: 1,
+          timestamp: new Date(),
+          postData: { noisy }
+        })
+      )
+    );
+    await transmission.flush();
+
+    // events a sampling rule already picked a rate for are left alone
+    let ruled = new ValidatedEvent({
+      apiHost: "http://localhost:9999",
+      writeKey: "123456789",
+      dataset: "test-transmission",
+      sampleRate: 100,
+      timestamp: new Date(),
+      postData: { noisy: true }
+    });
+    ruled.sampleRule = "some rule";
+    transmission._randomFn = () => 0.5;
+    transmission._droppedCallback = () => {};
+    transmission.sendEvent(ruled);
+    expect(ruled.sampleRate).toEqual(100);
+
+    expect(sampled).toEqual([{ noisy: true }, { noisy: false }]);
+    expect(batches).toHaveLength(1);
+    expect(batches[0]).toHaveLength(2);
+    expect(batches[0][0].samplerate).toEqual(4);
+    expect(batches[0][1].samplerate).toEqual(1);
+  });
+
   it("should drop events beyond the pendingWorkCapacity", done => {
     let eventDropped;
     let droppedExpected = 5;
@@ -518,6 +622,482 @@ describe("base transmission", () => {
     }
   });
 
+  it("should retry batches that fail with a retryable error", done => {
+    let requestCount = 0;
+    mock.post("http://localhost:9999/1/batch/test-transmission", req => {
+      requestCount++;
+      if (requestCount < 3) {
+        return { status: 503 };
+      }
+      let reqEvents = JSON.parse(req.body);
+      let resp = reqEvents.map(() => ({ status: 202 }));
+      return { text: JSON.stringify(resp) };
+    });
+
+    let transmission = new Transmission({
+      batchTimeTrigger: 10,
+      maxRetries: 3,
+      retryInitialDelay: 5,
+      responseCallback(queue) {
+        let responses = queue.splice(0, queue.length);
+        expect(responses).toHaveLength(2);
+        responses.forEach(resp => {
+          expect(resp.error).toBeUndefined();
+          expect(resp.status_code).toEqual(202);
+          expect(resp.attempts).toEqual(3);
+        });
+        expect(requestCount).toEqual(3);
+        done();
+      }
+    });
+
+    for (let i = 0; i < 2; i++) {
+      transmission.sendEvent(
+        new ValidatedEvent({
+          apiHost: "http://localhost:9999",
+          writeKey: "123456789",
+          dataset: "test-transmission",
+          sampleRate: 1,
+          timestamp: new Date(),
+          postData: { a: 1, b: 2 }
+        })
+      );
+    }
+  });
+
+  it("should give up after maxRetries", async () => {
+    let requestCount = 0;
+    let responses = [];
+    mock.post("http://localhost:9999/1/batch/test-transmission", _req => {
+      requestCount++;
+      return { status: 500 };
+    });
+
+    let transmission = new Transmission({
+      batchTimeTrigger: 10,
+      maxRetries: 2,
+      retryInitialDelay: 5,
+      responseCallback(queue) {
+        responses.push(...queue.splice(0, queue.length));
+      }
+    });
+
+    transmission.sendEvent(
+      new ValidatedEvent({
+        apiHost: "http://localhost:9999",
+        writeKey: "123456789",
+        dataset: "test-transmission",
+        sampleRate: 1,
+        timestamp: new Date(),
+        postData: { a: 1, b: 2 }
+      })
+    );
+
+    await transmission.flush();
+    expect(requestCount).toEqual(3);
+    expect(responses).toHaveLength(1);
+    expect(responses[0].status_code).toEqual(500);
+    expect(responses[0].attempts).toEqual(3);
+  });
+
+  it("should give up once retryMaxTotalDelay would be exceeded", async () => {
+    let requestCount = 0;
+    let responses = [];
+    mock.post("http://localhost:9999/1/batch/test-transmission", _req => {
+      requestCount++;
+      return { status: 429 };
+    });
+
+    let transmission = new Transmission({
+      batchTimeTrigger: 10,
+      maxRetries: 10,
+      retryInitialDelay: 10,
+      retryMaxTotalDelay: 35,
+      responseCallback(queue) {
+        responses.push(...queue.splice(0, queue.length));
+      }
+    });
+    transmission._jitterFn = () => 1;
+
+    transmission.sendEvent(
+      new ValidatedEvent({
+        apiHost: "http://localhost:9999",
+        writeKey: "123456789",
+        dataset: "test-transmission",
+        sampleRate: 1,
+        timestamp: new Date(),
+        postData: { a: 1, b: 2 }
+      })
+    );
+
+    await transmission.flush();
+    // delays of 10ms and 20ms fit within 35ms, a third retry (40ms) would not.
+    expect(requestCount).toEqual(3);
+    expect(responses).toHaveLength(1);
+    expect(responses[0].attempts).toEqual(3);
+  });
+
+  it("should not retry non-retryable errors", async () => {
+    let requestCount = 0;
+    let responses = [];
+    mock.post("http://localhost:9999/1/batch/test-transmission", _req => {
+      requestCount++;
+      return { status: 401 };
+    });
+
+    let transmission = new Transmission({
+      batchTimeTrigger: 10,
+      maxRetries: 3,
+      retryInitialDelay: 5,
+      responseCallback(queue) {
+        responses.push(...queue.splice(0, queue.length));
+      }
+    });
+
+    transmission.sendEvent(
+      new ValidatedEvent({
+        apiHost: "http://localhost:9999",
+        writeKey: "123456789",
+        dataset: "test-transmission",
+        sampleRate: 1,
+        timestamp: new Date(),
+        postData: { a: 1, b: 2 }
+      })
+    );
+
+    await transmission.flush();
+    expect(requestCount).toEqual(1);
+    expect(responses).toHaveLength(1);
+    expect(responses[0].status_code).toEqual(401);
+    expect(responses[0].attempts).toEqual(1);
+  });
+
+  it("should fail without retrying batches whose 2xx response can't be parsed", async () => {
+    let requestCount = 0;
+    let responses = [];
+    mock.post("http://localhost:9999/1/batch/test-transmission", _req => {
+      requestCount++;
+      return { status: 200, text: "<html>not json</html>" };
+    });
+
+    let transmission = new Transmission({
+      batchTimeTrigger: 10,
+      maxRetries: 3,
+      retryInitialDelay: 5,
+      responseCallback(queue) {
+        responses.push(...queue.splice(0, queue.length));
+      }
+    });
+
+    transmission.sendEvent(
+      new ValidatedEvent({
+        apiHost: "http://localhost:9999",
+        writeKey: "123456789",
+        dataset: "test-transmission",
+        sampleRate: 1,
+        timestamp: new Date(),
+        postData: { a: 1, b: 2 }
+      })
+    );
+
+    await expect(transmission.flush()).resolves.toEqual({
+      sent: 0,
+      failed: 1,
+      pending: 0
+    });
+    expect(requestCount).toEqual(1);
+    expect(responses).toHaveLength(1);
+    expect(responses[0].status_code).toEqual(200);
+    expect(responses[0].error.message).toMatch(/unable to parse the batch response/);
+    expect(responses[0].attempts).toEqual(1);
+  });
+
+  it("should hold events for an endpoint throttled with Retry-After, but not others", async () => {
+    let requests = [];
+    let throttles = [];
+    let responses = [];
+    mock.post("http://localhost:9999/1/batch/:dataset", req => {
+      requests.push({ dataset: req.params.dataset, at: Date.now() });
+      if (req.params.dataset === "throttled" && requests.length === 1) {
+        return { status: 429, headers: { "retry-after": "1" } };
+      }
+      let reqEvents = JSON.parse(req.body);
+      let resp = reqEvents.map(() => ({ status: 202 }));
+      return { text: JSON.stringify(resp) };
+    });
+
+    let transmission = new Transmission({
+      batchTimeTrigger: 10,
+      maxRetries: 1,
+      retryInitialDelay: 5,
+      throttledCallback(throttle) {
+        throttles.push(throttle);
+      },
+      responseCallback(queue) {
+        responses.push(...queue.splice(0, queue.length));
+      }
+    });
+
+    let makeEvent = dataset =>
+      new ValidatedEvent({
+        apiHost: "http://localhost:9999",
+        writeKey: "123456789",
+        dataset,
+        sampleRate: 1,
+        timestamp: new Date(),
+        postData: { a: 1, b: 2 }
+      });
+
+    transmission.sendEvent(makeEvent("throttled"));
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    expect(throttles).toHaveLength(1);
+    expect(throttles[0].dataset).toEqual("throttled");
+    expect(throttles[0].status_code).toEqual(429);
+    expect(throttles[0].retryAfter).toEqual(1000);
+
+    let throttledAt = requests[0].at;
+    transmission.sendEvent(makeEvent("throttled"));
+    transmission.sendEvent(makeEvent("unthrottled"));
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    // the other dataset keeps flowing while the throttled one is held.
+    expect(requests.map(r => r.dataset)).toEqual(["throttled", "unthrottled"]);
+
+    await transmission.flush();
+    expect(requests.map(r => r.dataset)).toEqual([
+      "throttled",
+      "unthrottled",
+      "throttled"
+    ]);
+    expect(requests[2].at - throttledAt).toBeGreaterThanOrEqual(1000);
+    expect(responses).toHaveLength(3);
+    responses.forEach(resp => expect(resp.status_code).toEqual(202));
+  });
+
+  it("should cap how long Retry-After can pause sending", () => {
+    let throttles = [];
+    let transmission = new Transmission({
+      throttledCallback(throttle) {
+        throttles.push(throttle);
+      }
+    });
+    let batch = {
+      apiHost: "http://localhost:9999",
+      writeKey: "123456789",
+      dataset: "capped"
+    };
+    let now = Date.now();
+    const throttle = retryAfter =>
+      transmission._maybeThrottle(
+        batch,
+        { status: 429, response: { headers: { "retry-after": retryAfter } } },
+        now
+      );
+
+    throttle("86400");
+    throttle(new Date(now + 7 * 24 * 60 * 60 * 1000).toUTCString());
+    expect(throttles).toHaveLength(1);
+    expect(throttles[0].retryAfter).toEqual(60000);
+    expect(throttles[0].until.getTime()).toEqual(now + 60000);
+  });
+
+  it("should not throttle on a 503 without Retry-After", async () => {
+    let throttled = false;
+    mock.post("http://localhost:9999/1/batch/test-transmission", _req => {
+      return { status: 503 };
+    });
+
+    let transmission = new Transmission({
+      batchTimeTrigger: 10,
+      throttledCallback() {
+        throttled = true;
+      }
+    });
+
+    transmission.sendEvent(
+      new ValidatedEvent({
+        apiHost: "http://localhost:9999",
+        writeKey: "123456789",
+        dataset: "test-transmission",
+        sampleRate: 1,
+        timestamp: new Date(),
+        postData: { a: 1, b: 2 }
+      })
+    );
+
+    await transmission.flush();
+    expect(throttled).toBe(false);
+    expect(Object.keys(transmission._throttledUntil)).toHaveLength(0);
+  });
+
+  it("should keep events that failed with a retryable error spooled", async () => {
+    let dir = fs.mkdtempSync(path.join(os.tmpdir(), "libhoney-spool-"));
+    mock.post("http://localhost:9999/1/batch/:dataset", req => {
+      if (req.params.dataset === "unavailable") {
+        return { status: 503 };
+      }
+      if (req.params.dataset === "unauthorized") {
+        return { status: 401 };
+      }
+      let reqEvents = JSON.parse(req.body);
+      let resp = reqEvents.map(() => ({ status: 202 }));
+      return { text: JSON.stringify(resp) };
+    });
+
+    let spool = new Spool({ dir });
+    let transmission = new Transmission({
+      batchTimeTrigger: 10,
+      spool
+    });
+
+    ["ok", "unavailable", "unauthorized"].forEach(dataset =>
+      transmission.sendEvent(
+        new ValidatedEvent({
+          apiHost: "http://localhost:9999",
+          writeKey: "123456789",
+          dataset,
+          sampleRate: 1,
+          timestamp: new Date(),
+          postData: { a: 1, b: 2 }
+        })
+      )
+    );
+    await transmission.flush();
+    await spool.close();
+
+    let replayed = [];
+    new Spool({ dir }).replay(ev => replayed.push(ev));
+    expect(replayed.map(ev => ev.dataset)).toEqual(["unavailable"]);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("should split batches to stay under maxBatchBytes", async () => {
+    let requestSizes = [];
+    let responses = [];
+    mock.post("http://localhost:9999/1/batch/test-transmission", req => {
+      requestSizes.push(Buffer.byteLength(req.body));
+      let reqEvents = JSON.parse(req.body);
+      let resp = reqEvents.map(() => ({ status: 202 }));
+      return { text: JSON.stringify(resp) };
+    });
+
+    let transmission = new Transmission({
+      batchTimeTrigger: 10,
+      maxBatchBytes: 400,
+      responseCallback(queue) {
+        responses.push(...queue.splice(0, queue.length));
+      }
+    });
+
+    for (let i = 0; i < 10; i++) {
+      transmission.sendEvent(
+        new ValidatedEvent({
+          apiHost: "http://localhost:9999",
+          writeKey: "123456789",
+          dataset: "test-transmission",
+          sampleRate: 1,
+          timestamp: new Date(),
+          postData: { field: "x".repeat(50), i }
+        })
+      );
+    }
+
+    await transmission.flush();
+    expect(requestSizes.length).toBeGreaterThan(1);
+    requestSizes.forEach(size => expect(size).toBeLessThanOrEqual(400));
+    expect(responses).toHaveLength(10);
+    responses.forEach(resp => expect(resp.status_code).toEqual(202));
+  });
+
+  it("should reject events over maxEventBytes without failing their batch", async () => {
+    let sentEvents = [];
+    let responses = [];
+    mock.post("http://localhost:9999/1/batch/test-transmission", req => {
+      let reqEvents = JSON.parse(req.body);
+      sentEvents.push(...reqEvents);
+      let resp = reqEvents.map(() => ({ status: 202 }));
+      return { text: JSON.stringify(resp) };
+    });
+
+    let transmission = new Transmission({
+      batchTimeTrigger: 10,
+      maxEventBytes: 200,
+      responseCallback(queue) {
+        responses.push(...queue.splice(0, queue.length));
+      }
+    });
+
+    [1, 2, 3].forEach(i =>
+      transmission.sendEvent(
+        new ValidatedEvent({
+          apiHost: "http://localhost:9999",
+          writeKey: "123456789",
+          dataset: "test-transmission",
+          sampleRate: 1,
+          timestamp: new Date(),
+          postData: { field: i === 2 ? "x".repeat(500) : "small" },
+          metadata: i
+        })
+      )
+    );
+
+    await transmission.flush();
+    expect(sentEvents).toHaveLength(2);
+    expect(responses).toHaveLength(3);
+    let rejected = responses.find(resp => resp.metadata === 2);
+    expect(rejected.status_code).toBeUndefined();
+    expect(rejected.error.message).toMatch(/exceeds maxEventBytes/);
+    responses
+      .filter(resp => resp.metadata !== 2)
+      .forEach(resp => expect(resp.status_code).toEqual(202));
+  });
+
+  it("should truncate events over maxEventBytes when configured to", async () => {
+    let sentEvents = [];
+    let responses = [];
+    mock.post("http://localhost:9999/1/batch/test-transmission", req => {
+      let reqEvents = JSON.parse(req.body);
+      sentEvents.push(...reqEvents);
+      let resp = reqEvents.map(() => ({ status: 202 }));
+      return { text: JSON.stringify(resp) };
+    });
+
+    let transmission = new Transmission({
+      batchTimeTrigger: 10,
+      maxEventBytes: 200,
+      truncateOversizedEvents: true,
+      responseCallback(queue) {
+        responses.push(...queue.splice(0, queue.length));
+      }
+    });
+
+    transmission.sendEvent(
+      new ValidatedEvent({
+        apiHost: "http://localhost:9999",
+        writeKey: "123456789",
+        dataset: "test-transmission",
+        sampleRate: 1,
+        timestamp: new Date(),
+        postData: {
+          big: "x".repeat(500),
+          nested: { also: "y".repeat(500) },
+          small: "kept"
+        }
+      })
+    );
+
+    await transmission.flush();
+    expect(sentEvents).toHaveLength(1);
+    expect(Buffer.byteLength(JSON.stringify(sentEvents[0]))).toBeLessThanOrEqual(200);
+    expect(sentEvents[0].data.small).toEqual("kept");
+    expect(sentEvents[0].data.nested).toBeUndefined();
+    expect(sentEvents[0].data.big).toMatch(/^x+\.\.\.\[truncated\]$/);
+    expect(responses).toHaveLength(1);
+    expect(responses[0].status_code).toEqual(202);
+    expect(responses[0].truncated).toBe(true);
+  });
+
   it("should block on flush", async () => {
     let responseCount = 0;
     let responseExpected = 50;
@@ -555,6 +1135,146 @@ describe("base transmission", () => {
     expect(responseCount).toBe(responseExpected);
   });
 
+  it("should send queued events on flush without waiting for the batch timer", async () => {
+    mock.post("http://localhost:9999/1/batch/test-transmission", req => ({
+      text: JSON.stringify(JSON.parse(req.body).map(() => ({ status: 202 })))
+    }));
+
+    let responses = [];
+    let transmission = new Transmission({
+      batchTimeTrigger: 60000,
+      responseCallback: queue => responses.push(...queue.splice(0))
+    });
+    transmission.sendEvent(
+      new ValidatedEvent({
+        apiHost: "http://localhost:9999",
+        writeKey: "123456789",
+        dataset: "test-transmission",
+        sampleRate: 1,
+        timestamp: new Date(),
+        postData: { a: 1 }
+      })
+    );
+
+    let start = Date.now();
+    await transmission.flush();
+    expect(Date.now() - start).toBeLessThan(1000);
+    expect(responses).toHaveLength(1);
+  });
+
+  it("should resolve flush with a summary of how events fared", async () => {
+    mock.post("http://localhost:9999/1/batch/test-transmission", req => ({
+      text: JSON.stringify(
+        JSON.parse(req.body).map(ev =>
+          ev.data.ok ? { status: 202 } : { status: 400, err: "bad event" }
+        )
+      )
+    }));
+
+    let transmission = new Transmission({ batchTimeTrigger: 60000 });
+    [true, true, false].forEach(ok =>
+      transmission.sendEvent(
+        new ValidatedEvent({
+          apiHost: "http://localhost:9999",
+          writeKey: "123456789",
+          dataset: "test-transmission",
+          sampleRate: 1,
+          timestamp: new Date(),
+          postData: { ok }
+        })
+      )
+    );
+
+    await expect(transmission.flush()).resolves.toEqual({
+      sent: 2,
+      failed: 1,
+      pending: 0
+    });
+    // nothing left to wait on
+    await expect(transmission.flush()).resolves.toEqual({
+      sent: 0,
+      failed: 0,
+      pending: 0
+    });
+  });
+
+  it("should stop waiting on flush at timeoutMs", async () => {
+    let requests = [];
+    const server = http.createServer((req, res) => requests.push(res));
+    await new Promise(resolve => server.listen(6672, "localhost", resolve));
+
+    let responses = [];
+    let transmission = new Transmission({
+      batchTimeTrigger: 60000,
+      responseCallback: queue => responses.push(...queue.splice(0))
+    });
+    transmission.sendEvent(
+      new ValidatedEvent({
+        apiHost: "http://localhost:6672",
+        writeKey: "123456789",
+        dataset: "test-transmission",
+        sampleRate: 1,
+        timestamp: new Date(),
+        postData: { a: 1 }
+      })
+    );
+
+    try {
+      await expect(transmission.flush({ timeoutMs: 100 })).resolves.toEqual({
+        sent: 0,
+        failed: 0,
+        pending: 1
+      });
+      expect(responses).toHaveLength(0);
+    } finally {
+      requests.forEach(res => res.destroy());
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  it("should fail queued events on close and drop events sent after it", async () => {
+    let sent = 0;
+    mock.post("http://localhost:9999/1/batch/test-transmission", () => {
+      sent++;
+      return { text: JSON.stringify([{ status: 202 }]) };
+    });
+
+    let responses = [];
+    let transmission = new Transmission({
+      batchTimeTrigger: 60000,
+      responseCallback: queue => responses.push(...queue.splice(0))
+    });
+    const newEvent = metadata =>
+      new ValidatedEvent({
+        apiHost: "http://localhost:9999",
+        writeKey: "123456789",
+        dataset: "test-transmission",
+        sampleRate: 1,
+        timestamp: new Date(),
+        postData: { a: 1 },
+        metadata
+      });
+
+    transmission.sendEvent(newEvent("queued"));
+    transmission.close();
+    expect(transmission._sendTimeoutId).toEqual(-1);
+    expect(responses).toHaveLength(1);
+    expect(responses[0].metadata).toEqual("queued");
+    expect(responses[0].error.message).toEqual(
+      "transmission closed before the event was sent"
+    );
+
+    transmission.sendEvent(newEvent("late"));
+    expect(responses).toHaveLength(2);
+    expect(responses[1].error.message).toEqual("transmission is closed");
+    await expect(transmission.flush()).resolves.toEqual({
+      sent: 0,
+      failed: 0,
+      pending: 0
+    });
+    expect(sent).toEqual(0);
+  });
+
   it("should allow user-agent additions", done => {
     let responseCount = 0;
     let responseExpected = 2;
@@ -623,7 +1343,9 @@ describe("base transmission", () => {
 
     let transmission = new Transmission({
       batchTimeTrigger: 10000, // larger than the mocha timeout
-      batchSizeTrigger: 0
+      batchSizeTrigger: 0,
+      // jest has no XMLHttpRequest, which would otherwise have us pick fetch.
+      httpClient: "superagent"
     });
 
     mock.post("http://localhost:9999/1/batch/browser-test", req => {
@@ -654,6 +1376,327 @@ describe("base transmission", () => {
     );
   });
 
+  it("should compress batches when configured to", done => {
+    const server = http.createServer((req, res) => {
+      let chunks = [];
+      req.on("data", chunk => chunks.push(chunk));
+      req.on("end", () => {
+        let events = JSON.parse(zlib.gunzipSync(Buffer.concat(chunks)).toString());
+        expect(req.headers["content-encoding"]).toEqual("gzip");
+        expect(req.headers["content-type"]).toEqual("application/json");
+        res.writeHead(200, { "Content-Type": "application/json" });
+        res.end(JSON.stringify(events.map(() => ({ status: 202 }))));
+      });
+    });
+    server.listen(6667, "localhost", () => {
+      let transmission = new Transmission({
+        batchTimeTrigger: 10,
+        compression: "gzip",
+        responseCallback(queue) {
+          let responses = queue.splice(0, queue.length);
+          expect(responses).toHaveLength(1);
+          expect(responses[0].status_code).toEqual(202);
+          server.close(() => done());
+        }
+      });
+
+      transmission.sendEvent(
+        new ValidatedEvent({
+          apiHost: "http://localhost:6667",
+          writeKey: "123456789",
+          dataset: "test-transmission",
+          sampleRate: 1,
+          timestamp: new Date(),
+          postData: { a: 1, b: 2 }
+        })
+      );
+    });
+  });
+
+  it("should encode batches as msgpack and parse msgpack responses", done => {
+    let timestamp = new Date(1500000000123);
+    const server = http.createServer((req, res) => {
+      let chunks = [];
+      req.on("data", chunk => chunks.push(chunk));
+      req.on("end", () => {
+        let events = decode(Buffer.concat(chunks));
+        expect(req.headers["content-type"]).toEqual("application/msgpack");
+        expect(events).toHaveLength(1);
+        expect(events[0].time).toEqual(timestamp);
+        expect(events[0].samplerate).toEqual(1);
+        expect(events[0].data.when).toEqual(timestamp);
+        res.writeHead(200, { "Content-Type": "application/msgpack" });
+        res.end(Buffer.from(encode(events.map(() => ({ status: 202 })))));
+      });
+    });
+    server.listen(6668, "localhost", () => {
+      let transmission = new Transmission({
+        batchTimeTrigger: 10,
+        encoding: "msgpack",
+        responseCallback(queue) {
+          let responses = queue.splice(0, queue.length);
+          expect(responses).toHaveLength(2);
+          expect(responses[0].status_code).toEqual(202);
+          // the event that can't be encoded is reported, but doesn't fail the batch
+          expect(responses[1].error).toBeInstanceOf(RangeError);
+          server.close(() => done());
+        }
+      });
+
+      transmission.sendEvent(
+        new ValidatedEvent({
+          apiHost: "http://localhost:6668",
+          writeKey: "123456789",
+          dataset: "test-transmission",
+          sampleRate: 1,
+          timestamp,
+          postData: { when: timestamp }
+        })
+      );
+      transmission.sendEvent(
+        new ValidatedEvent({
+          apiHost: "http://localhost:6668",
+          writeKey: "123456789",
+          dataset: "test-transmission",
+          sampleRate: 1,
+          timestamp,
+          postData: { tooBig: BigInt("18446744073709551616") }
+        })
+      );
+    });
+  });
+
+  itWithFetch("should send batches and map responses with the fetch client", done => {
+    const server = http.createServer((req, res) => {
+      let chunks = [];
+      req.on("data", chunk => chunks.push(chunk));
+      req.on("end", () => {
+        let events = JSON.parse(Buffer.concat(chunks).toString());
+        expect(events.map(ev => ev.data.n)).toEqual([1, 2]);
+        expect(req.headers["x-honeycomb-team"]).toEqual("123456789");
+        expect(req.headers["user-agent"]).toMatch(/^libhoney-js\//);
+        res.writeHead(200, { "Content-Type": "application/json" });
+        res.end(JSON.stringify([{ status: 202 }, { status: 400, err: "bad" }]));
+      });
+    });
+    server.listen(6670, "localhost", () => {
+      let transmission = new Transmission({
+        batchTimeTrigger: 10,
+        httpClient: "fetch",
+        responseCallback(queue) {
+          let responses = queue.splice(0, queue.length);
+          expect(responses.map(r => r.status_code)).toEqual([202, 400]);
+          expect(responses.map(r => r.metadata)).toEqual(["one", "two"]);
+          expect(responses[1].error).toEqual("bad");
+          server.closeAllConnections();
+          server.close(() => done());
+        }
+      });
+
+      [1, 2].forEach(n =>
+        transmission.sendEvent(
+          new ValidatedEvent({
+            apiHost: "http://localhost:6670",
+            writeKey: "123456789",
+            dataset: "test-transmission",
+            sampleRate: 1,
+            timestamp: new Date(),
+            postData: { n },
+            metadata: n === 1 ? "one" : "two"
+          })
+        )
+      );
+    });
+  });
+
+  describe("flushOnPageHide", () => {
+    let fetch = global.fetch;
+    afterEach(() => {
+      global.fetch = fetch;
+      delete global.navigator;
+    });
+
+    const queueEvents = (transmission, count) => {
+      for (let i = 0; i < count; i++) {
+        transmission.sendEvent(
+          new ValidatedEvent({
+            apiHost: "http://localhost:9999",
+            writeKey: "123456789",
+            dataset: "test-pagehide",
+            sampleRate: 1,
+            timestamp: new Date(),
+            postData: { i, padding: "x".repeat(2000) },
+            metadata: i
+          })
+        );
+      }
+    };
+
+    itWithFetch("should send the whole queue with keepalive fetches under the beacon size limit", async () => {
+      let requests = [];
+      global.fetch = jest.fn((url, init) => {
+        requests.push(init);
+        let count = JSON.parse(init.body).length;
+        return Promise.resolve(
+          new Response(JSON.stringify(new Array(count).fill({ status: 202 })), {
+            headers: { "Content-Type": "application/json" }
+          })
+        );
+      });
+
+      let responses = [];
+      let transmission = new Transmission({
+        batchSizeTrigger: 1000,
+        batchTimeTrigger: 60000,
+        maxBatchBytes: 20000,
+        compression: "gzip",
+        responseCallback: queue => responses.push(...queue.splice(0))
+      });
+      queueEvents(transmission, 20);
+      transmission.flushOnPageHide();
+      await transmission.flush();
+
+      expect(requests.length).toBeGreaterThan(1);
+      requests.forEach(init => {
+        expect(init.keepalive).toBe(true);
+        expect(init.headers["Content-Encoding"]).toBeUndefined();
+        expect(init.body.length).toBeLessThanOrEqual(20000);
+      });
+      expect(responses).toHaveLength(20);
+      expect(responses.every(r => r.status_code === 202)).toBe(true);
+    });
+
+    itWithFetch("should drop what doesn't fit in the browser's limit on keepalive requests", async () => {
+      let requests = [];
+      global.fetch = jest.fn((url, init) => {
+        requests.push(init);
+        let count = JSON.parse(init.body).length;
+        return Promise.resolve(
+          new Response(JSON.stringify(new Array(count).fill({ status: 202 })), {
+            headers: { "Content-Type": "application/json" }
+          })
+        );
+      });
+
+      let responses = [];
+      let transmission = new Transmission({
+        batchSizeTrigger: 1000,
+        batchTimeTrigger: 60000,
+        maxBatchBytes: 20000,
+        responseCallback: queue => responses.push(...queue.splice(0))
+      });
+      queueEvents(transmission, 100);
+      transmission.flushOnPageHide();
+      await transmission.flush();
+
+      let sentBytes = requests.reduce((total, init) => total + init.body.length, 0);
+      expect(sentBytes).toBeLessThanOrEqual(64000);
+      let sent = requests.reduce((total, init) => total + JSON.parse(init.body).length, 0);
+      expect(sent).toBeGreaterThan(0);
+      expect(responses).toHaveLength(100);
+      expect(responses.filter(r => r.status_code === 202)).toHaveLength(sent);
+      let dropped = responses.filter(r => r.error);
+      expect(dropped).toHaveLength(100 - sent);
+      expect(dropped[0].error.message).toMatch(/^event dropped/);
+    });
+
+    it("should fall back to sendBeacon without fetch", async () => {
+      delete global.fetch;
+      let beacons = [];
+      global.navigator = {
+        sendBeacon: jest.fn((url, body) => beacons.push({ url, body }) > 0)
+      };
+
+      let responses = [];
+      let transmission = new Transmission({
+        batchTimeTrigger: 60000,
+        responseCallback: queue => responses.push(...queue.splice(0))
+      });
+      queueEvents(transmission, 2);
+      transmission.flushOnPageHide();
+      await transmission.flush();
+
+      expect(beacons).toHaveLength(1);
+      expect(beacons[0].url).toEqual("http://localhost:9999/1/batch/test-pagehide");
+      expect(JSON.parse(beacons[0].body)).toHaveLength(2);
+      // beacons don't tell us how the batch fared.
+      expect(responses).toHaveLength(2);
+      expect(responses[0].status_code).toBeUndefined();
+      expect(responses[0].error).toBeUndefined();
+    });
+  });
+
+  it("should send batches with a custom http client", done => {
+    let requests = [];
+    let transmission = new Transmission({
+      batchTimeTrigger: 10,
+      httpClient: {
+        post(req) {
+          requests.push(req);
+          return Promise.resolve({
+            status: 200,
+            type: "application/json",
+            text: JSON.stringify([{ status: 202 }])
+          });
+        }
+      },
+      responseCallback(queue) {
+        let responses = queue.splice(0, queue.length);
+        expect(responses[0].status_code).toEqual(202);
+        expect(requests).toHaveLength(1);
+        expect(requests[0].url).toEqual("http://localhost:9999/1/batch/custom-client");
+        expect(requests[0].headers["X-Honeycomb-Team"]).toEqual("123456789");
+        expect(JSON.parse(requests[0].body)[0].data).toEqual({ a: 1 });
+        done();
+      }
+    });
+
+    transmission.sendEvent(
+      new ValidatedEvent({
+        apiHost: "http://localhost:9999",
+        writeKey: "123456789",
+        dataset: "custom-client",
+        sampleRate: 1,
+        timestamp: new Date(),
+        postData: { a: 1 }
+      })
+    );
+  });
+
+  it("should report events as failed when a custom http client throws", async () => {
+    let responses = [];
+    let transmission = new Transmission({
+      batchTimeTrigger: 10,
+      maxRetries: 0,
+      httpClient: {
+        post() {
+          throw new Error("no network here");
+        }
+      },
+      responseCallback(queue) {
+        responses.push(...queue.splice(0, queue.length));
+      }
+    });
+
+    transmission.sendEvent(
+      new ValidatedEvent({
+        apiHost: "http://localhost:9999",
+        writeKey: "123456789",
+        dataset: "custom-client",
+        sampleRate: 1,
+        timestamp: new Date(),
+        postData: { a: 1 },
+        metadata: "one"
+      })
+    );
+    let summary = await transmission.flush();
+
+    expect(summary).toEqual({ sent: 0, failed: 1, pending: 0 });
+    expect(responses).toHaveLength(1);
+    expect(responses[0].metadata).toEqual("one");
+    expect(responses[0].error.message).toEqual("no network here");
+  });
+
   it("should respect options.timeout and fail sending the batch", done => {
     // we can't use superagent-mocker here, since we want the request to timeout,
     // and there's no async flow in -mocker :(
@@ -0,0 +1,264 @@
+/* eslint-env node, jest */
+import "babel-polyfill";
+
+import { Transmission, ValidatedEvent } from "../transmission";
+import { WorkerTransmission, runTransmissionWorker } from "../worker_transmission";
+
+import libhoney from "../libhoney";
+import superagent from "superagent";
+import superagentMocker from "superagent-mocker";
+
+const path = require("path");
+const workerThreads = require("worker_threads");
+const { MessageChannel } = workerThreads;
+
+let mock;
+
+// runs the worker side in this thread, on the other end of a MessageChannel.
+class ChannelWorkerTransmission extends WorkerTransmission {
+  _startWorker() {
+    let { port1, port2 } = new MessageChannel();
+    this.workerPort = port2;
+    runTransmissionWorker(port2);
+    return port1;
+  }
+
+  _stopWorker() {
+    this._stopped = true;
+    this._worker.close();
+    this.workerPort.close();
+  }
+}
+
+const newEvent = (dataset, metadata) =>
+  new ValidatedEvent({
+    apiHost: "http://localhost:9999",
+    writeKey: "123456789",
+    dataset,
+    sampleRate: 1,
+    timestamp: new Date(),
+    postData: { a: 1 },
+    metadata
+  });
+
+describe("worker transmission", () => {
+  beforeEach(() => (mock = superagentMocker(superagent)));
+  afterEach(() => {
+    mock.clearRoutes();
+    mock.unmock(superagent);
+  });
+
+  it("sends events on the worker and hands back their responses", async () => {
+    let batches = [];
+    mock.post("http://localhost:9999/1/batch/worker-test", req => {
+      batches.push(JSON.parse(req.body));
+      return { text: JSON.stringify([{ status: 202 }, { status: 202 }]) };
+    });
+
+    let responses = [];
+    let metadata = { fn: () => "not cloneable" };
+    let transmission = new ChannelWorkerTransmission({
+      batchTimeTrigger: 10,
+      responseCallback: queue => responses.push(...queue)
+    });
+    transmission.sendEvent(newEvent("worker-test", metadata));
+    transmission.sendPresampledEvent(newEvent("worker-test", "two"));
+    await transmission.flush();
+
+    expect(batches).toHaveLength(1);
+    expect(batches[0].map(ev => ev.data)).toEqual([{ a: 1 }, { a: 1 }]);
+    expect(responses.map(r => r.status_code)).toEqual([202, 202]);
+    expect(responses[0].metadata).toBe(metadata);
+    expect(responses[1].metadata).toEqual("two");
+    expect(transmission._events.size).toEqual(0);
+    transmission.close();
+  });
+
+  it("keeps the same worker running across flushes", async () => {
+    mock.post("http://localhost:9999/1/batch/worker-test", () => ({
+      text: JSON.stringify([{ status: 202 }])
+    }));
+
+    let responses = [];
+    let transmission = new ChannelWorkerTransmission({
+      batchTimeTrigger: 60000,
+      responseCallback: queue => responses.push(...queue)
+    });
+    let worker = transmission._worker;
+    transmission.sendEvent(newEvent("worker-test", "one"));
+    await expect(transmission.flush()).resolves.toEqual({
+      sent: 1,
+      failed: 0,
+      pending: 0
+    });
+    transmission.sendEvent(newEvent("worker-test", "two"));
+    await expect(transmission.flush()).resolves.toEqual({
+      sent: 1,
+      failed: 0,
+      pending: 0
+    });
+
+    expect(transmission._stopped).toBe(false);
+    expect(transmission._worker).toBe(worker);
+    expect(responses.map(r => r.metadata)).toEqual(["one", "two"]);
+    transmission.close();
+  });
+
+  it("resolves flush with the worker's summary", async () => {
+    mock.post("http://localhost:9999/1/batch/worker-test", () => ({
+      text: JSON.stringify([{ status: 400, err: "bad event" }])
+    }));
+
+    let transmission = new ChannelWorkerTransmission({ batchTimeTrigger: 60000 });
+    transmission.sendEvent(newEvent("worker-test", "one"));
+    await expect(transmission.flush()).resolves.toEqual({
+      sent: 0,
+      failed: 1,
+      pending: 0
+    });
+    transmission.close();
+  });
+
+  it("fails outstanding events on close", () => {
+    let responses = [];
+    let transmission = new ChannelWorkerTransmission({
+      batchTimeTrigger: 60000,
+      responseCallback: queue => responses.push(...queue)
+    });
+    transmission.sendEvent(newEvent("worker-test", "unsent"));
+    transmission.close();
+
+    expect(transmission._stopped).toBe(true);
+    expect(responses).toHaveLength(1);
+    expect(responses[0].metadata).toEqual("unsent");
+    expect(responses[0].error.message).toEqual(
+      "transmission closed before the event was sent"
+    );
+  });
+
+  it("ignores messages for unknown ids and ones that arrive after closing", () => {
+    let responses = [];
+    let transmission = new ChannelWorkerTransmission({
+      batchTimeTrigger: 60000,
+      responseCallback: queue => responses.push(...queue)
+    });
+    transmission.sendEvent(newEvent("worker-test", "one"));
+
+    transmission._handleMessage({
+      type: "responses",
+      responses: [{ "status_code": 202, metadata: 99 }]
+    });
+    transmission._handleMessage({ type: "flushed", id: 99, summary: {} });
+    expect(responses).toHaveLength(0);
+    expect(transmission._events.size).toEqual(1);
+
+    transmission.close();
+    expect(responses).toHaveLength(1);
+    transmission._handleMessage({
+      type: "responses",
+      responses: [{ "status_code": 202, metadata: 1 }]
+    });
+    transmission._handleMessage({ type: "flushed", id: 1, summary: {} });
+    expect(responses).toHaveLength(1);
+  });
+
+  it("hands back failures as errors", async () => {
+    mock.post("http://localhost:9999/1/batch/worker-test", () => ({
+      status: 400
+    }));
+
+    let responses = [];
+    let transmission = new ChannelWorkerTransmission({
+      batchTimeTrigger: 10,
+      responseCallback: queue => responses.push(...queue)
+    });
+    transmission.sendEvent(newEvent("worker-test", "one"));
+    await transmission.flush();
+
+    expect(responses).toHaveLength(1);
+    expect(responses[0].status_code).toEqual(400);
+    expect(responses[0].error).toBeInstanceOf(Error);
+    expect(responses[0].error.status).toEqual(400);
+    expect(responses[0].metadata).toEqual("one");
+    transmission.close();
+  });
+
+  it("fails outstanding events and falls back if the worker dies", async () => {
+    let sent = 0;
+    mock.post("http://localhost:9999/1/batch/worker-test", () => {
+      sent++;
+      return { text: JSON.stringify([{ status: 202 }]) };
+    });
+
+    let responses = [];
+    let transmission = new ChannelWorkerTransmission({
+      batchTimeTrigger: 10,
+      responseCallback: queue => responses.push(...queue)
+    });
+    transmission.sendEvent(newEvent("worker-test", "lost"));
+    transmission._handleFailure(new Error("worker crashed"));
+    expect(responses).toHaveLength(1);
+    expect(responses[0].metadata).toEqual("lost");
+    expect(responses[0].error.message).toEqual("worker crashed");
+
+    transmission.sendEvent(newEvent("worker-test", "fallback"));
+    expect(transmission._fallback).toBeInstanceOf(Transmission);
+    await transmission.flush();
+    expect(sent).toEqual(1);
+    expect(responses[1].metadata).toEqual("fallback");
+  });
+
+  it("is flushed in place rather than replaced by libhoney", async () => {
+    let honey = new libhoney({
+      writeKey: "123456789",
+      dataset: "worker-test",
+      transmission: ChannelWorkerTransmission
+    });
+    let transmission = honey.transmission;
+    await honey.flush();
+    expect(honey.transmission).toBe(transmission);
+    expect(transmission._stopped).toBe(false);
+
+    await honey.close();
+    expect(transmission._stopped).toBe(true);
+  });
+
+  it("loads the worker script built next to libhoney by default", () => {
+    let worker = {
+      on: jest.fn(),
+      postMessage: jest.fn(),
+      ref: jest.fn(),
+      unref: jest.fn(),
+      terminate: jest.fn()
+    };
+    let spy = jest.spyOn(workerThreads, "Worker").mockImplementation(() => worker);
+    try {
+      let transmission = new WorkerTransmission({});
+      expect(spy).toHaveBeenCalledWith(
+        path.join(__dirname, "..", "libhoney.worker.js")
+      );
+      expect(transmission._worker).toBe(worker);
+      expect(worker.postMessage).toHaveBeenCalledWith(
+        expect.objectContaining({ type: "init" })
+      );
+      transmission.close();
+      expect(worker.terminate).toHaveBeenCalled();
+    } finally {
+      spy.mockRestore();
+    }
+  });
+
+  it("falls back to the base transmission when the worker can't start", () => {
+    process.env.LIBHONEY_TARGET = "browser";
+    try {
+      let honey = new libhoney({
+        writeKey: "123456789",
+        dataset: "worker-test",
+        transmission: "worker"
+      });
+      expect(honey.transmission).toBeInstanceOf(Transmission);
+    } finally {
+      process.env.LIBHONEY_TARGET = "";
+    }
+  });
+});
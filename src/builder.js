@@ -6,6 +6,7 @@
  * @module
  */
 import Event from "./event";
+import Span from "./span";
 import foreach from "./foreach";
 
 /**
@@ -142,6 +143,29 @@ export default class Builder {
     return ev;
   }
 
+  /**
+   * starts a span, sent as an event from this builder when it's finished.  It's the root span of a
+   * new trace, unless this builder is continuing one (it has `trace.trace_id` and
+   * `trace.parent_id` fields, e.g. from a propagation codec's `extract`).
+   * @param {string} name the name of the span.
+   * @param {Object|Map<string, any>} [fields] fields to start the span with.
+   * @returns {Span} a Span instance
+   * @example
+   *   let span = builder.startSpan("handle request", { route: "/users" });
+   *   let child = span.startChild("render");
+   *   // ...
+   *   child.finish();
+   *   span.finish({ status_code: 200 });
+   */
+  startSpan(name, fields) {
+    let traceId = this._fields["trace.trace_id"];
+    let parent =
+      typeof traceId === "string" && traceId !== ""
+        ? { traceId, spanId: this._fields["trace.parent_id"] || undefined }
+        : undefined;
+    return new Span(this, name, fields, parent);
+  }
+
   /**
    * creates and returns a clone of this builder, merged with fields and dynFields passed as arguments.
    * @param {Object|Map<string, any>} fields a field->value mapping to merge into the new builder.
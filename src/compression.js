@@ -0,0 +1,70 @@
+// Copyright 2016 Hound Technology, Inc. All rights reserved.
+// Use of this source code is governed by the Apache License 2.0
+// license that can be found in the LICENSE file.
+
+/* global process, CompressionStream */
+
+/**
+ * @module
+ * @private
+ */
+
+/**
+ * the values accepted for the `compression` option.
+ * @private
+ */
+export const compressionTypes = ["none", "gzip", "deflate"];
+
+const uncompressed = body => ({ body, contentEncoding: undefined });
+
+/**
+ * compresses a batch request body.  Resolves with the (possibly) compressed `body`, and the
+ * `contentEncoding` to send along with it, which is undefined if the body was left as is.
+ *
+ * never rejects: if compression isn't available (e.g. a browser without CompressionStream) or
+ * fails, we quietly fall back to sending the body uncompressed.
+ * @private
+ */
+export function compressBody(body, compression) {
+  if (!compression || compression === "none") {
+    return Promise.resolve(uncompressed(body));
+  }
+
+  let compressFn =
+    process.env.LIBHONEY_TARGET === "browser" ? compressInBrowser : compressInNode;
+  return Promise.resolve()
+    .then(() => compressFn(body, compression))
+    .catch(() => uncompressed(body));
+}
+
+function compressInNode(body, compression) {
+  // only import zlib when compression is actually used (and never in a browser)
+  // eslint-disable-next-line no-undef
+  const zlib = require("zlib");
+  const compressFn = compression === "gzip" ? zlib.gzip : zlib.deflate;
+
+  return new Promise((resolve, reject) => {
+    compressFn(body, (err, result) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve({ body: result, contentEncoding: compression });
+    });
+  });
+}
+
+function compressInBrowser(body, compression) {
+  if (
+    typeof CompressionStream === "undefined" ||
+    typeof Blob === "undefined" ||
+    typeof Response === "undefined"
+  ) {
+    return Promise.resolve(uncompressed(body));
+  }
+
+  let stream = new Blob([body]).stream().pipeThrough(new CompressionStream(compression));
+  return new Response(stream)
+    .arrayBuffer()
+    .then(result => ({ body: result, contentEncoding: compression }));
+}
@@ -0,0 +1,74 @@
+// Copyright 2016 Hound Technology, Inc. All rights reserved.
+// Use of this source code is governed by the Apache License 2.0
+// license that can be found in the LICENSE file.
+
+/* global process */
+
+/**
+ * Keeps track of the builder a call tree is working with, so it doesn't have to be passed down
+ * through every function (see Libhoney's `withBuilder`).
+ *
+ * In node the scope follows the call tree across awaits, timers and callbacks, by way of
+ * `AsyncLocalStorage`.  Browsers have nothing like it (short of zone.js), so there a scope only
+ * lasts for the synchronous part of the function it's bound for.
+ * @module
+ * @private
+ */
+
+// node: the scope follows async continuations.
+class AsyncContext {
+  constructor(AsyncLocalStorage) {
+    this._storage = new AsyncLocalStorage();
+  }
+
+  run(value, fn) {
+    return this._storage.run(value, fn);
+  }
+
+  active() {
+    return this._storage.getStore();
+  }
+}
+
+// everywhere else: a stack of scopes, unwound when each function returns.
+class SyncContext {
+  constructor() {
+    this._active = undefined;
+  }
+
+  run(value, fn) {
+    let previous = this._active;
+    this._active = value;
+    try {
+      return fn();
+    } finally {
+      this._active = previous;
+    }
+  }
+
+  active() {
+    return this._active;
+  }
+}
+
+/**
+ * returns a context for tracking the active builder, backed by AsyncLocalStorage where it's
+ * available.
+ * @private
+ */
+export function createContext() {
+  // the browser build replaces LIBHONEY_TARGET, which leaves this branch (and the require) out.
+  if (process.env.LIBHONEY_TARGET !== "browser") {
+    try {
+      // only import async_hooks after confirming we're not in a browser.
+      // eslint-disable-next-line no-undef
+      const { AsyncLocalStorage } = require("async_hooks");
+      if (AsyncLocalStorage) {
+        return new AsyncContext(AsyncLocalStorage);
+      }
+    } catch (e) {
+      // e.g. a node-like runtime without async_hooks.
+    }
+  }
+  return new SyncContext();
+}
@@ -0,0 +1,167 @@
+// Copyright 2016 Hound Technology, Inc. All rights reserved.
+// Use of this source code is governed by the Apache License 2.0
+// license that can be found in the LICENSE file.
+
+/* global process */
+
+/**
+ * Configuration from environment variables, so libhoney can be set up per deployment without
+ * code changes:
+ *
+ *   HONEYCOMB_API_KEY                 writeKey
+ *   HONEYCOMB_DATASET                 dataset
+ *   HONEYCOMB_API_ENDPOINT            apiHost
+ *   HONEYCOMB_SAMPLE_RATE             sampleRate
+ *   HONEYCOMB_BATCH_SIZE              batchSizeTrigger
+ *   HONEYCOMB_BATCH_TIME_MS           batchTimeTrigger
+ *   HONEYCOMB_MAX_CONCURRENT_BATCHES  maxConcurrentBatches
+ *   HONEYCOMB_PENDING_WORK_CAPACITY   pendingWorkCapacity
+ *   HONEYCOMB_MAX_BATCH_BYTES         maxBatchBytes
+ *   HONEYCOMB_TIMEOUT_MS              timeout
+ *   HONEYCOMB_MAX_RETRIES             maxRetries
+ *   HTTPS_PROXY / HTTP_PROXY          proxy, by the protocol of apiHost
+ *   NO_PROXY                          hosts not to use the proxy for
+ *
+ * Options passed in code win over variables that are set, which win over the defaults, so the
+ * environment only fills in what the code leaves open.  Values that don't parse are reported to
+ * the logger and ignored, leaving the option as it was.
+ * @module
+ * @private
+ */
+
+const integer = (min, description) => (raw) => {
+  let value = Number(raw);
+  if (!/^\s*\d+\s*$/.test(raw) || value < min) {
+    throw new Error(`must be ${description}`);
+  }
+  return value;
+};
+
+const positiveInteger = integer(1, "a positive integer");
+const nonNegativeInteger = integer(0, "a non-negative integer");
+
+const httpUrl = (raw) => {
+  let url;
+  try {
+    url = new URL(raw);
+  } catch (e) {
+    throw new Error("must be a URL");
+  }
+  if (url.protocol !== "http:" && url.protocol !== "https:") {
+    throw new Error("must be an http or https URL");
+  }
+  return raw;
+};
+
+const string = (raw) => raw;
+
+const variables = [
+  ["HONEYCOMB_API_KEY", "writeKey", string],
+  ["HONEYCOMB_DATASET", "dataset", string],
+  ["HONEYCOMB_API_ENDPOINT", "apiHost", httpUrl],
+  ["HONEYCOMB_SAMPLE_RATE", "sampleRate", positiveInteger],
+  ["HONEYCOMB_BATCH_SIZE", "batchSizeTrigger", positiveInteger],
+  ["HONEYCOMB_BATCH_TIME_MS", "batchTimeTrigger", nonNegativeInteger],
+  ["HONEYCOMB_MAX_CONCURRENT_BATCHES", "maxConcurrentBatches", positiveInteger],
+  ["HONEYCOMB_PENDING_WORK_CAPACITY", "pendingWorkCapacity", positiveInteger],
+  ["HONEYCOMB_MAX_BATCH_BYTES", "maxBatchBytes", positiveInteger],
+  ["HONEYCOMB_TIMEOUT_MS", "timeout", positiveInteger],
+  ["HONEYCOMB_MAX_RETRIES", "maxRetries", nonNegativeInteger],
+];
+
+// proxy variables are conventionally read in either case, upper case first.
+const lookup = (env, name, anyCase = false) => {
+  let value =
+    env[name] === undefined && anyCase ? env[name.toLowerCase()] : env[name];
+  return typeof value === "string" && value.trim() !== "" ? value.trim() : undefined;
+};
+
+/**
+ * whether `NO_PROXY` (a comma or space separated list of hosts, optionally with ports, or `*`)
+ * covers `url`.  Hosts match their subdomains too, with or without a leading dot.
+ * @private
+ */
+export function noProxyMatches(noProxy, url) {
+  let { hostname, port, protocol } = new URL(url);
+  port = port || (protocol === "https:" ? "443" : "80");
+  return noProxy
+    .split(/[\s,]+/)
+    .filter((entry) => entry !== "")
+    .some((entry) => {
+      if (entry === "*") {
+        return true;
+      }
+      let [host, entryPort] = entry.toLowerCase().split(":");
+      if (entryPort && entryPort !== port) {
+        return false;
+      }
+      host = host.replace(/^\*?\./, "");
+      return hostname === host || hostname.endsWith(`.${host}`);
+    });
+}
+
+/**
+ * returns the options set by environment variables (see above) in `options.env`, or process.env
+ * when that's not given, leaving out those `given` in code.  `options` are the options so far,
+ * used to pick the proxy for the eventual apiHost.  Invalid values are reported to `logger`.
+ * @private
+ */
+export function optionsFromEnv(options, logger, given = {}) {
+  let env = options.env;
+  if (env === undefined) {
+    // the browser build replaces LIBHONEY_TARGET, which leaves process.env out of it.
+    if (process.env.LIBHONEY_TARGET === "browser") {
+      return {};
+    }
+    env = process.env;
+  }
+  if (!env) {
+    return {};
+  }
+
+  let fromEnv = {};
+  variables.forEach(([name, option, parse]) => {
+    let raw = lookup(env, name);
+    if (raw === undefined) {
+      return;
+    }
+    let value;
+    try {
+      value = parse(raw);
+    } catch (e) {
+      logger.warn(`ignoring ${name}="${raw}": ${e.message}.`);
+      return;
+    }
+    if (given[option] === undefined) {
+      fromEnv[option] = value;
+    }
+  });
+
+  if (given.proxy !== undefined) {
+    return fromEnv;
+  }
+
+  let apiHost = fromEnv.apiHost || options.apiHost;
+  let protocol;
+  try {
+    protocol = new URL(apiHost).protocol;
+  } catch (e) {
+    // validateEvent reports bad apiHosts.
+    return fromEnv;
+  }
+  let noProxy = lookup(env, "NO_PROXY", true);
+  if (noProxy && noProxyMatches(noProxy, apiHost)) {
+    fromEnv.proxy = undefined;
+    return fromEnv;
+  }
+  let proxyName = protocol === "https:" ? "HTTPS_PROXY" : "HTTP_PROXY";
+  let proxy = lookup(env, proxyName, true);
+  if (proxy !== undefined) {
+    try {
+      fromEnv.proxy = httpUrl(proxy);
+    } catch (e) {
+      logger.warn(`ignoring ${proxyName}="${proxy}": ${e.message}.`);
+    }
+  }
+  return fromEnv;
+}
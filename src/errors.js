@@ -0,0 +1,39 @@
+// Copyright 2016 Hound Technology, Inc. All rights reserved.
+// Use of this source code is governed by the Apache License 2.0
+// license that can be found in the LICENSE file.
+
+/**
+ * The errors libhoney reports about the events it's given.
+ * @module
+ * @private
+ */
+
+/**
+ * why an event failed validation, as found in ValidationError's `reason`.
+ * @private
+ */
+export const ValidationReason = Object.freeze({
+  // event data isn't an object
+  INVALID_DATA: "invalid_data",
+  // event data couldn't be serialized (e.g. a toJSON or getter threw)
+  UNSERIALIZABLE_DATA: "unserializable_data",
+  INVALID_API_HOST: "invalid_api_host",
+  INVALID_WRITE_KEY: "invalid_write_key",
+  INVALID_DATASET: "invalid_dataset",
+  INVALID_SAMPLE_RATE: "invalid_sample_rate"
+});
+
+/**
+ * An event libhoney couldn't send as it was given.  `reason` says what was wrong with it (one of
+ * the `ValidationReason` codes), and `metadata` is the event's metadata, so callers can tell which
+ * event it was.
+ * @private
+ */
+export class ValidationError extends Error {
+  constructor(reason, message, metadata) {
+    super(message);
+    this.name = "ValidationError";
+    this.reason = reason;
+    this.metadata = metadata;
+  }
+}
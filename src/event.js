@@ -129,4 +129,30 @@ export default class Event {
   sendPresampled() {
     this._libhoney.sendPresampledEvent(this);
   }
+
+  /**
+   * Sends this event to honeycomb, sampling if necessary, and returns a promise for how it fared.
+   * The event's response also still goes to the libhoney instance's response queue.
+   * @returns {Promise<Object>} resolves with the event's response (`status_code`, `duration`,
+   *   `metadata`, ...) once its batch has been sent.  Rejects if the event is sampled out, dropped
+   *   because the queue is full, can't be encoded, or isn't accepted by the server.  With
+   *   transmissions that don't report responses ("mock", "null", "console", ..., and custom ones
+   *   that don't extend the base transmission), or when libhoney is disabled, it resolves with
+   *   `{ metadata }` as soon as the event is handed over.
+   * @example
+   *   let response = await honey.newEvent()
+   *     .add({ audit: "user deleted" })
+   *     .sendAsync();
+   */
+  sendAsync() {
+    return this._libhoney.sendEventAsync(this);
+  }
+
+  /**
+   * Like sendPresampled, but returns a promise for how the event fared.  See sendAsync.
+   * @returns {Promise<Object>} the event's response.
+   */
+  sendPresampledAsync() {
+    return this._libhoney.sendPresampledEventAsync(this);
+  }
 }
@@ -0,0 +1,113 @@
+// Copyright 2016 Hound Technology, Inc. All rights reserved.
+// Use of this source code is governed by the Apache License 2.0
+// license that can be found in the LICENSE file.
+
+/**
+ * Flattens nested event data into separate columns: `{ params: { id: 1 } }` becomes
+ * `{ "params.id": 1 }`, which Honeycomb can query directly rather than as a JSON blob.
+ * @module
+ * @private
+ */
+
+const arrayModes = ["stringify", "join", "index"];
+
+const defaultOptions = Object.freeze({
+  separator: ".",
+  maxDepth: 5,
+  arrays: "stringify",
+  maxColumns: 1000
+});
+
+const isPlainObject = value =>
+  value !== null &&
+  typeof value === "object" &&
+  (Object.getPrototypeOf(value) === Object.prototype ||
+    Object.getPrototypeOf(value) === null);
+
+// what an object we don't flatten is kept as.
+const stringify = value => {
+  try {
+    return JSON.stringify(value);
+  } catch (e) {
+    // e.g. BigInts in msgpack-encoded events
+    return String(value);
+  }
+};
+
+const joinArray = arr =>
+  arr
+    .map(item =>
+      item !== null && typeof item === "object" ? stringify(item) : String(item)
+    )
+    .join(",");
+
+/**
+ * turns the `flattenFields` option (true for the defaults, or `{ separator, maxDepth, arrays,
+ * maxColumns }`) into complete options, or undefined if flattening is off.  Bad settings are
+ * reported to `logger`.
+ * @private
+ */
+export function resolveFlattenOptions(setting, logger = console) {
+  if (!setting) {
+    return undefined;
+  }
+  let options = Object.assign(
+    {},
+    defaultOptions,
+    typeof setting === "object" ? setting : {}
+  );
+  if (arrayModes.indexOf(options.arrays) === -1) {
+    logger.warn(
+      `unknown flattenFields.arrays "${options.arrays}".  expected one of ${arrayModes.join(", ")}.  using "stringify".`
+    );
+    options.arrays = "stringify";
+  }
+  if (typeof options.separator !== "string") {
+    options.separator = defaultOptions.separator;
+  }
+  return options;
+}
+
+/**
+ * flattens nested objects in `data` into keys joined with `options.separator`, of at most
+ * `options.maxDepth` levels (`a.b.c` is 3).  Arrays are JSON stringified, joined with commas, or flattened by index, as
+ * `options.arrays` says.  Objects are only flattened while the event stays within
+ * `options.maxColumns` columns.  Objects left over (deeper than maxDepth, or over the cap) are
+ * kept whole, as JSON strings.
+ * @private
+ */
+export function flattenFields(data, options) {
+  let { separator, maxDepth, arrays, maxColumns } = options;
+  let flattened = {};
+  // columns we can still add by expanding objects, beyond one for each top-level field.
+  let budget = maxColumns - Object.keys(data).length;
+
+  const expandable = value =>
+    isPlainObject(value) || (arrays === "index" && Array.isArray(value));
+
+  const add = (key, value, depth) => {
+    if (Array.isArray(value) && arrays !== "index") {
+      flattened[key] = arrays === "join" ? joinArray(value) : stringify(value);
+      return;
+    }
+    if (!expandable(value)) {
+      flattened[key] = value;
+      return;
+    }
+    let keys = Object.keys(value);
+    // expanding the object trades its one column for one per key.
+    if (depth + 1 >= maxDepth || keys.length - 1 > budget) {
+      flattened[key] = stringify(value);
+      return;
+    }
+    budget -= Math.max(keys.length - 1, 0);
+    if (keys.length === 0) {
+      flattened[key] = value;
+      return;
+    }
+    keys.forEach(k => add(key + separator + k, value[k], depth + 1));
+  };
+
+  Object.keys(data).forEach(key => add(key, data[key], 0));
+  return flattened;
+}
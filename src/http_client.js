@@ -0,0 +1,161 @@
+// Copyright 2016 Hound Technology, Inc. All rights reserved.
+// Use of this source code is governed by the Apache License 2.0
+// license that can be found in the LICENSE file.
+
+/* global process */
+
+/**
+ * The HTTP clients transmissions can send batches with.
+ *
+ * A client is an object with a `post({ url, headers, body, timeout, agent, responseType,
+ * keepalive })` method, returning a promise of a response shaped like superagent's: `{ status,
+ * type, headers, text, body }`, where `text` is set for textual responses and `body` for binary
+ * ones.  Failed requests reject with an error carrying the response `status` and the `response`
+ * itself (for non-2xx responses), or `timeout` (for requests that took longer than `timeout` ms).
+ * @module
+ * @private
+ */
+import superagent from "superagent";
+
+/**
+ * sends requests with superagent, our default outside of runtimes it doesn't support.
+ * @private
+ */
+export const superagentClient = {
+  post({ url, headers, body, timeout, agent, responseType }) {
+    return new Promise((resolve, reject) => {
+      let req = superagent.post(url);
+      if (agent && process.env.LIBHONEY_TARGET !== "browser") {
+        req = req.agent(agent);
+      }
+      if (responseType) {
+        req.responseType(responseType);
+      }
+      Object.keys(headers).forEach(name => req.set(name, headers[name]));
+      req
+        // bodies are encoded (and maybe compressed) before they get here, don't re-serialize them.
+        .serialize(encoded => encoded)
+        .timeout(timeout)
+        .send(body)
+        .end((err, res) => (err ? reject(err) : resolve(res)));
+    });
+  }
+};
+
+const readFetchResponse = res => {
+  let type = (res.headers.get("content-type") || "").split(";")[0].trim();
+  let headers = {};
+  res.headers.forEach((value, name) => (headers[name.toLowerCase()] = value));
+
+  let read = /msgpack/.test(type)
+    ? res.arrayBuffer().then(buf => ({ body: new Uint8Array(buf) }))
+    : res.text().then(text => ({ text }));
+  return read.then(content =>
+    Object.assign({ status: res.status, type, headers }, content)
+  );
+};
+
+/**
+ * sends requests with the fetch API, for runtimes without XMLHttpRequest or node's http module
+ * (e.g. Cloudflare Workers, Deno, Bun or Vercel Edge).
+ * @private
+ */
+export const fetchClient = {
+  post({ url, headers, body, timeout, keepalive }) {
+    let controller =
+      typeof AbortController !== "undefined" ? new AbortController() : undefined;
+    let timedOut = false;
+    let timer;
+    if (controller && timeout) {
+      timer = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+      }, timeout);
+    }
+
+    return fetch(url, {
+      method: "POST",
+      headers,
+      body,
+      keepalive,
+      signal: controller && controller.signal
+    })
+      .then(readFetchResponse)
+      .then(
+        res => {
+          clearTimeout(timer);
+          if (res.status < 200 || res.status >= 300) {
+            let err = new Error(`HTTP ${res.status}`);
+            err.status = res.status;
+            err.response = res;
+            throw err;
+          }
+          return res;
+        },
+        e => {
+          clearTimeout(timer);
+          if (!timedOut) {
+            throw e;
+          }
+          // mirror superagent's timeout errors
+          let err = new Error(`Timeout of ${timeout}ms exceeded`);
+          err.timeout = timeout;
+          err.code = "ECONNABORTED";
+          throw err;
+        }
+      );
+  }
+};
+
+/**
+ * sends requests with `navigator.sendBeacon`, for pages going away in browsers without fetch.
+ * Beacons can't carry headers (so no X-Honeycomb-Team, this only works with an apiHost that adds
+ * the write key itself, e.g. a proxy), and the browser doesn't tell us how they fared: requests
+ * resolve with no response once the browser has queued them.
+ * @private
+ */
+export const beaconClient = {
+  post({ url, body }) {
+    if (navigator.sendBeacon(url, body)) {
+      return Promise.resolve();
+    }
+    return Promise.reject(new Error("the browser refused to queue the beacon"));
+  }
+};
+
+// superagent's browser build needs XMLHttpRequest, which edge runtimes don't have.
+const superagentUsable = () =>
+  process.env.LIBHONEY_TARGET !== "browser" ||
+  typeof XMLHttpRequest !== "undefined";
+
+/**
+ * picks the client to use for the `httpClient` option: "superagent", "fetch", a client object,
+ * or "auto" (the default) for superagent where it works and fetch where it doesn't.  superagent
+ * always works in node, so the node build only uses fetch when it's asked for; "auto" picks it
+ * in the browser build, in runtimes without XMLHttpRequest (edge workers and the like).  Unknown
+ * names are reported to `logger`.
+ * @private
+ */
+export function resolveHttpClient(httpClient, logger = console) {
+  if (httpClient && typeof httpClient.post === "function") {
+    return httpClient;
+  }
+  switch (httpClient) {
+    case "superagent":
+      return superagentClient;
+    case "fetch":
+      return fetchClient;
+    case undefined:
+    case "auto":
+      break;
+    default:
+      logger.warn(
+        `unknown httpClient "${httpClient}".  picking one automatically.`
+      );
+  }
+
+  if (!superagentUsable() && typeof fetch === "function") {
+    return fetchClient;
+  }
+  return superagentClient;
+}
@@ -3,6 +3,7 @@
 // license that can be found in the LICENSE file.
 
 // jshint esversion: 6
+/* global process */
 /**
  * @module
  */
@@ -14,10 +15,52 @@ import {
   Transmission,
   ValidatedEvent,
   WriterTransmission,
+  linkResponse,
+  linkedEvent,
 } from "./transmission";
+import { ValidationError, ValidationReason } from "./errors";
+import { flattenFields, resolveFlattenOptions } from "./flatten";
+import { registerShutdownFlush, unregisterShutdownFlush } from "./shutdown";
+import { resolveSampler, shouldSample } from "./sampler";
 import Builder from "./builder";
 
 import { EventEmitter } from "events";
+import Spool from "./spool";
+import { WorkerTransmission } from "./worker_transmission";
+import { createContext } from "./context";
+import { optionsFromEnv } from "./env";
+import { propagation } from "./propagation";
+import { resolveRedactor } from "./redact";
+import { resolveRulesSampler } from "./rules_sampler";
+import { resolveSchemas } from "./schema";
+import { serializeFields } from "./serialize";
+
+// the default logger.  looks console up on every call, so it follows console being swapped out.
+const consoleLogger = {
+  error: (...args) => console.error(...args),
+  warn: (...args) => console.warn(...args),
+};
+
+// the promise of an event sent with sendEventAsync, waiting on the event's response.
+class PendingDelivery {
+  constructor(resolve, reject) {
+    this.resolve = resolve;
+    this.reject = reject;
+  }
+
+  settle(response) {
+    let { error } = response;
+    let status = response.status_code;
+    if (error) {
+      // per-event errors from the batch API are strings
+      this.reject(error instanceof Error ? error : new Error(error));
+    } else if (status >= 300) {
+      this.reject(new Error(`event failed with status ${status}`));
+    } else {
+      this.resolve(response);
+    }
+  }
+}
 
 const classicKeyRegex = /^[a-f0-9]*$/;
 const ingestClassicKeyRegex = /^hc[a-z]ic_[a-z0-9]*$/;
@@ -36,7 +79,7 @@ const defaults = Object.freeze({
   // we fall back to the base impl if worker or a custom implementation throws on init.
   // string options available are:
   //  - "base": the default transmission implementation
-  //  - "worker": a web-worker based transmission (not currently available, see https://github.com/honeycombio/libhoney-js/issues/22)
+  //  - "worker": encodes and sends batches on a Web Worker (browsers) or worker_threads Worker (node), off the main thread
   //  - "mock": an implementation that accumulates all events sent
   //  - "writer": an implementation that logs to the console all events sent (deprecated.  use "console" instead)
   //  - "console": an implementation that logs correct json objects to the console for all events sent.
@@ -44,6 +87,11 @@ const defaults = Object.freeze({
   //  - "null": an implementation that does nothing
   transmission: "base",
 
+  // where the "worker" transmission loads its worker script from.  in node this defaults to the
+  // dist/libhoney.worker.js next to libhoney, in browsers it must be set to wherever
+  // dist/libhoney.worker.browser.js is served from.
+  workerUrl: undefined,
+
   // batch triggers
   batchSizeTrigger: 50, // we send a batch to the api when we have this many outstanding events
   batchTimeTrigger: 100, // ... or after this many ms has passed.
@@ -61,6 +109,113 @@ const defaults = Object.freeze({
   // how long (in ms) to give a single POST before we timeout.
   timeout: 60000,
 
+  // the maximum encoded size (in bytes) of a single batch request; batches are split to stay under it.
+  maxBatchBytes: 5000000,
+
+  // the maximum encoded size (in bytes) of a single event.  larger events are rejected with an
+  // error in the response queue, or have their largest fields cut down to fit if
+  // truncateOversizedEvents is set.
+  maxEventBytes: 1000000,
+  truncateOversizedEvents: false,
+
+  // how many times to retry a batch that failed with a network error, a timeout, a 5xx or a 429.
+  // retries back off exponentially (with jitter) starting at retryInitialDelay ms, and an event
+  // is given up on once it has spent retryMaxTotalDelay ms waiting on retries.
+  maxRetries: 0,
+  retryInitialDelay: 100,
+  retryMaxTotalDelay: 10000,
+
+  // how to compress batch request bodies: "none", "gzip" or "deflate".  in browsers this uses
+  // CompressionStream where available, and quietly sends uncompressed bodies where it isn't.
+  compression: "none",
+
+  // binary values in event data (Buffers, typed arrays) are sent as base64 strings of at most
+  // this many bytes of the original.  msgpack sends them whole.
+  maxBinaryBytes: 1024,
+
+  // how to encode batch request bodies: "json" or "msgpack".  msgpack keeps Dates (as msgpack
+  // timestamps), binary data and BigInts in event data intact, where json would flatten them.
+  encoding: "json",
+
+  // which HTTP client sends batches: "superagent", "fetch", or "auto" to use superagent where it
+  // works and fetch where it doesn't (edge runtimes like Cloudflare Workers or Vercel Edge, which
+  // get the browser build; in node, "auto" is always superagent).  may
+  // also be an object with a `post(request)` method, see ./http_client.js.  proxies are only
+  // supported with superagent.
+  httpClient: "auto",
+
+  // an optional file-backed spool for undelivered events (node only), e.g. `{ dir: "/var/spool/libhoney" }`.
+  // queued events, and those that fail with a retryable error, are written to append-only segment
+  // files in `dir` and replayed by the next libhoney instance using the same directory.  replay is
+  // bounded by `maxBytes` (default 10MB) and `maxAge` (in ms, default 24h).
+  spool: undefined,
+
+  // in browsers, send whatever is still queued when the page is hidden or unloaded (on
+  // `visibilitychange` to hidden, and `pagehide`), using fetch with keepalive or sendBeacon so the
+  // requests outlive the page.
+  flushOnPageHide: true,
+
+  // node only: flush on SIGTERM, SIGINT, `beforeExit` and uncaught exceptions (see
+  // installShutdownHooks), waiting at most shutdownTimeout ms before letting the process exit.
+  autoFlushOnExit: false,
+  shutdownTimeout: 5000,
+
+  // an optional dynamic sampler that sets each event's sample rate from how common events like it
+  // have been lately: an object with a `getSampleRate(fields)` method, or `{ type, key, ...options }`
+  // for one of the built-in samplers ("avgSampleRate", "emaSampleRate" or "totalThroughput"), where
+  // `key` maps an event's fields to the key it's counted under.  see ./sampler.js.
+  sampler: undefined,
+
+  // hooks run over every event's fields (and metadata) before it's sent, in order: `(fields,
+  // metadata) => result`.  hooks can change the fields they're given or return new ones, return
+  // false to drop the event, or return a promise of any of those.  dropped events get a response
+  // with the error "event dropped by beforeSend hook".
+  beforeSend: [],
+
+  // flatten nested objects in event data into separate columns with dotted keys (`params.id`):
+  // true, or `{ separator, maxDepth, arrays, maxColumns }`.  arrays are kept as JSON
+  // ("stringify"), joined with commas ("join"), or flattened by index ("index").  objects that
+  // would take an event past maxColumns columns stay JSON.  see ./flatten.js.
+  flattenFields: false,
+
+  // scrubs personal data out of events, after the beforeSend hooks have run:
+  // `{ denyFields, allowFields, patterns, replacement, mask, salt }`.  fields are matched by their
+  // flattened names (e.g. "headers.authorization") against glob patterns, and string values are
+  // searched for `patterns` ("email", "jwt", "creditCard", "bearer" or RegExps).  see ./redact.js.
+  redact: undefined,
+
+  // sampling policy as data: an ordered list of rules, each with field conditions (all of which
+  // must hold) and a sampleRate or dynamic sampler.  the first rule an event matches picks its
+  // sample rate, and its name is recorded in the event's "meta.sample_rule" field.  may also be
+  // `{ rules, ruleField }` to record it elsewhere.  see ./rules_sampler.js.
+  rulesSampler: undefined,
+
+  // sample deterministically on this field's value (e.g. "trace.trace_id") instead of at random,
+  // so every event with the same value gets the same keep/drop decision.  decisions match the
+  // Beelines' SHA-1 based sampling, so services using either agree on which traces to keep.
+  // events without the field are sampled at random.
+  deterministicSamplingField: undefined,
+
+  // per-dataset schemas: dataset -> `{ fields, required, onViolation }`, where `fields` maps field
+  // names to "string", "number", "integer", "boolean" or "date".  values are coerced where that's
+  // safe (e.g. numeric strings to numbers), and violations are reported in the event's response
+  // as `schemaViolations`.  onViolation "flag" (the default) sends the event anyway, "drop"
+  // doesn't.  see ./schema.js.
+  schemas: undefined,
+
+  // where libhoney reports problems: an object with `error` and `warn` methods (missing ones go to
+  // the console).  pass no-op methods to keep libhoney quiet, e.g. in CLIs.
+  logger: undefined,
+
+  // throw events that fail validation (as ValidationErrors) from send(), instead of logging them
+  // and dropping the event.
+  strict: false,
+
+  // where to read HONEYCOMB_API_KEY, HONEYCOMB_DATASET, HTTPS_PROXY and the rest from (process.env
+  // by default, in node), or false to ignore the environment.  variables only set the options that
+  // aren't passed in code.  see ./env.js.
+  env: undefined,
+
   // if this is set to true, all sending is disabled.  useful for disabling libhoney when testing
   disabled: false,
 
@@ -72,6 +227,15 @@ const defaults = Object.freeze({
  * libhoney aims to make it as easy as possible to create events and send them on into Honeycomb.
  *
  * See https://honeycomb.io/docs for background on this library.
+ *
+ * Emits `response` with the queue of responses whenever a batch completes, and `throttled`
+ * (with `{ apiHost, dataset, status_code, retryAfter, until }`) whenever the API asks us to
+ * back off sending to a dataset via a 429 or 503 with a `Retry-After` header. Events for the
+ * throttled dataset are held in the queue until `until`; other datasets keep sending.
+ *
+ * Emits `error` with a `ValidationError` (see `Libhoney.ValidationError`) for every event that
+ * fails validation, carrying the event's `metadata` and a `reason` code.  Unlike most emitters,
+ * libhoney only emits `error` when something is listening for it.
  * @class
  */
 export default class Libhoney extends EventEmitter {
@@ -86,12 +250,50 @@ export default class Libhoney extends EventEmitter {
    * @param {string} opts.writeKey - Write key for your Honeycomb team. (Required)
    * @param {string} opts.dataset - Name of the dataset that should contain this event. The dataset will be created for your team if it doesn't already exist.
    * @param {number} [opts.sampleRate=1] - Sample rate of data. If set, causes us to send 1/sampleRate of events and drop the rest.
+   * @param {string} [opts.workerUrl] - The worker script the "worker" transmission runs (`dist/libhoney.worker.browser.js` in browsers, `dist/libhoney.worker.js` in node, which is the default there).
    * @param {number} [opts.batchSizeTrigger=50] - We send a batch to the API when this many outstanding events exist in our event queue.
    * @param {number} [opts.batchTimeTrigger=100] - We send a batch to the API after this many milliseconds have passed.
    * @param {number} [opts.maxConcurrentBatches=10] - We process batches concurrently to increase parallelism while sending.
    * @param {number} [opts.pendingWorkCapacity=10000] - The maximum number of pending events we allow to accumulate in our sending queue before dropping them.
    * @param {number} [opts.maxResponseQueueSize=1000] - The maximum number of responses we enqueue before dropping them.
    * @param {number} [opts.timeout=60000] - How long (in ms) to give a single POST before we timeout.
+   * @param {number} [opts.maxBatchBytes=5000000] - The maximum encoded size (in bytes) of a single batch request. Larger batches are split into several requests.
+   * @param {number} [opts.maxEventBytes=1000000] - The maximum encoded size (in bytes) of a single event. Larger events are rejected, with an error in the response queue.
+   * @param {boolean} [opts.truncateOversizedEvents=false] - Instead of rejecting events larger than maxEventBytes, cut their largest fields down to fit. Responses for truncated events have `truncated: true`.
+   * @param {number} [opts.maxRetries=0] - How many times to retry a batch that failed with a network error, a timeout, a 5xx or a 429. Responses report the number of attempts made.
+   * @param {number} [opts.retryInitialDelay=100] - How long (in ms) to wait before the first retry. The delay doubles with every attempt, with jitter.
+   * @param {number} [opts.retryMaxTotalDelay=10000] - The maximum total time (in ms) an event may spend waiting on retries before it is reported as failed.
+   * @param {string} [opts.compression=none] - Compress batch request bodies with "gzip" or "deflate" (sets `Content-Encoding`). In browsers without `CompressionStream`, bodies are sent uncompressed.
+   * @param {number} [opts.maxBinaryBytes=1024] - Binary values in event data (Buffers, typed arrays, ArrayBuffers) are sent as base64 strings of their first maxBinaryBytes bytes. With msgpack encoding they're sent whole. Errors in event data are sent as `<field>.name`, `<field>.message` and `<field>.stack` fields, BigInts as strings, Maps as objects, Sets as arrays, and circular references as "[Circular]".
+   * @param {string} [opts.encoding=json] - Encode batch request bodies as "json" or "msgpack". msgpack preserves Dates, binary data and BigInts in event data.
+   * @param {string|Object} [opts.httpClient=auto] - The HTTP client to send batches with: "superagent", "fetch", or "auto" to pick fetch in runtimes superagent doesn't support (browser builds without XMLHttpRequest; in node, "auto" always picks superagent). An object with a `post(request)` method returning a promise of a superagent-like response may also be given.
+   * @param {Object} [opts.spool] - Spool undelivered events to disk (node only), so they survive crashes and restarts. Events spooled by an earlier instance are replayed on construction.
+   * @param {string} opts.spool.dir - The directory to keep spool segment files in. Write keys are stored alongside events.
+   * @param {number} [opts.spool.maxBytes=10485760] - The maximum size of the spool on disk, and of the events replayed from it.
+   * @param {number} [opts.spool.maxAge=86400000] - How old (in ms) a spooled event may be and still be replayed.
+   * @param {boolean} [opts.flushOnPageHide=true] - In browsers, send queued events with `fetch` keepalive requests (or `navigator.sendBeacon` without fetch) when the page is hidden or unloaded, so they aren't lost with the page. Beacons can't carry the write key header, so they only work with an `apiHost` that adds it.
+   * @param {boolean} [opts.autoFlushOnExit=false] - Flush pending events when the process gets SIGTERM or SIGINT, empties its event loop (`beforeExit`) or hits an uncaught exception, then let it exit as it would have. Node only. See `installShutdownHooks`.
+   * @param {number} [opts.shutdownTimeout=5000] - The most time (in ms) to spend flushing on exit.
+   * @param {Object} [opts.sampler] - Pick each event's sample rate dynamically, so rare events are kept and noisy ones thinned, instead of using a fixed `sampleRate`. Either an object with a `getSampleRate(fields)` method, or the config for a built-in sampler: `{ type: "avgSampleRate", key, goalSampleRate, clearFrequencyMs }`, `{ type: "emaSampleRate", key, goalSampleRate, adjustmentIntervalMs, weight, ageOutValue }` or `{ type: "totalThroughput", key, goalThroughputPerSec, clearFrequencyMs }`, where `key` is a function from an event's fields to the key it's counted under. Presampled events, and events a `rulesSampler` rule matched, are left alone.
+   * @param {boolean|Object} [opts.flattenFields=false] - Flatten nested objects in event data into separate columns (`{ params: { id } }` becomes `params.id`), so they can be queried directly. Pass `true` for the defaults, or an object:
+   * @param {string} [opts.flattenFields.separator=.] - What to join the keys of nested fields with.
+   * @param {number} [opts.flattenFields.maxDepth=5] - How many levels deep flattened keys may go (`a.b.c` is 3). Objects nested deeper are sent as JSON strings.
+   * @param {string} [opts.flattenFields.arrays=stringify] - Send arrays as JSON strings ("stringify"), comma-joined strings ("join"), or a column per element ("index", e.g. `tags.0`).
+   * @param {number} [opts.flattenFields.maxColumns=1000] - The most columns flattening may grow an event to. Objects that would take it past this are sent as JSON strings.
+   * @param {Array<function(Object, any): (Object|boolean|void|Promise<Object|boolean|void>)>} [opts.beforeSend=[]] - Hooks run, in order, over each event's fields and metadata before it's sampled and sent. A hook can add, rename or remove fields (by changing the fields it's given, or returning new ones), or return `false` to drop the event, and may be async. Dropped events get a response with the error "event dropped by beforeSend hook", and events whose hook throws get "beforeSend hook failed: ...". Use these for scrubbing, enrichment and filtering.
+   * @param {Object} [opts.redact] - Redact personal data from every event before it's sent (after the `beforeSend` hooks).
+   * @param {Array<string>} [opts.redact.denyFields=[]] - Glob patterns over flattened field names (`headers.authorization` for `{ headers: { authorization } }`) whose values are replaced. `*` matches within a segment of the name, `**` across segments, ignoring case.
+   * @param {Array<string>} [opts.redact.allowFields] - If set, the values of fields matching none of these patterns are replaced.
+   * @param {Array<string|RegExp>} [opts.redact.patterns=[]] - Parts of string values to replace: "email", "jwt", "creditCard" (Luhn checked), "bearer" (tokens), or RegExps.
+   * @param {string|function(any, string): string} [opts.redact.replacement=mask] - Replace redacted values with the `mask`, with a "hash" (the hex SHA-1 of `salt` plus the value), or with what a `(value, field) => string` function returns.
+   * @param {string} [opts.redact.mask=[REDACTED]] - The mask to replace redacted values with.
+   * @param {string} [opts.redact.salt] - Salt for hashed values.
+   * @param {Array<Object>|Object} [opts.rulesSampler] - Ordered sampling rules, each `{ name, conditions, sampleRate }` or `{ name, conditions, sampler }` (a dynamic sampler, as for `sampler`). Conditions are `{ field, operator, value }` with operator one of "=", "!=", ">", ">=", "<", "<=", "exists", "not-exists" or "matches" (a RegExp or pattern string), and all of a rule's conditions must hold for it to match. The first matching rule sets the event's sample rate and its name is added to the event as `meta.sample_rule`. Pass `{ rules, ruleField }` to use another field. Events no rule matches keep their sample rate. Presampled events are left alone.
+   * @param {string} [opts.deterministicSamplingField] - Make keep/drop decisions from the SHA-1 of this field's value (e.g. `"trace.trace_id"`) rather than at random, so all the events of a trace or request are kept or dropped together. Compatible with the Beelines' deterministic sampler. Events without the field are sampled at random.
+   * @param {Object} [opts.schemas] - Schemas by dataset name, each `{ fields, required, onViolation }`: `fields` maps field names (after flattening) to "string", "number", "integer", "boolean" or "date", and `required` lists fields every event must have. Values are coerced to their field's type where nothing is lost (numeric strings become numbers, ISO 8601 dates are normalized to UTC). Events that still don't fit have `schemaViolations` (`{ field, reason, expected, actual, value }`) in their response, and are sent anyway with `onViolation: "flag"` (the default) or dropped with `onViolation: "drop"`.
+   * @param {Object} [opts.logger] - Where to report problems, instead of the console: an object with `error(message)` and `warn(message)` methods. Methods it doesn't have still go to the console.
+   * @param {boolean} [opts.strict=false] - Throw a `ValidationError` from `send()` (and the other send methods) for events that fail validation, rather than logging it and dropping the event.
+   * @param {Object|boolean} [opts.env=process.env] - Where to read configuration from environment variables, which set the options not passed in code: `HONEYCOMB_API_KEY` (writeKey), `HONEYCOMB_DATASET`, `HONEYCOMB_API_ENDPOINT` (apiHost), `HONEYCOMB_SAMPLE_RATE`, `HONEYCOMB_BATCH_SIZE` (batchSizeTrigger), `HONEYCOMB_BATCH_TIME_MS` (batchTimeTrigger), `HONEYCOMB_MAX_CONCURRENT_BATCHES`, `HONEYCOMB_PENDING_WORK_CAPACITY`, `HONEYCOMB_MAX_BATCH_BYTES`, `HONEYCOMB_TIMEOUT_MS` (timeout), `HONEYCOMB_MAX_RETRIES`, and `HTTPS_PROXY`/`HTTP_PROXY` (proxy, by the protocol of apiHost) unless `NO_PROXY` covers apiHost. Invalid values are reported to the logger and ignored. Pass `false` to ignore the environment. Node only.
    * @param {boolean} [opts.disabled=false] - Disable transmission of events to the specified `apiHost`, particularly useful for testing or development.
    * @constructor
    * @example
@@ -101,14 +303,68 @@ export default class Libhoney extends EventEmitter {
    *   dataset: "honeycomb-js-example",
    *   // disabled: true // uncomment when testing or in development
    * });
+   * @example <caption>sampling rules</caption>
+   * let honey = new Libhoney({
+   *   writeKey: "YOUR_WRITE_KEY",
+   *   dataset: "honeycomb-js-example",
+   *   rulesSampler: [
+   *     { name: "errors", conditions: [{ field: "error", operator: "exists" }], sampleRate: 1 },
+   *     { name: "health", conditions: [{ field: "route", operator: "=", value: "/health" }], sampleRate: 100 },
+   *     { name: "default", sampleRate: 10 },
+   *   ],
+   * });
+   * @example <caption>dynamic sampling</caption>
+   * let honey = new Libhoney({
+   *   writeKey: "YOUR_WRITE_KEY",
+   *   dataset: "honeycomb-js-example",
+   *   sampler: {
+   *     type: "avgSampleRate",
+   *     goalSampleRate: 20,
+   *     key: fields => `${fields.status_code}:${fields.route}`,
+   *   },
+   * });
    */
   constructor(opts) {
     super();
     this._options = Object.assign(
-      { responseCallback: this._responseCallback.bind(this) },
+      {
+        responseCallback: this._responseCallback.bind(this),
+        throttledCallback: this._throttledCallback.bind(this),
+      },
       defaults,
       opts
     );
+    this._logger = Object.assign({}, consoleLogger, this._options.logger);
+    this._options.logger = this._logger;
+    // environment variables fill in options not passed in code, see ./env.js.
+    Object.assign(
+      this._options,
+      optionsFromEnv(this._options, this._logger, opts || {})
+    );
+    // transmissions are replaced on every flush, so the spool is owned (and replayed) here.
+    this._spool = createSpool(this._options);
+    this._options.spool = this._spool;
+    // the sampler's counts have to outlive each transmission too.
+    this._options.sampler = resolveSampler(this._options.sampler, this._logger);
+    this._rulesSampler = resolveRulesSampler(
+      this._options.rulesSampler,
+      this._logger
+    );
+    this._flattenOptions = resolveFlattenOptions(
+      this._options.flattenFields,
+      this._logger
+    );
+    this._schemas = resolveSchemas(this._options.schemas);
+    this._beforeSend = [].concat(this._options.beforeSend || []);
+    // redaction goes last, so it also covers whatever the other hooks add.
+    const redactor = resolveRedactor(this._options.redact);
+    if (redactor) {
+      this._beforeSend.push((fields) => redactor.redact(fields));
+    }
+    // events waiting on async beforeSend hooks
+    this._beforeSendPending = new Set();
+    // event -> PendingDelivery, for events sent with sendEventAsync.
+    this._deliveries = new WeakMap();
     this._transmission = getAndInitTransmission(
       this._options.transmission,
       this._options
@@ -122,9 +378,61 @@ export default class Libhoney extends EventEmitter {
     this._builder.sampleRate = this._options.sampleRate;
 
     this._responseQueue = [];
+
+    if (this._spool && this._transmission) {
+      try {
+        this._spool.replay((ev) => this._transmission.sendPresampledEvent(ev));
+      } catch (e) {
+        this._logger.warn(`unable to replay spooled events: ${e}`);
+      }
+    }
+
+    if (
+      process.env.LIBHONEY_TARGET === "browser" &&
+      this._usable &&
+      this._options.flushOnPageHide &&
+      typeof window !== "undefined" &&
+      typeof document !== "undefined"
+    ) {
+      this._pageHideListener = () => this._flushOnPageHide();
+      this._visibilityListener = () => {
+        if (document.visibilityState === "hidden") {
+          this._flushOnPageHide();
+        }
+      };
+      window.addEventListener("pagehide", this._pageHideListener);
+      document.addEventListener("visibilitychange", this._visibilityListener);
+    }
+
+    if (this._options.autoFlushOnExit) {
+      this.installShutdownHooks();
+    }
+  }
+
+  _flushOnPageHide() {
+    if (
+      this._transmission &&
+      typeof this._transmission.flushOnPageHide === "function"
+    ) {
+      this._transmission.flushOnPageHide();
+    }
   }
 
-  _responseCallback(responses) {
+  _responseCallback(transmitted) {
+    // add the schema violations of the events responses are about, and settle the promises of
+    // those sent with sendAsync.
+    const responses = transmitted.map((response) => {
+      let ev = linkedEvent(response);
+      if (!ev) {
+        return response;
+      }
+      let settled = ev.schemaViolations
+        ? Object.assign({}, response, { schemaViolations: ev.schemaViolations })
+        : response;
+      this._settleDelivery(ev, settled);
+      return settled;
+    });
+
     const [queue, limit] = [
       this._responseQueue,
       this._options.maxResponseQueueSize,
@@ -135,6 +443,10 @@ export default class Libhoney extends EventEmitter {
     this.emit("response", this._responseQueue);
   }
 
+  _throttledCallback(throttle) {
+    this.emit("throttled", throttle);
+  }
+
   /**
    * The transmission implementation in use for this libhoney instance.  Useful when mocking libhoney (specify
    * "mock" for options.transmission, and use this field to get at the list of events sent through libhoney.)
@@ -239,12 +551,19 @@ export default class Libhoney extends EventEmitter {
    * @private
    */
   sendEvent(event) {
+    if (this._closed) {
+      this._logger.error("libhoney instance is closed, dropping event");
+      return;
+    }
     let transmitEvent = this.validateEvent(event);
     if (!transmitEvent) {
       return;
     }
 
-    this._transmission.sendEvent(transmitEvent);
+    this._runBeforeSend(transmitEvent, (ev) => {
+      this._applySamplingRules(ev);
+      this._transmission.sendEvent(ev);
+    });
   }
 
   /**
@@ -263,12 +582,219 @@ export default class Libhoney extends EventEmitter {
    * @private
    */
   sendPresampledEvent(event) {
+    if (this._closed) {
+      this._logger.error("libhoney instance is closed, dropping event");
+      return;
+    }
     let transmitEvent = this.validateEvent(event);
     if (!transmitEvent) {
       return;
     }
 
-    this._transmission.sendPresampledEvent(transmitEvent);
+    this._runBeforeSend(transmitEvent, (ev) =>
+      this._transmission.sendPresampledEvent(ev)
+    );
+  }
+
+  /**
+   * like sendEvent, but returns a promise that resolves with the event's response once its batch
+   * has been sent, and rejects if the event is sampled out, dropped, can't be encoded or isn't
+   * accepted by the server.  other transmissions than "base" and "worker" (and subclasses) don't
+   * report how events fared, so with those (and when libhoney is disabled) it resolves with just
+   * the event's metadata once the event has been handed over.
+   * @private
+   */
+  sendEventAsync(event) {
+    return this._sendAsync(event, (ev) => {
+      this._applySamplingRules(ev);
+      this._transmission.sendEvent(ev);
+    });
+  }
+
+  /**
+   * like sendPresampledEvent, but returns a promise for the event's response.  see sendEventAsync.
+   * @private
+   */
+  sendPresampledEventAsync(event) {
+    return this._sendAsync(event, (ev) =>
+      this._transmission.sendPresampledEvent(ev)
+    );
+  }
+
+  _sendAsync(event, send) {
+    return new Promise((resolve, reject) => {
+      if (!this._usable) {
+        // nothing is sent, as with send.
+        resolve({ metadata: event.metadata });
+        return;
+      }
+      if (this._closed) {
+        reject(new Error("libhoney instance is closed"));
+        return;
+      }
+      let transmitEvent;
+      try {
+        transmitEvent = this._checkEvent(event);
+      } catch (e) {
+        this._validationFailed(e);
+        reject(e);
+        return;
+      }
+
+      this._deliveries.set(transmitEvent, new PendingDelivery(resolve, reject));
+      this._runBeforeSend(transmitEvent, (ev) => {
+        send(ev);
+        // only the base and worker transmissions report how events fared.  the others (mock,
+        // null, console, custom ones...) are done with an event once they have it.
+        if (
+          !(this._transmission instanceof Transmission) &&
+          !(this._transmission instanceof WorkerTransmission)
+        ) {
+          this._settleDelivery(ev, { metadata: ev.metadata });
+        }
+      });
+    });
+  }
+
+  _settleDelivery(ev, response) {
+    let delivery = this._deliveries.get(ev);
+    if (delivery) {
+      this._deliveries.delete(ev);
+      delivery.settle(response);
+    }
+  }
+
+  // runs the beforeSend hooks over the event's fields, then hands it to `send` unless a hook (or
+  // its dataset's schema) dropped it.  hooks run synchronously until one returns a promise, and
+  // the rest wait on it.
+  _runBeforeSend(ev, send) {
+    // violations are reported with the event's response, whatever becomes of it.
+    if (ev.schemaViolations && this._schemas.get(ev.dataset).drop) {
+      this._responseCallback([
+        linkResponse({ metadata: ev.metadata, error: new Error(droppedBySchema) }, ev),
+      ]);
+      return;
+    }
+
+    const hooks = this._beforeSend;
+    if (hooks.length === 0) {
+      send(ev);
+      return;
+    }
+
+    const metadata = ev.metadata;
+    const drop = (reason) =>
+      this._responseCallback([linkResponse({ metadata, error: new Error(reason) }, ev)]);
+    const failed = (e) => drop(`beforeSend hook failed: ${e}`);
+    // hooks may change the fields they're given, or return new ones.
+    const nextFields = (fields, result) =>
+      result && typeof result === "object" ? result : fields;
+
+    const run = (start, startFields) => {
+      let fields = startFields;
+      for (let i = start; i < hooks.length; i++) {
+        let result;
+        try {
+          result = hooks[i](fields, metadata);
+        } catch (e) {
+          failed(e);
+          return;
+        }
+        if (result && typeof result.then === "function") {
+          let current = fields;
+          return result.then(
+            (resolved) =>
+              resolved === false
+                ? drop(droppedByHook)
+                : run(i + 1, nextFields(current, resolved)),
+            failed
+          );
+        }
+        if (result === false) {
+          drop(droppedByHook);
+          return;
+        }
+        fields = nextFields(fields, result);
+      }
+      ev.postData = fields;
+      send(ev);
+    };
+
+    const pending = run(0, ev.postData);
+    if (pending) {
+      // flush and close wait on events still making their way through async hooks.
+      this._beforeSendPending.add(pending);
+      pending.then(() => this._beforeSendPending.delete(pending));
+    }
+  }
+
+  // resolves once the events in async beforeSend hooks have been handed on, or at `deadline` (a
+  // Date.now() timestamp, if there is one), with how many events were still in hooks then.
+  _beforeSendSettled(deadline) {
+    if (this._beforeSendPending.size === 0) {
+      return Promise.resolve(0);
+    }
+    // hooks may be handed more events while we wait.
+    let settled = Promise.all(Array.from(this._beforeSendPending)).then(() =>
+      this._beforeSendSettled(deadline)
+    );
+    if (deadline === undefined) {
+      return settled;
+    }
+    let timer;
+    let expired = new Promise((resolve) => {
+      timer = setTimeout(
+        () => resolve(this._beforeSendPending.size),
+        Math.max(deadline - Date.now(), 0)
+      );
+    });
+    return Promise.race([settled, expired]).then((inHooks) => {
+      clearTimeout(timer);
+      return inHooks;
+    });
+  }
+
+  // lets the first matching rule (if any) pick the event's sample rate, recording its name on the
+  // event.  dynamic samplers configured with the `sampler` option leave those events alone.
+  _applySamplingRules(ev, fields = ev.postData) {
+    if (!this._rulesSampler) {
+      return;
+    }
+    let decision = this._rulesSampler.sample(fields);
+    if (!decision) {
+      return;
+    }
+    ev.sampleRate = decision.sampleRate;
+    ev.sampleRule = decision.rule;
+    fields[this._rulesSampler.ruleField] = decision.rule;
+  }
+
+  // makes the keep/drop decision sendEvent would for a span's event, once, so its span events and
+  // links can share it (see Span.finish).  the rules sampler or `sampler` option set its sample
+  // rate as they would in the transmission, and spans that are sampled out are reported as
+  // dropped.
+  _sampleSpan(ev) {
+    if (!this._usable || this._closed) {
+      // sending it reports (or ignores) it as it would any other event.
+      return true;
+    }
+    this._applySamplingRules(ev, ev.data);
+    let sampler = this._options.sampler;
+    if (sampler && ev.sampleRule === undefined) {
+      ev.sampleRate = sampler.getSampleRate(ev.data);
+    }
+    if (
+      shouldSample(ev.data, ev.sampleRate, this._options.deterministicSamplingField)
+    ) {
+      return true;
+    }
+    this._responseCallback([
+      linkResponse(
+        { metadata: ev.metadata, error: new Error("event dropped due to sampling") },
+        ev
+      ),
+    ]);
+    return false;
   }
 
   /**
@@ -297,49 +823,92 @@ export default class Libhoney extends EventEmitter {
    *
    * @returns {Object} the validated libhoney Event. May return undefined if
    *                   the event was invalid in some way or unable to be sent.
+   * @throws {ValidationError} in strict mode, if the event is invalid.
    * @private
    */
   validateEvent(event) {
+    try {
+      return this._checkEvent(event);
+    } catch (e) {
+      this._validationFailed(e);
+      if (this._options.strict) {
+        throw e;
+      }
+      return null;
+    }
+  }
+
+  // reports an event that failed validation: as an `error` event if anyone's listening, and to
+  // the logger unless we're throwing it in strict mode.
+  _validationFailed(err) {
+    if (this.listenerCount("error") > 0) {
+      this.emit("error", err);
+    }
+    if (!this._options.strict) {
+      this._logger.error(err.message);
+    }
+  }
+
+  // validates and clones `event` into a ValidatedEvent, throwing a ValidationError if it can't be
+  // sent as it is.
+  _checkEvent(event) {
     if (!this._usable) return null;
 
+    let metadata = event.metadata;
+    const invalid = (reason, message) => {
+      throw new ValidationError(reason, message, metadata);
+    };
+
     let timestamp = event.timestamp || Date.now();
     if (typeof timestamp === "string" || typeof timestamp === "number")
       timestamp = new Date(timestamp);
 
     if (typeof event.data !== "object" || event.data === null) {
-      console.error("data must be an object");
-      return null;
+      invalid(ValidationReason.INVALID_DATA, "data must be an object");
     }
     let postData;
     try {
-      postData = JSON.parse(JSON.stringify(event.data));
+      postData = serializeFields(event.data, {
+        native: this._options.encoding === "msgpack",
+        maxBinaryBytes: this._options.maxBinaryBytes,
+      });
     } catch (e) {
-      console.error("error cloning event data: " + e);
-      return null;
+      invalid(
+        ValidationReason.UNSERIALIZABLE_DATA,
+        "error cloning event data: " + e
+      );
+    }
+    if (this._flattenOptions) {
+      postData = flattenFields(postData, this._flattenOptions);
     }
 
     let apiHost = event.apiHost;
     if (typeof apiHost !== "string" || apiHost === "") {
-      console.error("apiHost must be a non-empty string");
-      return null;
+      invalid(
+        ValidationReason.INVALID_API_HOST,
+        "apiHost must be a non-empty string"
+      );
     }
 
     let writeKey = event.writeKey;
     if (typeof writeKey !== "string" || writeKey === "") {
-      console.error("writeKey must be a non-empty string");
-      return null;
+      invalid(
+        ValidationReason.INVALID_WRITE_KEY,
+        "writeKey must be a non-empty string"
+      );
     }
 
     let dataset = event.dataset;
     if (typeof dataset !== "string") {
-      console.error("dataset must be a string");
-      return null;
+      invalid(ValidationReason.INVALID_DATASET, "dataset must be a string");
     }
 
     if (dataset === "") {
       if (Libhoney.isClassic(writeKey)) {
-        console.error("dataset must be a non-empty string");
-        return null;
+        invalid(
+          ValidationReason.INVALID_DATASET,
+          "dataset must be a non-empty string"
+        );
       } else {
         dataset = "unknown_dataset";
       }
@@ -347,12 +916,19 @@ export default class Libhoney extends EventEmitter {
 
     let sampleRate = event.sampleRate;
     if (typeof sampleRate !== "number") {
-      console.error("sampleRate must be a number");
-      return null;
+      invalid(
+        ValidationReason.INVALID_SAMPLE_RATE,
+        "sampleRate must be a number"
+      );
     }
 
-    let metadata = event.metadata;
-    return new ValidatedEvent({
+    let schema = this._schemas && this._schemas.get(dataset);
+    let violations = [];
+    if (schema) {
+      ({ fields: postData, violations } = schema.check(postData));
+    }
+
+    let validated = new ValidatedEvent({
       timestamp,
       apiHost,
       postData,
@@ -361,6 +937,10 @@ export default class Libhoney extends EventEmitter {
       sampleRate,
       metadata,
     });
+    if (violations.length > 0) {
+      validated.schemaViolations = violations;
+    }
+    return validated;
   }
 
   /**
@@ -410,7 +990,7 @@ export default class Libhoney extends EventEmitter {
   }
 
   /**
-   * creates and sends an event, including all global builder fields/dynFields, as well as anything in the optional data parameter.
+   * creates and sends an event, including all current builder fields/dynFields (see currentBuilder), as well as anything in the optional data parameter.
    * @param {Object|Map<string, any>} data field->value mapping.
    * @example <caption>using an object</caption>
    *   honey.sendNow ({
@@ -424,11 +1004,11 @@ export default class Libhoney extends EventEmitter {
    *   honey.sendNow (map);
    */
   sendNow(data) {
-    return this._builder.sendNow(data);
+    return this.currentBuilder().sendNow(data);
   }
 
   /**
-   * creates and returns a new Event containing all fields/dynFields from the global Builder, that can be further fleshed out and sent on its own.
+   * creates and returns a new Event containing all fields/dynFields from the current Builder (see currentBuilder), that can be further fleshed out and sent on its own.
    * @returns {Event} an Event instance
    * @example <caption>adding data at send-time</caption>
    *   let ev = honey.newEvent();
@@ -436,11 +1016,26 @@ export default class Libhoney extends EventEmitter {
    *   ev.send();
    */
   newEvent() {
-    return this._builder.newEvent();
+    return this.currentBuilder().newEvent();
+  }
+
+  /**
+   * starts a span, sent through the current Builder (see currentBuilder) when it's finished.  See
+   * Builder's startSpan.
+   * @param {string} name the name of the span.
+   * @param {Object|Map<string, any>} [fields] fields to start the span with.
+   * @returns {Span} a Span instance
+   * @example
+   *   let span = honey.startSpan("handle request", { route: "/users" });
+   *   // ...
+   *   span.finish({ status_code: 200 });
+   */
+  startSpan(name, fields) {
+    return this.currentBuilder().startSpan(name, fields);
   }
 
   /**
-   * creates and returns a clone of the global Builder, merged with fields and dynFields passed as arguments.
+   * creates and returns a clone of the current Builder (see currentBuilder), merged with fields and dynFields passed as arguments.
    * @param {Object|Map<string, any>} fields a field->value mapping to merge into the new builder.
    * @param {Object|Map<string, any>} dynFields a field->dynamic function mapping to merge into the new builder.
    * @returns {Builder} a Builder instance
@@ -453,32 +1048,207 @@ export default class Libhoney extends EventEmitter {
    *                                  });
    */
   newBuilder(fields, dynFields) {
-    return this._builder.newBuilder(fields, dynFields);
+    return this.currentBuilder().newBuilder(fields, dynFields);
+  }
+
+  /**
+   * runs `fn` with `builder` as the current builder, so that `newEvent`, `sendNow`, `startSpan`
+   * and `newBuilder` on this instance work from it, however deep in `fn`'s call tree they're
+   * called.  In node the scope lasts across awaits, timers and callbacks, for as long as `fn`'s
+   * async work goes on.  In browsers it only lasts for the synchronous part of `fn`.  Scopes nest:
+   * the innermost one wins.
+   * @param {Builder} builder the builder to make current.
+   * @param {function(): any} fn
+   * @returns {any} whatever `fn` returns.
+   * @example
+   *   app.use((req, res, next) => {
+   *     honey.withBuilder(honey.newBuilder({ requestId: req.id }), next);
+   *   });
+   *   // ...and in a handler, without passing anything down:
+   *   honey.sendNow({ query: "select 1" }); // includes requestId
+   */
+  withBuilder(builder, fn) {
+    // the context is made on first use, so apps that don't use scopes don't pay for them.
+    if (!this._context) {
+      this._context = createContext();
+    }
+    return this._context.run(builder, fn);
+  }
+
+  /**
+   * returns the builder made current by the innermost `withBuilder` scope we're in, or the global
+   * Builder outside of any.
+   * @returns {Builder} a Builder instance
+   */
+  currentBuilder() {
+    return (this._context && this._context.active()) || this._builder;
+  }
+
+  /**
+   * Flushes this instance's pending events before the process exits: on SIGTERM and SIGINT, when
+   * the event loop empties (`beforeExit`), and on uncaught exceptions.  Once flushed (or out of
+   * time), the process carries on exiting as it would have: signals are re-raised and uncaught
+   * exceptions are reported with exit code 1, unless the app handles them itself.  The process
+   * handlers are shared by all instances, so calling this on many instances (or many times) never
+   * registers duplicates.  `process.exit()` can't be waited on, so flush before calling it.
+   * Node only.
+   * @param {Object} [opts]
+   * @param {number} [opts.timeoutMs] - The most time (in ms) to spend flushing this instance.
+   *   Defaults to the `shutdownTimeout` option.
+   * @returns {Libhoney} this libhoney instance.
+   * @example
+   *   let honey = new Libhoney({ writeKey, dataset }).installShutdownHooks({ timeoutMs: 2000 });
+   */
+  installShutdownHooks({ timeoutMs } = {}) {
+    if (process.env.LIBHONEY_TARGET === "browser") {
+      this._logger.warn("shutdown hooks are only supported in node.");
+      return this;
+    }
+    registerShutdownFlush(
+      this,
+      typeof timeoutMs === "number" ? timeoutMs : this._options.shutdownTimeout
+    );
+    return this;
+  }
+
+  /**
+   * Stops flushing this instance on exit.  See installShutdownHooks.
+   * @returns {Libhoney} this libhoney instance.
+   */
+  removeShutdownHooks() {
+    unregisterShutdownFlush(this);
+    return this;
   }
 
   /**
    * Allows you to easily wait for everything to be sent to Honeycomb (and for responses to come back for
    * events). Also initializes a transmission instance for libhoney to use, so any events sent
-   * after a call to flush will not be waited on.
-   * @returns {Promise} a promise that will resolve when all currently enqueued events/batches are sent.
+   * after a call to flush will not be waited on (the "worker" transmission is instead flushed in
+   * place, keeping its worker running).
+   * @param {Object} [opts]
+   * @param {number} [opts.timeoutMs] - The most time (in ms) to wait.  Events still being sent (or
+   *   still in async beforeSend hooks) at the deadline carry on in the background and are counted
+   *   as pending.
+   * @returns {Promise<{sent: number, failed: number, pending: number}>} a promise that will resolve
+   *   when all currently enqueued events/batches are sent (or the deadline passes), with how many
+   *   of them were accepted, how many failed, and how many were still pending.
+   * @example
+   *   let { sent, failed, pending } = await honey.flush({ timeoutMs: 1000 });
    */
-  flush() {
-    const transmission = this._transmission;
+  flush({ timeoutMs } = {}) {
+    let deadline = deadlineFor(timeoutMs);
+    return this._beforeSendSettled(deadline).then((inHooks) => {
+      const transmission = this._transmission;
 
-    this._transmission = getAndInitTransmission(
-      this._options.transmission,
-      this._options
-    );
+      // the worker transmission is flushed in place, so we keep one worker thread rather than
+      // starting a new one on every flush.
+      if (!this._closed && !(transmission instanceof WorkerTransmission)) {
+        this._transmission = getAndInitTransmission(
+          this._options.transmission,
+          this._options
+        );
+      }
+
+      return flushTransmission(transmission, timeLeft(deadline)).then((summary) =>
+        this._flushSpool().then(() => withInHooks(summary, inHooks))
+      );
+    });
+  }
+
+  // writes out the spool's buffered records (e.g. the acks for what was just flushed).
+  _flushSpool() {
+    return this._spool ? this._spool.flush() : Promise.resolve();
+  }
 
-    if (!transmission) {
-      return Promise.resolve();
+  /**
+   * Flushes pending events (waiting at most `timeoutMs`), then shuts this instance down: timers
+   * are stopped, events still unsent are reported as failed, the proxy agent is released, the
+   * spool is written out and left for the next instance to replay, and shutdown and page hide
+   * hooks are removed.  Events sent after close are dropped (and
+   * `sendAsync` rejects).  Calling close again returns the first call's promise.
+   * @param {Object} [opts]
+   * @param {number} [opts.timeoutMs] - The most time (in ms) to spend flushing.
+   * @returns {Promise<{sent: number, failed: number, pending: number}>} the flush summary, see flush.
+   * @example
+   *   process.on("SIGTERM", () => honey.close({ timeoutMs: 2000 }).then(() => process.exit(0)));
+   */
+  close({ timeoutMs } = {}) {
+    if (this._closePromise) {
+      return this._closePromise;
     }
+    this._closed = true;
+    this.removeShutdownHooks();
+    if (this._pageHideListener) {
+      window.removeEventListener("pagehide", this._pageHideListener);
+      document.removeEventListener("visibilitychange", this._visibilityListener);
+    }
+
+    let transmission;
+    let deadline = deadlineFor(timeoutMs);
+    this._closePromise = this._beforeSendSettled(deadline)
+      .then((inHooks) => {
+        transmission = this._transmission;
+        return flushTransmission(transmission, timeLeft(deadline)).then((summary) =>
+          withInHooks(summary, inHooks)
+        );
+      })
+      .then((summary) => {
+        if (transmission && typeof transmission.close === "function") {
+          transmission.close();
+        }
+        return this._spool ? this._spool.close().then(() => summary) : summary;
+      });
+    return this._closePromise;
+  }
+}
+
+/**
+ * The error libhoney reports events that fail validation with.  See the `error` event and the
+ * `strict` option.
+ * @type {typeof ValidationError}
+ */
+Libhoney.ValidationError = ValidationError;
+
+/**
+ * Trace propagation codecs, for carrying trace context across services in HTTP headers:
+ * `w3c` (`traceparent`/`tracestate`), `b3` (single header), `b3Multi`, `xray` (AWS X-Ray) and
+ * `honeycomb` (`X-Honeycomb-Trace`).
+ * @example <caption>continuing a trace from an incoming request</caption>
+ *   let builder = honey.newBuilder();
+ *   libhoney.propagation.w3c.extract(req.headers, builder);
+ *   let span = builder.startSpan("handle request");
+ * @example <caption>passing it on to an outgoing call</caption>
+ *   let call = span.startChild("fetch users");
+ *   let headers = libhoney.propagation.w3c.inject(call, {});
+ *   await fetch(usersUrl, { headers });
+ */
+Libhoney.propagation = propagation;
+
+const droppedByHook = "event dropped by beforeSend hook";
+const droppedBySchema = "event dropped for violating its dataset's schema";
+
+// flushes `transmission` if it can be, resolving with its summary.
+// flush and close deadlines, as Date.now() timestamps, and the time left until them.
+const deadlineFor = (timeoutMs) =>
+  typeof timeoutMs === "number" ? Date.now() + timeoutMs : undefined;
+
+const timeLeft = (deadline) =>
+  deadline === undefined ? undefined : Math.max(deadline - Date.now(), 0);
+
+// events still in beforeSend hooks at the deadline count as pending.
+const withInHooks = (summary, inHooks) =>
+  inHooks > 0
+    ? Object.assign({}, summary, { pending: summary.pending + inHooks })
+    : summary;
 
-    return transmission.flush();
+function flushTransmission(transmission, timeoutMs) {
+  if (!transmission || typeof transmission.flush !== "function") {
+    return Promise.resolve({ sent: 0, failed: 0, pending: 0 });
   }
+  return Promise.resolve(transmission.flush({ timeoutMs }));
 }
 
-const getTransmissionClass = (transmissionClassName) => {
+const getTransmissionClass = (transmissionClassName, logger) => {
   switch (transmissionClassName) {
     case "base":
       return Transmission;
@@ -487,12 +1257,9 @@ const getTransmissionClass = (transmissionClassName) => {
     case "null":
       return NullTransmission;
     case "worker":
-      console.warn(
-        "worker implementation not ready yet.  using base implementation"
-      );
-      return Transmission;
+      return WorkerTransmission;
     case "writer":
-      console.warn(
+      logger.warn(
         "writer implementation is deprecated.  Please switch to console implementation."
       );
       return WriterTransmission;
@@ -512,9 +1279,12 @@ function getAndInitTransmission(transmission, options) {
     return null;
   }
 
+  let transmissionClass = transmission;
   if (typeof transmission === "string") {
-    const transmissionClass = getTransmissionClass(transmission);
-    return new transmissionClass(options);
+    transmissionClass = getTransmissionClass(transmission, options.logger);
+    if (transmissionClass !== WorkerTransmission) {
+      return new transmissionClass(options);
+    }
   } else if (typeof transmission !== "function") {
     throw new Error(
       "transmission must be one of 'base'/'worker'/'mock'/'writer'/'console'/'stdout'/'null' or a constructor."
@@ -522,16 +1292,16 @@ function getAndInitTransmission(transmission, options) {
   }
 
   try {
-    return new transmission(options);
+    return new transmissionClass(options);
   } catch (initialisationError) {
-    if (transmission === Transmission) {
+    if (transmissionClass === Transmission) {
       throw new Error(
         "unable to initialize base transmission implementation.",
         initialisationError
       );
     }
 
-    console.warn(
+    options.logger.warn(
       "failed to initialize transmission, falling back to base implementation."
     );
     try {
@@ -545,6 +1315,28 @@ function getAndInitTransmission(transmission, options) {
   }
 }
 
+function createSpool(options) {
+  let spoolOptions = options.spool;
+  if (!spoolOptions || options.disabled) {
+    return undefined;
+  }
+  if (process.env.LIBHONEY_TARGET === "browser") {
+    options.logger.warn("spooling events to disk is not supported in browsers.");
+    return undefined;
+  }
+  if (typeof spoolOptions.dir !== "string" || spoolOptions.dir === "") {
+    options.logger.warn("spool.dir must be a non-empty string.  not spooling events.");
+    return undefined;
+  }
+
+  try {
+    return new Spool(Object.assign({ logger: options.logger }, spoolOptions));
+  } catch (e) {
+    options.logger.warn(`unable to open spool in ${spoolOptions.dir}: ${e}`);
+    return undefined;
+  }
+}
+
 /**
  * Concatenates two arrays while keeping the length of the returned result
  * less than the limit. As many elements from arr2 will be appended onto the
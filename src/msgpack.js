@@ -0,0 +1,578 @@
+// Copyright 2016 Hound Technology, Inc. All rights reserved.
+// Use of this source code is governed by the Apache License 2.0
+// license that can be found in the LICENSE file.
+
+/* global BigInt */
+
+/**
+ * A small MessagePack (https://msgpack.org/) encoder and decoder, covering what we need for
+ * batch payloads: Dates are encoded with the timestamp extension type, binary data as bin, and
+ * BigInts as 64-bit integers.
+ * @module
+ * @private
+ */
+
+const TIMESTAMP_EXT_TYPE = -1;
+
+const MAX_UINT32 = 0xffffffff;
+const MAX_TIMESTAMP64_SECONDS = 0x3ffffffff; // 34 bits
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+class Writer {
+  constructor() {
+    this.bytes = new Uint8Array(256);
+    this.view = new DataView(this.bytes.buffer);
+    this.pos = 0;
+  }
+
+  ensure(n) {
+    if (this.pos + n <= this.bytes.length) {
+      return;
+    }
+    let size = this.bytes.length * 2;
+    while (size < this.pos + n) {
+      size *= 2;
+    }
+    let bytes = new Uint8Array(size);
+    bytes.set(this.bytes);
+    this.bytes = bytes;
+    this.view = new DataView(bytes.buffer);
+  }
+
+  u8(v) {
+    this.ensure(1);
+    this.view.setUint8(this.pos, v);
+    this.pos += 1;
+  }
+
+  u16(v) {
+    this.ensure(2);
+    this.view.setUint16(this.pos, v);
+    this.pos += 2;
+  }
+
+  u32(v) {
+    this.ensure(4);
+    this.view.setUint32(this.pos, v);
+    this.pos += 4;
+  }
+
+  u64(v) {
+    this.ensure(8);
+    this.view.setBigUint64(this.pos, BigInt(v));
+    this.pos += 8;
+  }
+
+  i64(v) {
+    this.ensure(8);
+    this.view.setBigInt64(this.pos, BigInt(v));
+    this.pos += 8;
+  }
+
+  f64(v) {
+    this.ensure(8);
+    this.view.setFloat64(this.pos, v);
+    this.pos += 8;
+  }
+
+  raw(bytes) {
+    this.ensure(bytes.length);
+    this.bytes.set(bytes, this.pos);
+    this.pos += bytes.length;
+  }
+
+  result() {
+    return this.bytes.slice(0, this.pos);
+  }
+}
+
+/**
+ * whether `value` is binary data: an ArrayBuffer, a typed array, a DataView or a Buffer.
+ * @private
+ */
+export const isBinary = value =>
+  value instanceof ArrayBuffer || ArrayBuffer.isView(value);
+
+/**
+ * views binary data as a Uint8Array, without copying it.
+ * @private
+ */
+export const toUint8Array = value => {
+  if (value instanceof Uint8Array) {
+    return value;
+  }
+  if (value instanceof ArrayBuffer) {
+    return new Uint8Array(value);
+  }
+  return new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+};
+
+// JSON-like rules for which object properties get encoded at all.
+const isSkipped = value =>
+  value === undefined ||
+  typeof value === "function" ||
+  typeof value === "symbol";
+
+function writeInteger(w, v) {
+  if (v >= 0) {
+    if (v < 0x80) {
+      w.u8(v);
+    } else if (v < 0x100) {
+      w.u8(0xcc);
+      w.u8(v);
+    } else if (v < 0x10000) {
+      w.u8(0xcd);
+      w.u16(v);
+    } else if (v <= MAX_UINT32) {
+      w.u8(0xce);
+      w.u32(v);
+    } else {
+      w.u8(0xcf);
+      w.u64(v);
+    }
+  } else {
+    if (v >= -0x20) {
+      w.u8(v & 0xff);
+    } else if (v >= -0x80) {
+      w.u8(0xd0);
+      w.u8(v & 0xff);
+    } else if (v >= -0x8000) {
+      w.u8(0xd1);
+      w.u16(v & 0xffff);
+    } else if (v >= -0x80000000) {
+      w.u8(0xd2);
+      w.u32(v >>> 0);
+    } else {
+      w.u8(0xd3);
+      w.i64(v);
+    }
+  }
+}
+
+function writeBigInt(w, v) {
+  if (v >= BigInt(0) && v <= BigInt("0xffffffffffffffff")) {
+    w.u8(0xcf);
+    w.u64(v);
+  } else if (v < BigInt(0) && v >= -BigInt("0x8000000000000000")) {
+    w.u8(0xd3);
+    w.i64(v);
+  } else {
+    throw new RangeError(`BigInt ${v} does not fit in 64 bits`);
+  }
+}
+
+function writeString(w, v) {
+  let bytes = textEncoder.encode(v);
+  let len = bytes.length;
+  if (len < 0x20) {
+    w.u8(0xa0 | len);
+  } else if (len < 0x100) {
+    w.u8(0xd9);
+    w.u8(len);
+  } else if (len < 0x10000) {
+    w.u8(0xda);
+    w.u16(len);
+  } else {
+    w.u8(0xdb);
+    w.u32(len);
+  }
+  w.raw(bytes);
+}
+
+function writeBinary(w, v) {
+  let bytes = toUint8Array(v);
+  let len = bytes.length;
+  if (len < 0x100) {
+    w.u8(0xc4);
+    w.u8(len);
+  } else if (len < 0x10000) {
+    w.u8(0xc5);
+    w.u16(len);
+  } else {
+    w.u8(0xc6);
+    w.u32(len);
+  }
+  w.raw(bytes);
+}
+
+// https://github.com/msgpack/msgpack/blob/master/spec.md#timestamp-extension-type
+function writeTimestamp(w, date) {
+  let ms = date.getTime();
+  if (isNaN(ms)) {
+    throw new RangeError("Invalid Date");
+  }
+  let sec = Math.floor(ms / 1000);
+  let nsec = (ms - sec * 1000) * 1e6;
+
+  if (sec >= 0 && sec <= MAX_TIMESTAMP64_SECONDS) {
+    if (nsec === 0 && sec <= MAX_UINT32) {
+      // timestamp 32
+      w.u8(0xd6);
+      w.u8(TIMESTAMP_EXT_TYPE & 0xff);
+      w.u32(sec);
+    } else {
+      // timestamp 64: 30 bits of nanoseconds, 34 bits of seconds
+      w.u8(0xd7);
+      w.u8(TIMESTAMP_EXT_TYPE & 0xff);
+      w.u32(nsec * 4 + Math.floor(sec / 0x100000000));
+      w.u32(sec >>> 0);
+    }
+  } else {
+    // timestamp 96
+    w.u8(0xc7);
+    w.u8(12);
+    w.u8(TIMESTAMP_EXT_TYPE & 0xff);
+    w.u32(nsec);
+    w.i64(sec);
+  }
+}
+
+function writeArrayHeader(w, len) {
+  if (len < 0x10) {
+    w.u8(0x90 | len);
+  } else if (len < 0x10000) {
+    w.u8(0xdc);
+    w.u16(len);
+  } else {
+    w.u8(0xdd);
+    w.u32(len);
+  }
+}
+
+function writeMapHeader(w, len) {
+  if (len < 0x10) {
+    w.u8(0x80 | len);
+  } else if (len < 0x10000) {
+    w.u8(0xde);
+    w.u16(len);
+  } else {
+    w.u8(0xdf);
+    w.u32(len);
+  }
+}
+
+function writeValue(w, value, seen) {
+  if (value === null || value === undefined) {
+    w.u8(0xc0);
+    return;
+  }
+
+  switch (typeof value) {
+    case "boolean":
+      w.u8(value ? 0xc3 : 0xc2);
+      return;
+    case "number":
+      if (Number.isSafeInteger(value)) {
+        writeInteger(w, value);
+      } else {
+        w.u8(0xcb);
+        w.f64(value);
+      }
+      return;
+    case "bigint":
+      writeBigInt(w, value);
+      return;
+    case "string":
+      writeString(w, value);
+      return;
+    case "function":
+    case "symbol":
+      w.u8(0xc0);
+      return;
+  }
+
+  if (value instanceof Date) {
+    writeTimestamp(w, value);
+    return;
+  }
+  if (isBinary(value)) {
+    writeBinary(w, value);
+    return;
+  }
+
+  if (seen.has(value)) {
+    throw new TypeError("cannot encode circular structure to msgpack");
+  }
+  seen.add(value);
+
+  if (Array.isArray(value)) {
+    writeArrayHeader(w, value.length);
+    value.forEach(v => writeValue(w, v, seen));
+  } else if (value instanceof Map) {
+    writeMapHeader(w, value.size);
+    value.forEach((v, k) => {
+      writeValue(w, k, seen);
+      writeValue(w, v, seen);
+    });
+  } else if (typeof value.toJSON === "function") {
+    writeValue(w, value.toJSON(), seen);
+  } else {
+    let keys = Object.keys(value).filter(k => !isSkipped(value[k]));
+    writeMapHeader(w, keys.length);
+    keys.forEach(k => {
+      writeString(w, k);
+      writeValue(w, value[k], seen);
+    });
+  }
+
+  seen.delete(value);
+}
+
+/**
+ * encodes a value as msgpack.
+ * @returns {Uint8Array}
+ * @private
+ */
+export function encode(value) {
+  let w = new Writer();
+  writeValue(w, value, new Set());
+  return w.result();
+}
+
+/**
+ * encodes an array out of already-encoded msgpack elements.
+ * @param {Uint8Array[]} encodedElements
+ * @returns {Uint8Array}
+ * @private
+ */
+export function encodeArray(encodedElements) {
+  let w = new Writer();
+  writeArrayHeader(w, encodedElements.length);
+  encodedElements.forEach(bytes => w.raw(bytes));
+  return w.result();
+}
+
+class Reader {
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    this.pos = 0;
+  }
+
+  check(n) {
+    if (this.pos + n > this.bytes.length) {
+      throw new RangeError("unexpected end of msgpack data");
+    }
+  }
+
+  u8() {
+    this.check(1);
+    return this.view.getUint8(this.pos++);
+  }
+
+  i8() {
+    this.check(1);
+    return this.view.getInt8(this.pos++);
+  }
+
+  u16() {
+    this.check(2);
+    let v = this.view.getUint16(this.pos);
+    this.pos += 2;
+    return v;
+  }
+
+  i16() {
+    this.check(2);
+    let v = this.view.getInt16(this.pos);
+    this.pos += 2;
+    return v;
+  }
+
+  u32() {
+    this.check(4);
+    let v = this.view.getUint32(this.pos);
+    this.pos += 4;
+    return v;
+  }
+
+  i32() {
+    this.check(4);
+    let v = this.view.getInt32(this.pos);
+    this.pos += 4;
+    return v;
+  }
+
+  // 64-bit integers decode to numbers when they are safe, and BigInts when they aren't.
+  u64() {
+    this.check(8);
+    let v = this.view.getBigUint64(this.pos);
+    this.pos += 8;
+    return v <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(v) : v;
+  }
+
+  i64() {
+    this.check(8);
+    let v = this.view.getBigInt64(this.pos);
+    this.pos += 8;
+    return v <= BigInt(Number.MAX_SAFE_INTEGER) &&
+      v >= BigInt(Number.MIN_SAFE_INTEGER)
+      ? Number(v)
+      : v;
+  }
+
+  f32() {
+    this.check(4);
+    let v = this.view.getFloat32(this.pos);
+    this.pos += 4;
+    return v;
+  }
+
+  f64() {
+    this.check(8);
+    let v = this.view.getFloat64(this.pos);
+    this.pos += 8;
+    return v;
+  }
+
+  raw(n) {
+    this.check(n);
+    // copy, rather than slice: a node Buffer's slice() is a view onto the same memory.
+    let bytes = new Uint8Array(this.bytes.subarray(this.pos, this.pos + n));
+    this.pos += n;
+    return bytes;
+  }
+
+  str(n) {
+    return textDecoder.decode(this.raw(n));
+  }
+}
+
+function readArray(r, len) {
+  let arr = new Array(len);
+  for (let i = 0; i < len; i++) {
+    arr[i] = readValue(r);
+  }
+  return arr;
+}
+
+function readMap(r, len) {
+  let obj = {};
+  for (let i = 0; i < len; i++) {
+    let key = readValue(r);
+    obj[key] = readValue(r);
+  }
+  return obj;
+}
+
+function readExt(r, len) {
+  let type = r.i8();
+  if (type !== TIMESTAMP_EXT_TYPE) {
+    return { type, data: r.raw(len) };
+  }
+
+  let sec, nsec;
+  if (len === 4) {
+    nsec = 0;
+    sec = r.u32();
+  } else if (len === 8) {
+    let hi = r.u32();
+    let lo = r.u32();
+    nsec = Math.floor(hi / 4);
+    sec = (hi & 0x3) * 0x100000000 + lo;
+  } else if (len === 12) {
+    nsec = r.u32();
+    sec = Number(r.i64());
+  } else {
+    throw new RangeError(`invalid msgpack timestamp length ${len}`);
+  }
+  return new Date(sec * 1000 + Math.floor(nsec / 1e6));
+}
+
+function readValue(r) {
+  let b = r.u8();
+
+  if (b < 0x80) {
+    return b;
+  }
+  if (b >= 0xe0) {
+    return b - 0x100;
+  }
+  if ((b & 0xf0) === 0x80) {
+    return readMap(r, b & 0x0f);
+  }
+  if ((b & 0xf0) === 0x90) {
+    return readArray(r, b & 0x0f);
+  }
+  if ((b & 0xe0) === 0xa0) {
+    return r.str(b & 0x1f);
+  }
+
+  switch (b) {
+    case 0xc0:
+      return null;
+    case 0xc2:
+      return false;
+    case 0xc3:
+      return true;
+    case 0xc4:
+      return r.raw(r.u8());
+    case 0xc5:
+      return r.raw(r.u16());
+    case 0xc6:
+      return r.raw(r.u32());
+    case 0xc7:
+      return readExt(r, r.u8());
+    case 0xc8:
+      return readExt(r, r.u16());
+    case 0xc9:
+      return readExt(r, r.u32());
+    case 0xca:
+      return r.f32();
+    case 0xcb:
+      return r.f64();
+    case 0xcc:
+      return r.u8();
+    case 0xcd:
+      return r.u16();
+    case 0xce:
+      return r.u32();
+    case 0xcf:
+      return r.u64();
+    case 0xd0:
+      return r.i8();
+    case 0xd1:
+      return r.i16();
+    case 0xd2:
+      return r.i32();
+    case 0xd3:
+      return r.i64();
+    case 0xd4:
+      return readExt(r, 1);
+    case 0xd5:
+      return readExt(r, 2);
+    case 0xd6:
+      return readExt(r, 4);
+    case 0xd7:
+      return readExt(r, 8);
+    case 0xd8:
+      return readExt(r, 16);
+    case 0xd9:
+      return r.str(r.u8());
+    case 0xda:
+      return r.str(r.u16());
+    case 0xdb:
+      return r.str(r.u32());
+    case 0xdc:
+      return readArray(r, r.u16());
+    case 0xdd:
+      return readArray(r, r.u32());
+    case 0xde:
+      return readMap(r, r.u16());
+    case 0xdf:
+      return readMap(r, r.u32());
+    default:
+      throw new RangeError(`invalid msgpack type byte 0x${b.toString(16)}`);
+  }
+}
+
+/**
+ * decodes a msgpack value.
+ * @param {Uint8Array|ArrayBuffer} bytes
+ * @private
+ */
+export function decode(bytes) {
+  return readValue(new Reader(toUint8Array(bytes)));
+}
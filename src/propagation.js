@@ -0,0 +1,364 @@
+// Copyright 2016 Hound Technology, Inc. All rights reserved.
+// Use of this source code is governed by the Apache License 2.0
+// license that can be found in the LICENSE file.
+
+/* global Buffer */
+
+/**
+ * Trace propagation: carrying trace context across services in HTTP headers, in the formats
+ * other tracers speak.  Each codec can:
+ *  - `extract(headers, builder)`: continue an upstream trace, by adding its `trace.trace_id` and
+ *    `trace.parent_id` fields to a builder.  Spans started from that builder join the trace.
+ *    The Honeycomb header's dataset, if it has one, becomes the builder's dataset.
+ *  - `inject(source, headers)`: add headers carrying the trace of a Span, or of a builder an
+ *    upstream trace was extracted into, for an outgoing call.
+ *  - `parse(headers)` and `serialize(context)`: convert between headers and plain contexts,
+ *    `{ traceId, parentId, sampled, ... }`, where `parentId` is the id of the span the trace
+ *    continues from.
+ *
+ * Headers can be a plain object (of any case, e.g. node's `req.headers`) or anything with a
+ * `get(name)` method, like fetch's `Headers`.
+ *
+ * W3C, B3 and X-Ray ids are fixed-size hex.  `inject` lower cases ids, strips the dashes from
+ * UUID trace ids and left-pads 64-bit trace ids to 128 bits where a format needs them, and
+ * leaves the headers alone if the ids still don't fit (e.g. the UUID span ids of older beelines).
+ * @module
+ */
+import Builder from "./builder";
+
+const hex = (length) => new RegExp(`^[0-9a-f]{${length}}$`);
+const isHex2 = hex(2);
+const isHex32 = hex(32);
+const isHex16 = hex(16);
+const isHex16Or32 = /^(?:[0-9a-f]{16}|[0-9a-f]{32})$/;
+const isUuid = /^[0-9a-f]{8}(?:-[0-9a-f]{4}){3}-[0-9a-f]{12}$/;
+const isZero = (id) => /^0+$/.test(id);
+
+const getHeader = (headers, name) => {
+  if (!headers) {
+    return undefined;
+  }
+  if (typeof headers.get === "function") {
+    let value = headers.get(name);
+    return value === null ? undefined : value;
+  }
+  let lower = name.toLowerCase();
+  let key = Object.keys(headers).find((k) => k.toLowerCase() === lower);
+  let value = key === undefined ? undefined : headers[key];
+  // node gives repeated headers as arrays.
+  return Array.isArray(value) ? value[0] : value;
+};
+
+// the Honeycomb header's context is base64-encoded JSON, which may hold any unicode.  node has
+// Buffer (and only gained btoa and atob in 16), browsers have btoa and atob.
+const encodeBase64 = (str) =>
+  typeof Buffer !== "undefined"
+    ? Buffer.from(str, "utf8").toString("base64")
+    : btoa(String.fromCharCode(...new TextEncoder().encode(str)));
+
+const decodeBase64 = (str) =>
+  typeof Buffer !== "undefined"
+    ? Buffer.from(str, "base64").toString("utf8")
+    : new TextDecoder().decode(Uint8Array.from(atob(str), (c) => c.charCodeAt(0)));
+
+/**
+ * W3C Trace Context: `traceparent` (`00-<trace id>-<parent id>-<flags>`) and `tracestate`.
+ * @private
+ */
+export const w3c = {
+  parse(headers) {
+    let traceparent = getHeader(headers, "traceparent");
+    if (typeof traceparent !== "string") {
+      return undefined;
+    }
+    // later versions may add fields after ours, so only the first four count.
+    let [version, traceId, parentId, flags] = traceparent.trim().toLowerCase().split("-");
+    if (
+      !isHex2.test(version) ||
+      version === "ff" ||
+      !isHex32.test(traceId) ||
+      isZero(traceId) ||
+      !isHex16.test(parentId) ||
+      isZero(parentId) ||
+      !isHex2.test(flags)
+    ) {
+      return undefined;
+    }
+    let context = {
+      traceId,
+      parentId,
+      sampled: (parseInt(flags, 16) & 1) === 1,
+    };
+    let traceState = getHeader(headers, "tracestate");
+    if (typeof traceState === "string" && traceState !== "") {
+      context.traceState = traceState;
+    }
+    return context;
+  },
+
+  serialize({ traceId, parentId, sampled = true, traceState }) {
+    let headers = {
+      traceparent: `00-${traceId}-${parentId}-${sampled ? "01" : "00"}`,
+    };
+    if (traceState) {
+      headers.tracestate = traceState;
+    }
+    return headers;
+  },
+};
+
+const parseB3Sampled = (value) => {
+  if (value === "1" || value === "true" || value === "d") {
+    return true;
+  }
+  if (value === "0" || value === "false") {
+    return false;
+  }
+  return undefined;
+};
+
+const b3Context = (traceId, parentId, sampled) => {
+  if (!isHex16Or32.test(traceId) || isZero(traceId)) {
+    return undefined;
+  }
+  if (!isHex16.test(parentId) || isZero(parentId)) {
+    return undefined;
+  }
+  let context = { traceId, parentId };
+  if (sampled !== undefined) {
+    context.sampled = sampled;
+  }
+  return context;
+};
+
+/**
+ * B3 single header: `b3: <trace id>-<span id>[-<sampled>[-<parent span id>]]`.
+ * @private
+ */
+export const b3 = {
+  parse(headers) {
+    let value = getHeader(headers, "b3");
+    if (typeof value !== "string") {
+      return undefined;
+    }
+    // a lone sampling decision ("b3: 0") carries no trace to continue.
+    let [traceId, parentId, sampled] = value.trim().toLowerCase().split("-");
+    return b3Context(traceId, parentId, parseB3Sampled(sampled));
+  },
+
+  serialize({ traceId, parentId, sampled }) {
+    let value = `${traceId}-${parentId}`;
+    if (sampled !== undefined) {
+      value += sampled ? "-1" : "-0";
+    }
+    return { b3: value };
+  },
+};
+
+/**
+ * B3 multiple headers: `X-B3-TraceId`, `X-B3-SpanId`, `X-B3-Sampled` and `X-B3-Flags`.
+ * @private
+ */
+export const b3Multi = {
+  parse(headers) {
+    let traceId = getHeader(headers, "X-B3-TraceId");
+    let parentId = getHeader(headers, "X-B3-SpanId");
+    if (typeof traceId !== "string" || typeof parentId !== "string") {
+      return undefined;
+    }
+    // the debug flag implies sampling.
+    let sampled =
+      getHeader(headers, "X-B3-Flags") === "1"
+        ? true
+        : parseB3Sampled(getHeader(headers, "X-B3-Sampled"));
+    return b3Context(
+      traceId.trim().toLowerCase(),
+      parentId.trim().toLowerCase(),
+      sampled
+    );
+  },
+
+  serialize({ traceId, parentId, sampled }) {
+    let headers = {
+      "X-B3-TraceId": traceId,
+      "X-B3-SpanId": parentId,
+    };
+    if (sampled !== undefined) {
+      headers["X-B3-Sampled"] = sampled ? "1" : "0";
+    }
+    return headers;
+  },
+};
+
+/**
+ * AWS X-Ray: `X-Amzn-Trace-Id: Root=1-<8 hex>-<24 hex>;Parent=<span id>;Sampled=<0|1>`.  The
+ * root's two hex parts are joined into a 32 digit trace id, and split back up when serialized.
+ * @private
+ */
+export const xray = {
+  parse(headers) {
+    let value = getHeader(headers, "X-Amzn-Trace-Id");
+    if (typeof value !== "string") {
+      return undefined;
+    }
+    let parts = {};
+    value.split(";").forEach((part) => {
+      let [key, ...rest] = part.split("=");
+      parts[key.trim().toLowerCase()] = rest.join("=").trim();
+    });
+    let root = /^1-([0-9a-f]{8})-([0-9a-f]{24})$/.exec((parts.root || "").toLowerCase());
+    let parentId = (parts.parent || "").toLowerCase();
+    if (!root || !isHex16.test(parentId) || isZero(parentId)) {
+      return undefined;
+    }
+    let context = { traceId: root[1] + root[2], parentId };
+    if (parts.sampled === "1" || parts.sampled === "0") {
+      context.sampled = parts.sampled === "1";
+    }
+    return context;
+  },
+
+  serialize({ traceId, parentId, sampled }) {
+    let value = `Root=1-${traceId.slice(0, 8)}-${traceId.slice(8)};Parent=${parentId}`;
+    if (sampled !== undefined) {
+      value += sampled ? ";Sampled=1" : ";Sampled=0";
+    }
+    return { "X-Amzn-Trace-Id": value };
+  },
+};
+
+/**
+ * Honeycomb's beeline header:
+ * `X-Honeycomb-Trace: 1;trace_id=<id>,parent_id=<id>,dataset=<dataset>,context=<base64 json>`.
+ * The context's fields are added to builders along with the trace fields.
+ * @private
+ */
+export const honeycomb = {
+  parse(headers) {
+    let value = getHeader(headers, "X-Honeycomb-Trace");
+    if (typeof value !== "string") {
+      return undefined;
+    }
+    let [version, ...rest] = value.trim().split(";");
+    if (version !== "1") {
+      return undefined;
+    }
+    let parts = {};
+    rest
+      .join(";")
+      .split(",")
+      .forEach((part) => {
+        let [key, ...val] = part.split("=");
+        parts[key.trim()] = val.join("=").trim();
+      });
+    if (!parts.trace_id || !parts.parent_id) {
+      return undefined;
+    }
+    let context = { traceId: parts.trace_id, parentId: parts.parent_id };
+    if (parts.dataset) {
+      context.dataset = decodeURIComponent(parts.dataset);
+    }
+    if (parts.context) {
+      try {
+        let fields = JSON.parse(decodeBase64(parts.context));
+        if (fields !== null && typeof fields === "object" && !Array.isArray(fields)) {
+          context.fields = fields;
+        }
+      } catch (e) {
+        // a mangled context shouldn't stop us continuing the trace.
+      }
+    }
+    return context;
+  },
+
+  serialize({ traceId, parentId, dataset, fields }) {
+    let parts = [`trace_id=${traceId}`, `parent_id=${parentId}`];
+    if (dataset) {
+      parts.push(`dataset=${encodeURIComponent(dataset)}`);
+    }
+    if (fields && Object.keys(fields).length > 0) {
+      parts.push(`context=${encodeBase64(JSON.stringify(fields))}`);
+    }
+    return { "X-Honeycomb-Trace": `1;${parts.join(",")}` };
+  },
+};
+
+// the context to propagate for a Span, a Builder, or a context as it is.
+const contextOf = (source) => {
+  if (source instanceof Builder) {
+    let fields = source._fields;
+    let traceId = fields["trace.trace_id"];
+    // a builder continuing an upstream trace passes it on as it came in.
+    let parentId = fields["trace.span_id"] || fields["trace.parent_id"];
+    return traceId && parentId ? { traceId, parentId } : undefined;
+  }
+  if (source && typeof source.traceId === "string") {
+    return source.spanId
+      ? { traceId: source.traceId, parentId: source.spanId }
+      : source;
+  }
+  return undefined;
+};
+
+// the 64 or 128-bit id as a lower case hex id of one of `lengths` (left-padded if it's shorter),
+// or undefined if it can't be made one.
+const hexId = (id, lengths) => {
+  let hexed = String(id).toLowerCase();
+  if (isUuid.test(hexed)) {
+    hexed = hexed.replace(/-/g, "");
+  }
+  if (!isHex16Or32.test(hexed) || isZero(hexed)) {
+    return undefined;
+  }
+  let length = lengths.find((l) => l >= hexed.length);
+  return length === undefined ? undefined : hexed.padStart(length, "0");
+};
+
+// fits a context's ids to formats with fixed-size hex ids, given the trace id lengths they take.
+const fixedSizeIds = (traceIdLengths) => (context) => {
+  let traceId = hexId(context.traceId, traceIdLengths);
+  let parentId = hexId(context.parentId, [16]);
+  return traceId && parentId
+    ? Object.assign({}, context, { traceId, parentId })
+    : undefined;
+};
+
+const withBuilderSupport = (codec, fitIds = (context) => context) =>
+  Object.freeze(
+    Object.assign({}, codec, {
+      extract(headers, builder) {
+        let context = codec.parse(headers);
+        if (context) {
+          builder.add(context.fields);
+          builder.addField("trace.trace_id", context.traceId);
+          builder.addField("trace.parent_id", context.parentId);
+          // a classic trace lives in a single dataset, which upstream passes on (beelines leave
+          // it out for environment-aware keys).
+          if (context.dataset) {
+            builder.dataset = context.dataset;
+          }
+        }
+        return context;
+      },
+
+      inject(source, headers = {}) {
+        let context = contextOf(source);
+        context = context && fitIds(context);
+        return context
+          ? Object.assign(headers, codec.serialize(context))
+          : headers;
+      },
+    })
+  );
+
+/**
+ * the codecs, by name.
+ * @private
+ */
+export const propagation = Object.freeze({
+  w3c: withBuilderSupport(w3c, fixedSizeIds([32])),
+  b3: withBuilderSupport(b3, fixedSizeIds([16, 32])),
+  b3Multi: withBuilderSupport(b3Multi, fixedSizeIds([16, 32])),
+  xray: withBuilderSupport(xray, fixedSizeIds([32])),
+  honeycomb: withBuilderSupport(honeycomb),
+});
@@ -0,0 +1,191 @@
+// Copyright 2016 Hound Technology, Inc. All rights reserved.
+// Use of this source code is governed by the Apache License 2.0
+// license that can be found in the LICENSE file.
+
+/**
+ * Scrubs personal data out of events before they're sent.
+ *
+ * Fields are matched by their flattened names (`headers.authorization` for `{ headers: {
+ * authorization } }`) against glob patterns, where `*` matches within one segment of the name and
+ * `**` across segments, ignoring case.  Fields matching `denyFields`, and with `allowFields` set,
+ * fields matching none of those, have their whole value replaced.  String values everywhere else
+ * are searched for `patterns`, and only the matching parts are replaced.
+ *
+ * Replacements are a mask (`"[REDACTED]"` by default), a SHA-1 hash of the value (salted with
+ * `salt`, so equal values can still be grouped on without being readable), or whatever a
+ * `(value, field) => string` function returns.
+ * @module
+ * @private
+ */
+import { sha1 } from "./sha1";
+
+// passes the Luhn checksum every card number carries, which weeds out most other long numbers.
+const luhnValid = digits => {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) {
+        digit -= 9;
+      }
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+};
+
+/**
+ * the built-in value patterns, by the names used in the `patterns` option.  `valid` further
+ * checks a match before it's replaced.
+ * @private
+ */
+export const builtinPatterns = {
+  email: { regex: /[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}/g },
+  jwt: { regex: /\beyJ[A-Za-z0-9_-]+\.eyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*/g },
+  bearer: { regex: /\bBearer\s+[A-Za-z0-9\-._~+/]+=*/gi },
+  creditCard: {
+    regex: /\b\d(?:[ -]?\d){12,18}\b/g,
+    valid: match => luhnValid(match.replace(/[ -]/g, ""))
+  }
+};
+
+// what gets hashed for a value: strings as they are, anything else as JSON where it can be.
+const stringify = value => {
+  if (typeof value === "string") {
+    return value;
+  }
+  try {
+    let json = JSON.stringify(value);
+    if (json !== undefined) {
+      return json;
+    }
+  } catch (e) {
+    // e.g. BigInts in msgpack-encoded events
+  }
+  return String(value);
+};
+
+const escapeRegExp = str => str.replace(/[.+?^${}()|[\]\\]/g, "\\$&");
+
+const globToRegExp = glob =>
+  new RegExp(
+    "^" +
+      glob
+        .split("**")
+        .map(part => escapeRegExp(part).replace(/\*/g, "[^.]*"))
+        .join(".*") +
+      "$",
+    "i"
+  );
+
+const compilePattern = pattern => {
+  if (typeof pattern === "string") {
+    let builtin = builtinPatterns[pattern];
+    if (!builtin) {
+      throw new Error(
+        `unknown redaction pattern "${pattern}".  expected one of ${Object.keys(builtinPatterns).join(", ")}, or a RegExp.`
+      );
+    }
+    return builtin;
+  }
+  if (pattern instanceof RegExp) {
+    // replacing every match needs the global flag.
+    let flags = pattern.flags.indexOf("g") === -1 ? pattern.flags + "g" : pattern.flags;
+    return { regex: new RegExp(pattern.source, flags) };
+  }
+  throw new Error("redaction patterns must be built-in pattern names or RegExps.");
+};
+
+const isPlainObject = value =>
+  value !== null &&
+  typeof value === "object" &&
+  (Object.getPrototypeOf(value) === Object.prototype ||
+    Object.getPrototypeOf(value) === null);
+
+/**
+ * @private
+ */
+export class Redactor {
+  constructor({
+    denyFields = [],
+    allowFields,
+    patterns = [],
+    replacement = "mask",
+    mask = "[REDACTED]",
+    salt = ""
+  } = {}) {
+    this._deny = denyFields.map(globToRegExp);
+    this._allow = allowFields ? allowFields.map(globToRegExp) : undefined;
+    this._patterns = patterns.map(compilePattern);
+
+    if (typeof replacement === "function") {
+      this._replace = (value, field) => String(replacement(value, field));
+    } else if (replacement === "hash") {
+      this._replace = value => {
+        let digest = sha1(salt + stringify(value));
+        return Array.from(digest, byte => byte.toString(16).padStart(2, "0")).join("");
+      };
+    } else if (replacement === "mask") {
+      this._replace = () => mask;
+    } else {
+      throw new Error(
+        `unknown redaction replacement "${replacement}".  expected "mask", "hash" or a function.`
+      );
+    }
+  }
+
+  /**
+   * returns a copy of `fields` with everything that should be redacted replaced.
+   */
+  redact(fields) {
+    return this._redactObject(fields, "", false);
+  }
+
+  _redactObject(obj, prefix, allowed) {
+    let redacted = Array.isArray(obj) ? [] : {};
+    Object.keys(obj).forEach(key => {
+      redacted[key] = this._redactValue(obj[key], prefix + key, allowed);
+    });
+    return redacted;
+  }
+
+  _redactValue(value, field, parentAllowed) {
+    if (this._deny.some(glob => glob.test(field))) {
+      return this._replace(value, field);
+    }
+    let allowed =
+      parentAllowed || !this._allow || this._allow.some(glob => glob.test(field));
+    if (Array.isArray(value) || isPlainObject(value)) {
+      return this._redactObject(value, field + ".", allowed);
+    }
+    if (!allowed) {
+      return this._replace(value, field);
+    }
+    if (typeof value === "string") {
+      return this._redactString(value, field);
+    }
+    return value;
+  }
+
+  _redactString(str, field) {
+    return this._patterns.reduce(
+      (redacted, { regex, valid }) =>
+        redacted.replace(regex, match =>
+          !valid || valid(match) ? this._replace(match, field) : match
+        ),
+      str
+    );
+  }
+}
+
+/**
+ * turns the `redact` option into a Redactor, or undefined if it isn't set.
+ * @private
+ */
+export function resolveRedactor(redact) {
+  if (!redact) {
+    return undefined;
+  }
+  return redact instanceof Redactor ? redact : new Redactor(redact);
+}
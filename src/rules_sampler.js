@@ -0,0 +1,114 @@
+// Copyright 2016 Hound Technology, Inc. All rights reserved.
+// Use of this source code is governed by the Apache License 2.0
+// license that can be found in the LICENSE file.
+
+/**
+ * A sampler driven by declarative rules, so sampling policy can live in config rather than code.
+ *
+ * Rules are tried in order, and the first one whose conditions all hold for an event's fields
+ * decides its sample rate, either a fixed `sampleRate` or a dynamic `sampler` (see ./sampler.js):
+ *
+ *     [
+ *       { name: "errors", conditions: [{ field: "error", operator: "exists" }], sampleRate: 1 },
+ *       { name: "health", conditions: [{ field: "route", operator: "=", value: "/health" }], sampleRate: 100 },
+ *       { name: "everything else", sampleRate: 10 },
+ *     ]
+ *
+ * The winning rule's name is recorded on the event, in the `ruleField` field.
+ * @module
+ * @private
+ */
+import { resolveSampler } from "./sampler";
+
+const isNumber = value => typeof value === "number";
+
+const operators = {
+  "=": (fieldValue, value) => fieldValue === value,
+  "!=": (fieldValue, value) => fieldValue !== value,
+  ">": (fieldValue, value) => isNumber(fieldValue) && fieldValue > value,
+  ">=": (fieldValue, value) => isNumber(fieldValue) && fieldValue >= value,
+  "<": (fieldValue, value) => isNumber(fieldValue) && fieldValue < value,
+  "<=": (fieldValue, value) => isNumber(fieldValue) && fieldValue <= value,
+  exists: fieldValue => fieldValue !== undefined && fieldValue !== null,
+  "not-exists": fieldValue => fieldValue === undefined || fieldValue === null,
+  matches: (fieldValue, regex) =>
+    typeof fieldValue === "string" && regex.test(fieldValue)
+};
+
+// turns a condition's config into a predicate over event fields.
+const compileCondition = ({ field, operator, value }) => {
+  let op = operators[operator];
+  if (!op) {
+    throw new Error(
+      `unknown rule operator "${operator}".  expected one of ${Object.keys(operators).join(", ")}.`
+    );
+  }
+  if (typeof field !== "string" || field === "") {
+    throw new Error("rule conditions need a field name.");
+  }
+  let operand = value;
+  if (operator === "matches") {
+    operand = value instanceof RegExp ? value : new RegExp(value);
+  }
+  return fields => op(fields[field], operand);
+};
+
+/**
+ * @private
+ */
+export class RulesSampler {
+  constructor({ rules, ruleField = "meta.sample_rule" }, logger = console) {
+    if (!Array.isArray(rules)) {
+      throw new Error("rulesSampler needs a list of rules.");
+    }
+    this.ruleField = ruleField;
+    this._rules = rules.map((rule, i) => {
+      let sampler = resolveSampler(rule.sampler, logger);
+      if (!sampler && rule.sampleRate !== undefined && !isNumber(rule.sampleRate)) {
+        throw new Error("rule sampleRate must be a number.");
+      }
+      return {
+        name: rule.name || `rule ${i}`,
+        conditions: (rule.conditions || []).map(compileCondition),
+        sampler,
+        sampleRate: isNumber(rule.sampleRate) ? rule.sampleRate : 1
+      };
+    });
+  }
+
+  /**
+   * returns `{ rule, sampleRate }` for the first rule matching `fields`, or undefined if none do.
+   */
+  sample(fields) {
+    for (let rule of this._rules) {
+      if (rule.conditions.every(condition => condition(fields))) {
+        return {
+          rule: rule.name,
+          sampleRate: rule.sampler
+            ? rule.sampler.getSampleRate(fields)
+            : rule.sampleRate
+        };
+      }
+    }
+    return undefined;
+  }
+}
+
+/**
+ * turns the `rulesSampler` option (a list of rules, or `{ rules, ruleField }`) into a
+ * RulesSampler.  Returns undefined if it isn't set.  Problems with rules' samplers are reported to
+ * `logger`.
+ * @private
+ */
+export function resolveRulesSampler(rulesSampler, logger = console) {
+  if (!rulesSampler) {
+    return undefined;
+  }
+  if (rulesSampler instanceof RulesSampler) {
+    return rulesSampler;
+  }
+  return new RulesSampler(
+    Array.isArray(rulesSampler) ? { rules: rulesSampler } : rulesSampler,
+    logger
+  );
+}
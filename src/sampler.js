@@ -0,0 +1,274 @@
+// Copyright 2016 Hound Technology, Inc. All rights reserved.
+// Use of this source code is governed by the Apache License 2.0
+// license that can be found in the LICENSE file.
+
+/**
+ * Dynamic samplers, which pick each event's sample rate from how common events like it have been
+ * lately (after Honeycomb's dynsampler-go).
+ *
+ * A sampler is an object with a `getSampleRate(fields)` method returning the rate to sample an
+ * event with those fields at.  The built-in ones group events by a `key` function over their
+ * fields, count each key over a window, and at the end of every window work out new rates so
+ * that rare keys are kept and noisy ones are thinned:
+ *  - "avgSampleRate": aims for an average of `goalSampleRate` across all events.
+ *  - "emaSampleRate": like avgSampleRate, but over an exponential moving average of the counts,
+ *    so rates don't swing as much from one window to the next.
+ *  - "totalThroughput": aims to send `goalThroughputPerSec` events a second, split evenly across
+ *    keys.
+ *
+ * Windows roll over lazily, as events arrive, so samplers don't keep timers running.
+ *
+ * It's also home to deterministic sampling, which makes keep/drop decisions from a field's value
+ * rather than at random.
+ * @module
+ * @private
+ */
+import { sha1 } from "./sha1";
+
+const maxUint32 = 0xffffffff;
+
+/**
+ * decides whether to keep an event sampled at `sampleRate` from `value` (e.g. its trace id), so
+ * every event with the same value gets the same decision.  This is the Beelines' algorithm: keep
+ * the event if the first 4 bytes of the value's SHA-1, read as a big-endian uint32, are at most
+ * 2^32-1 divided by the sample rate.
+ * @private
+ */
+export function deterministicSample(value, sampleRate) {
+  if (sampleRate <= 1) {
+    return true;
+  }
+  let digest = sha1(String(value));
+  let prefix =
+    ((digest[0] << 24) | (digest[1] << 16) | (digest[2] << 8) | digest[3]) >>> 0;
+  return prefix <= Math.floor(maxUint32 / sampleRate);
+}
+
+/**
+ * decides whether to keep an event with these fields sampled at `sampleRate`: from the value of
+ * `field` (see deterministicSample) when it's set and the event has it, and at random otherwise.
+ * @private
+ */
+export function shouldSample(fields, sampleRate, field, random = Math.random) {
+  if (sampleRate <= 1) {
+    return true;
+  }
+  if (field && fields) {
+    let value = fields[field];
+    // events without the field fall back to random sampling.
+    if (typeof value === "string" || typeof value === "number") {
+      return deterministicSample(value, sampleRate);
+    }
+  }
+  return random() < 1 / sampleRate;
+}
+
+// works out per-key rates that average out at goalSampleRate, giving each key a share of the
+// events we keep proportional to the log of its count.  keys that don't need their whole share
+// pass what's left on to the ones after them.
+const averageRates = (counts, goalSampleRate) => {
+  let rates = new Map();
+  let sum = 0;
+  let logSum = 0;
+  counts.forEach(count => {
+    sum += count;
+    logSum += Math.log10(Math.max(count, 1));
+  });
+  if (logSum === 0) {
+    // nothing seen more than once, keep it all.
+    counts.forEach((_count, key) => rates.set(key, 1));
+    return rates;
+  }
+
+  let goalRatio = sum / goalSampleRate / logSum;
+  let keys = Array.from(counts.keys()).sort();
+  let keysRemaining = keys.length;
+  let extra = 0;
+  keys.forEach(key => {
+    let count = Math.max(counts.get(key), 1);
+    let goalForKey = Math.max(1, Math.log10(count) * goalRatio);
+    let extraForKey = extra / keysRemaining;
+    goalForKey += extraForKey;
+    extra -= extraForKey;
+    keysRemaining--;
+
+    if (count <= goalForKey) {
+      rates.set(key, 1);
+      extra += goalForKey - count;
+    } else {
+      let rate = Math.ceil(count / goalForKey);
+      rates.set(key, rate);
+      extra += goalForKey - count / rate;
+    }
+  });
+  return rates;
+};
+
+/**
+ * the window handling the built-in samplers share.  subclasses implement `_computeRates(counts,
+ * elapsedMs)`, and may override `_defaultRate` (used until the first window closes).
+ * @private
+ */
+export class DynamicSampler {
+  constructor(options, intervalMs) {
+    if (typeof options.key !== "function") {
+      throw new Error("dynamic samplers need a key function over event fields.");
+    }
+    this._key = options.key;
+    this._intervalMs = intervalMs;
+    this._counts = new Map();
+    this._rates = new Map();
+    this._haveData = false;
+    this._windowStart = Date.now();
+  }
+
+  getSampleRate(fields) {
+    this._maybeUpdate();
+    let key = String(this._key(fields || {}));
+    this._counts.set(key, (this._counts.get(key) || 0) + 1);
+    if (!this._haveData) {
+      return this._defaultRate();
+    }
+    return this._rates.get(key) || 1;
+  }
+
+  _defaultRate() {
+    return 1;
+  }
+
+  // closes the window once it's been open intervalMs, working out rates from what we saw in it.
+  _maybeUpdate() {
+    let now = Date.now();
+    let elapsedMs = now - this._windowStart;
+    if (elapsedMs < this._intervalMs) {
+      return;
+    }
+    this._rates = this._computeRates(this._counts, elapsedMs);
+    this._counts = new Map();
+    this._windowStart = now;
+    this._haveData = true;
+  }
+}
+
+/**
+ * keeps an average sample rate of `goalSampleRate` (default 10) across all events, recalculating
+ * per-key rates every `clearFrequencyMs` (default 30s).
+ * @private
+ */
+export class AvgSampleRateSampler extends DynamicSampler {
+  constructor(options = {}) {
+    super(
+      options,
+      typeof options.clearFrequencyMs === "number" ? options.clearFrequencyMs : 30000
+    );
+    this._goalSampleRate =
+      typeof options.goalSampleRate === "number" ? options.goalSampleRate : 10;
+  }
+
+  _defaultRate() {
+    return this._goalSampleRate;
+  }
+
+  _computeRates(counts) {
+    return averageRates(counts, this._goalSampleRate);
+  }
+}
+
+/**
+ * like AvgSampleRateSampler, but works from an exponential moving average of each key's count,
+ * updated every `adjustmentIntervalMs` (default 15s) with the latest window weighted by `weight`
+ * (default 0.5).  Keys whose average falls below `ageOutValue` (default 0.5) are forgotten.
+ * @private
+ */
+export class EMASampleRateSampler extends DynamicSampler {
+  constructor(options = {}) {
+    super(
+      options,
+      typeof options.adjustmentIntervalMs === "number" ? options.adjustmentIntervalMs : 15000
+    );
+    this._goalSampleRate =
+      typeof options.goalSampleRate === "number" ? options.goalSampleRate : 10;
+    this._weight = typeof options.weight === "number" ? options.weight : 0.5;
+    this._ageOutValue =
+      typeof options.ageOutValue === "number" ? options.ageOutValue : 0.5;
+    this._movingAverage = new Map();
+  }
+
+  _defaultRate() {
+    return this._goalSampleRate;
+  }
+
+  _computeRates(counts) {
+    let keys = new Set([...this._movingAverage.keys(), ...counts.keys()]);
+    keys.forEach(key => {
+      let average =
+        this._weight * (counts.get(key) || 0) +
+        (1 - this._weight) * (this._movingAverage.get(key) || 0);
+      if (average < this._ageOutValue) {
+        this._movingAverage.delete(key);
+      } else {
+        this._movingAverage.set(key, average);
+      }
+    });
+    return averageRates(this._movingAverage, this._goalSampleRate);
+  }
+}
+
+/**
+ * aims to send `goalThroughputPerSec` (default 100) events a second in total, giving each key an
+ * even share of that and recalculating every `clearFrequencyMs` (default 30s).
+ * @private
+ */
+export class TotalThroughputSampler extends DynamicSampler {
+  constructor(options = {}) {
+    super(
+      options,
+      typeof options.clearFrequencyMs === "number" ? options.clearFrequencyMs : 30000
+    );
+    this._goalThroughputPerSec =
+      typeof options.goalThroughputPerSec === "number"
+        ? options.goalThroughputPerSec
+        : 100;
+  }
+
+  _computeRates(counts, elapsedMs) {
+    let rates = new Map();
+    let goalPerKey = this._goalThroughputPerSec / counts.size;
+    let seconds = elapsedMs / 1000;
+    counts.forEach((count, key) => {
+      let perSec = count / seconds;
+      rates.set(key, perSec <= goalPerKey ? 1 : Math.ceil(perSec / goalPerKey));
+    });
+    return rates;
+  }
+}
+
+const samplerTypes = {
+  avgSampleRate: AvgSampleRateSampler,
+  emaSampleRate: EMASampleRateSampler,
+  totalThroughput: TotalThroughputSampler
+};
+
+/**
+ * turns the `sampler` option into a sampler: objects with a `getSampleRate` method are used as
+ * they are, and `{ type, key, ...options }` builds one of the built-in samplers.  Returns undefined
+ * (no sampler, sample rates are left as they are) for anything else, reporting unknown types to
+ * `logger`.
+ * @private
+ */
+export function resolveSampler(sampler, logger = console) {
+  if (!sampler) {
+    return undefined;
+  }
+  if (typeof sampler.getSampleRate === "function") {
+    return sampler;
+  }
+  let samplerClass = samplerTypes[sampler.type];
+  if (!samplerClass) {
+    logger.warn(
+      `unknown sampler type "${sampler.type}".  expected one of ${Object.keys(samplerTypes).join(", ")}.  not sampling dynamically.`
+    );
+    return undefined;
+  }
+  return new samplerClass(sampler);
+}
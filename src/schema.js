@@ -0,0 +1,152 @@
+// Copyright 2016 Hound Technology, Inc. All rights reserved.
+// Use of this source code is governed by the Apache License 2.0
+// license that can be found in the LICENSE file.
+
+/**
+ * Per-dataset schemas, which keep a field the same type whichever service sends it, rather than
+ * splitting it into a string column in one place and a number column in another.
+ *
+ * A schema maps field names (as sent, i.e. after flattening) to types: "string", "number",
+ * "integer", "boolean" or "date".  Values of another type are coerced where no information is
+ * lost: numeric strings become numbers, "true" and "false" become booleans, numbers and booleans
+ * become strings, and ISO 8601 dates are normalized to UTC.  Anything else, and `required` fields
+ * that are missing, are violations, which are reported with the event's response and either just
+ * flagged there (the event is sent as it is) or get the event dropped, as `onViolation` says.
+ * Fields the schema doesn't mention are left alone.
+ * @module
+ * @private
+ */
+
+const numeric = /^[+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?$/i;
+// a date, or a date and time with a time zone, which can be moved to UTC without guessing.
+const isoDate =
+  /^\d{4}-\d{2}-\d{2}(?:T\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2}))?$/i;
+
+const toNumber = (value) => {
+  if (typeof value === "number" && Number.isFinite(value)) {
+    return value;
+  }
+  if (typeof value === "string" && numeric.test(value.trim())) {
+    let number = Number(value);
+    // integers too big for a double would come out as a different number.
+    return Number.isInteger(number) && !Number.isSafeInteger(number)
+      ? undefined
+      : number;
+  }
+  return undefined;
+};
+
+// each type's coercion returns the value to send, or undefined if it can't be made to fit.
+const coercions = {
+  string: (value) =>
+    typeof value === "string" ||
+    typeof value === "number" ||
+    typeof value === "boolean" ||
+    typeof value === "bigint"
+      ? String(value)
+      : undefined,
+  number: toNumber,
+  integer: (value) => {
+    let number = toNumber(value);
+    return Number.isInteger(number) ? number : undefined;
+  },
+  boolean: (value) => {
+    if (typeof value === "boolean") {
+      return value;
+    }
+    let lower = typeof value === "string" ? value.trim().toLowerCase() : undefined;
+    return lower === "true" ? true : lower === "false" ? false : undefined;
+  },
+  date: (value) => {
+    // msgpack-encoded events keep their Dates.
+    if (value instanceof Date) {
+      return isNaN(value.getTime()) ? undefined : value;
+    }
+    if (typeof value !== "string" || !isoDate.test(value.trim())) {
+      return undefined;
+    }
+    let date = new Date(value.trim());
+    return isNaN(date.getTime()) ? undefined : date.toISOString();
+  },
+};
+
+const typeOf = (value) =>
+  value instanceof Date ? "date" : Array.isArray(value) ? "array" : typeof value;
+
+/**
+ * @private
+ */
+export class Schema {
+  constructor({ fields = {}, required = [], onViolation = "flag" }) {
+    Object.keys(fields).forEach((name) => {
+      if (!coercions[fields[name]]) {
+        throw new Error(
+          `unknown schema type "${fields[name]}" for field "${name}".  expected one of ${Object.keys(coercions).join(", ")}.`
+        );
+      }
+    });
+    if (onViolation !== "flag" && onViolation !== "drop") {
+      throw new Error(
+        `unknown schema onViolation "${onViolation}".  expected "flag" or "drop".`
+      );
+    }
+    this._fields = fields;
+    this._required = required;
+    this.drop = onViolation === "drop";
+  }
+
+  /**
+   * coerces `data` to this schema.  returns the coerced copy of `data`, and a list of violations:
+   * `{ field, reason: "missing" }` for required fields that aren't there, and
+   * `{ field, reason: "type", expected, actual, value }` for values that couldn't be coerced
+   * (which are left as they were).
+   */
+  check(data) {
+    let fields = Object.assign({}, data);
+    let violations = [];
+    let isMissing = (name) => fields[name] === undefined || fields[name] === null;
+
+    this._required.forEach((field) => {
+      if (isMissing(field)) {
+        violations.push({ field, reason: "missing" });
+      }
+    });
+    Object.keys(this._fields).forEach((field) => {
+      if (isMissing(field)) {
+        return;
+      }
+      let expected = this._fields[field];
+      let value = fields[field];
+      let coerced = coercions[expected](value);
+      if (coerced === undefined) {
+        violations.push({
+          field,
+          reason: "type",
+          expected,
+          actual: typeOf(value),
+          value,
+        });
+      } else {
+        fields[field] = coerced;
+      }
+    });
+    return { fields, violations };
+  }
+}
+
+/**
+ * turns the `schemas` option (dataset -> `{ fields, required, onViolation }`) into a Map of
+ * dataset -> Schema, or undefined if it isn't set.
+ * @private
+ */
+export function resolveSchemas(schemas) {
+  if (!schemas) {
+    return undefined;
+  }
+  let resolved = new Map();
+  Object.keys(schemas).forEach((dataset) => {
+    let schema = schemas[dataset];
+    resolved.set(dataset, schema instanceof Schema ? schema : new Schema(schema));
+  });
+  return resolved;
+}
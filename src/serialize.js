@@ -0,0 +1,144 @@
+// Copyright 2016 Hound Technology, Inc. All rights reserved.
+// Use of this source code is governed by the Apache License 2.0
+// license that can be found in the LICENSE file.
+
+/**
+ * Turns event data into something we can encode, without losing the event (or its most useful
+ * parts) to values a JSON round trip can't handle:
+ *  - Errors become `<field>.name`, `<field>.message` and `<field>.stack` fields (plus any other
+ *    properties they have, like `code`).
+ *  - BigInts become strings, Maps become objects, and Sets become arrays.
+ *  - Binary data (Buffers, typed arrays, ArrayBuffers) becomes base64, cut to `maxBinaryBytes`.
+ *  - Circular references are replaced with "[Circular]".
+ * Otherwise JSON's rules apply: `toJSON` is honored, and functions, symbols and undefined values
+ * are dropped (or null in arrays).
+ *
+ * For msgpack, which carries them natively, Dates, binary data and BigInts are kept as they are
+ * instead.  Maps still become objects, so redaction and flattening (which walk objects and arrays)
+ * see what's in them.
+ * @module
+ * @private
+ */
+import { isBinary, toUint8Array } from "./msgpack";
+
+/**
+ * what circular references are replaced with.
+ * @private
+ */
+export const circularMarker = "[Circular]";
+
+const isSkipped = value =>
+  value === undefined ||
+  typeof value === "function" ||
+  typeof value === "symbol";
+
+const base64Chars =
+  "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+
+// btoa needs a binary string, and Buffer isn't there in browsers, so we do it ourselves.
+const toBase64 = bytes => {
+  let out = "";
+  for (let i = 0; i < bytes.length; i += 3) {
+    let [a, b, c] = [bytes[i], bytes[i + 1], bytes[i + 2]];
+    let triple = (a << 16) | ((b || 0) << 8) | (c || 0);
+    out += base64Chars[(triple >> 18) & 63] + base64Chars[(triple >> 12) & 63];
+    out += i + 1 < bytes.length ? base64Chars[(triple >> 6) & 63] : "=";
+    out += i + 2 < bytes.length ? base64Chars[triple & 63] : "=";
+  }
+  return out;
+};
+
+class Serializer {
+  constructor({ native = false, maxBinaryBytes = 1024 }) {
+    this._native = native;
+    this._maxBinaryBytes = maxBinaryBytes;
+    // the objects we're inside of, to spot cycles.
+    this._ancestors = new Set();
+  }
+
+  value(value) {
+    if (typeof value === "bigint") {
+      return this._native ? value : value.toString();
+    }
+    if (value === null || typeof value !== "object") {
+      return value;
+    }
+    if (value instanceof Date) {
+      return this._native ? new Date(value.getTime()) : value.toJSON();
+    }
+    if (isBinary(value)) {
+      let bytes = toUint8Array(value);
+      return this._native
+        ? new Uint8Array(bytes)
+        : toBase64(bytes.subarray(0, this._maxBinaryBytes));
+    }
+    if (this._ancestors.has(value)) {
+      return circularMarker;
+    }
+
+    this._ancestors.add(value);
+    let serialized;
+    if (Array.isArray(value) || value instanceof Set) {
+      serialized = Array.from(value, v =>
+        isSkipped(v) ? null : this.value(v)
+      );
+    } else if (value instanceof Map) {
+      serialized = {};
+      value.forEach((v, k) => {
+        if (!isSkipped(v)) {
+          serialized[String(k)] = this.value(v);
+        }
+      });
+    } else if (value instanceof Error) {
+      serialized = this._errorFields(value);
+    } else if (typeof value.toJSON === "function") {
+      serialized = this.value(value.toJSON());
+    } else {
+      serialized = this.object(value);
+    }
+    this._ancestors.delete(value);
+    return serialized;
+  }
+
+  object(obj) {
+    let serialized = {};
+    Object.keys(obj).forEach(key => {
+      let v = obj[key];
+      if (isSkipped(v)) {
+        return;
+      }
+      if (v instanceof Error && !this._ancestors.has(v)) {
+        // errors in objects spread out into fields of their own, e.g. error.message.
+        this._ancestors.add(v);
+        let fields = this._errorFields(v);
+        this._ancestors.delete(v);
+        Object.keys(fields).forEach(
+          name => (serialized[`${key}.${name}`] = fields[name])
+        );
+        return;
+      }
+      serialized[key] = this.value(v);
+    });
+    return serialized;
+  }
+
+  _errorFields(err) {
+    let fields = this.object(err);
+    fields.name = err.name;
+    fields.message = err.message;
+    fields.stack = err.stack;
+    return fields;
+  }
+}
+
+/**
+ * returns a copy of event `data` that's safe to encode, see above.
+ * @param {Object} data
+ * @param {Object} [options]
+ * @param {boolean} [options.native=false] - keep the values msgpack can carry natively.
+ * @param {number} [options.maxBinaryBytes=1024] - how many bytes of binary values to keep.
+ * @private
+ */
+export function serializeFields(data, options = {}) {
+  return new Serializer(options).value(data);
+}
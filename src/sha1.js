@@ -0,0 +1,77 @@
+// Copyright 2016 Hound Technology, Inc. All rights reserved.
+// Use of this source code is governed by the Apache License 2.0
+// license that can be found in the LICENSE file.
+
+/**
+ * A small synchronous SHA-1, for deterministic sampling.  node's crypto module isn't there in
+ * browsers, and SubtleCrypto's digest is async, which sampling decisions can't wait on.
+ * @module
+ * @private
+ */
+
+const textEncoder = new TextEncoder();
+
+const rotl = (x, n) => (x << n) | (x >>> (32 - n));
+
+/**
+ * returns the SHA-1 digest of `input` (a string, hashed as UTF-8, or a Uint8Array) as 20 bytes.
+ * @private
+ */
+export function sha1(input) {
+  let bytes = typeof input === "string" ? textEncoder.encode(input) : input;
+
+  // pad to a multiple of 64 bytes: a 1 bit, zeros, then the length in bits as a 64 bit int.
+  let paddedLength = Math.ceil((bytes.length + 9) / 64) * 64;
+  let padded = new Uint8Array(paddedLength);
+  padded.set(bytes);
+  padded[bytes.length] = 0x80;
+  let view = new DataView(padded.buffer);
+  let bitLength = bytes.length * 8;
+  view.setUint32(paddedLength - 8, Math.floor(bitLength / 0x100000000));
+  view.setUint32(paddedLength - 4, bitLength >>> 0);
+
+  let h = [0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476, 0xc3d2e1f0];
+  let w = new Uint32Array(80);
+  for (let offset = 0; offset < paddedLength; offset += 64) {
+    for (let i = 0; i < 16; i++) {
+      w[i] = view.getUint32(offset + i * 4);
+    }
+    for (let i = 16; i < 80; i++) {
+      w[i] = rotl(w[i - 3] ^ w[i - 8] ^ w[i - 14] ^ w[i - 16], 1);
+    }
+
+    let [a, b, c, d, e] = h;
+    for (let i = 0; i < 80; i++) {
+      let f, k;
+      if (i < 20) {
+        f = (b & c) | (~b & d);
+        k = 0x5a827999;
+      } else if (i < 40) {
+        f = b ^ c ^ d;
+        k = 0x6ed9eba1;
+      } else if (i < 60) {
+        f = (b & c) | (b & d) | (c & d);
+        k = 0x8f1bbcdc;
+      } else {
+        f = b ^ c ^ d;
+        k = 0xca62c1d6;
+      }
+      let temp = (rotl(a, 5) + f + e + k + w[i]) | 0;
+      e = d;
+      d = c;
+      c = rotl(b, 30);
+      b = a;
+      a = temp;
+    }
+    h[0] = (h[0] + a) | 0;
+    h[1] = (h[1] + b) | 0;
+    h[2] = (h[2] + c) | 0;
+    h[3] = (h[3] + d) | 0;
+    h[4] = (h[4] + e) | 0;
+  }
+
+  let digest = new Uint8Array(20);
+  let digestView = new DataView(digest.buffer);
+  h.forEach((word, i) => digestView.setUint32(i * 4, word >>> 0));
+  return digest;
+}
@@ -0,0 +1,145 @@
+// Copyright 2016 Hound Technology, Inc. All rights reserved.
+// Use of this source code is governed by the Apache License 2.0
+// license that can be found in the LICENSE file.
+
+/* global process */
+
+/**
+ * Flushes libhoney instances as the process exits (node only).
+ *
+ * One set of process handlers is shared by every registered instance, so creating many instances
+ * never piles up listeners.  On SIGTERM/SIGINT, `beforeExit` and uncaught exceptions, every
+ * registered instance is flushed (each bounded by its own deadline), and then the process carries
+ * on exiting the way it would have without us: signals are re-raised and uncaught exceptions are
+ * reported and exit with code 1, unless the app has handlers of its own for them, in which case
+ * those decide what happens.
+ *
+ * `process.exit()` can't be waited on (its "exit" event is synchronous), so events still queued
+ * when it's called are lost.  Flush before calling it.
+ * @module
+ * @private
+ */
+
+const signals = ["SIGTERM", "SIGINT"];
+
+// libhoney instance -> how long (in ms) to wait on its flush
+const registered = new Map();
+let installed = false;
+let flushing = null;
+let signalled = false;
+let flushedBeforeExit = false;
+
+const flushWithDeadline = (honey, timeoutMs) => {
+  let timer;
+  let deadline = new Promise(resolve => {
+    timer = setTimeout(resolve, timeoutMs);
+    // the flush's own requests keep the process alive, the deadline shouldn't.
+    if (typeof timer.unref === "function") {
+      timer.unref();
+    }
+  });
+  let flushed = Promise.resolve()
+    .then(() => honey.flush())
+    .catch(() => {});
+  return Promise.race([flushed, deadline]).then(() =>
+    clearTimeout(timer)
+  );
+};
+
+const flushAll = () => {
+  if (!flushing) {
+    flushing = Promise.all(
+      Array.from(registered, ([honey, timeoutMs]) =>
+        flushWithDeadline(honey, timeoutMs)
+      )
+    ).then(() => {
+      flushing = null;
+    });
+  }
+  return flushing;
+};
+
+// whether anything besides us is listening for `event`.
+const othersListening = event => process.listenerCount(event) > 1;
+
+const onSignal = signal => {
+  if (signalled) {
+    // a second signal while we're flushing (e.g. another ctrl-c) means stop waiting.
+    uninstall();
+    process.kill(process.pid, signal);
+    return;
+  }
+  signalled = true;
+  flushAll().then(() => {
+    signalled = false;
+    if (!othersListening(signal)) {
+      // with our listener gone, the signal gets its default behavior (terminating the process).
+      uninstall();
+      process.kill(process.pid, signal);
+    }
+  });
+};
+
+const signalHandlers = {};
+signals.forEach(signal => (signalHandlers[signal] = () => onSignal(signal)));
+
+const onBeforeExit = () => {
+  // flushing schedules more work, which earns us another beforeExit once it's done.
+  if (flushedBeforeExit) {
+    return;
+  }
+  flushedBeforeExit = true;
+  flushAll();
+};
+
+const onUncaughtException = err => {
+  // listening for uncaught exceptions turns off node's own handling of them, so unless someone
+  // else is handling them we do what node would have: report the error and exit.
+  let handledElsewhere = othersListening("uncaughtException");
+  flushAll().then(() => {
+    if (!handledElsewhere) {
+      console.error(err && err.stack ? err.stack : err);
+      process.exit(1);
+    }
+  });
+};
+
+const install = () => {
+  signals.forEach(signal => process.on(signal, signalHandlers[signal]));
+  process.on("beforeExit", onBeforeExit);
+  process.on("uncaughtException", onUncaughtException);
+  installed = true;
+};
+
+const uninstall = () => {
+  signals.forEach(signal =>
+    process.removeListener(signal, signalHandlers[signal])
+  );
+  process.removeListener("beforeExit", onBeforeExit);
+  process.removeListener("uncaughtException", onUncaughtException);
+  installed = false;
+  flushedBeforeExit = false;
+};
+
+/**
+ * flushes `honey` (waiting at most `timeoutMs`) when the process exits.  Registering an instance
+ * again just updates its deadline.
+ * @private
+ */
+export function registerShutdownFlush(honey, timeoutMs) {
+  registered.set(honey, timeoutMs);
+  if (!installed) {
+    install();
+  }
+}
+
+/**
+ * stops flushing `honey` on exit, removing the process handlers once no instances are left.
+ * @private
+ */
+export function unregisterShutdownFlush(honey) {
+  registered.delete(honey);
+  if (registered.size === 0 && installed) {
+    uninstall();
+  }
+}
@@ -0,0 +1,210 @@
+// Copyright 2016 Hound Technology, Inc. All rights reserved.
+// Use of this source code is governed by the Apache License 2.0
+// license that can be found in the LICENSE file.
+
+/**
+ * Tracing spans, sent as events following Honeycomb's trace conventions:
+ *  - spans carry `trace.trace_id`, `trace.span_id`, `trace.parent_id` (except for the root span
+ *    of a trace), `name` and `duration_ms`, and are timestamped with their start time.
+ *  - span events carry `meta.annotation_type: "span_event"`, and links
+ *    `meta.annotation_type: "link"` with `trace.link.trace_id` and `trace.link.span_id`.  Both
+ *    point at their span with `trace.parent_id`.
+ * @module
+ */
+
+// a high-resolution clock in milliseconds, where there is one.  only differences between its
+// readings mean anything.
+const clock =
+  typeof performance !== "undefined" && typeof performance.now === "function"
+    ? () => performance.now()
+    : () => Date.now();
+
+const randomBytes = (count) => {
+  let bytes = new Uint8Array(count);
+  if (typeof crypto !== "undefined" && typeof crypto.getRandomValues === "function") {
+    return crypto.getRandomValues(bytes);
+  }
+  // node before 19 has no global crypto.  these ids only need to be unique, not unguessable.
+  for (let i = 0; i < count; i++) {
+    bytes[i] = Math.floor(Math.random() * 256);
+  }
+  return bytes;
+};
+
+const randomHex = (count) =>
+  Array.from(randomBytes(count), (byte) => byte.toString(16).padStart(2, "0")).join("");
+
+/**
+ * returns a new trace id: 16 random bytes, as 32 hex digits (the W3C trace context format).
+ * @private
+ */
+export const newTraceId = () => randomHex(16);
+
+/**
+ * returns a new span id: 8 random bytes, as 16 hex digits.
+ * @private
+ */
+export const newSpanId = () => randomHex(8);
+
+/**
+ * A unit of work in a trace, sent as an event when it's finished.  Create them with
+ * `startSpan` on a Libhoney instance or a Builder, or `startChild` on another span.
+ * @class
+ */
+export default class Span {
+  /**
+   * @constructor
+   * @private
+   */
+  constructor(builder, name, fields, parent) {
+    this._builder = builder;
+    this._start = clock();
+    this._finished = false;
+    // span events and links, sent along with the span.
+    this._annotations = [];
+
+    /**
+     * The id of the trace this span belongs to.
+     * @type {string}
+     */
+    this.traceId = parent ? parent.traceId : newTraceId();
+    /**
+     * This span's id.
+     * @type {string}
+     */
+    this.spanId = newSpanId();
+    /**
+     * The id of this span's parent, or undefined for the root span of a trace.
+     * @type {string|undefined}
+     */
+    this.parentId = parent ? parent.spanId : undefined;
+    /**
+     * The event this span is sent as.  Its fields, dataset and sampleRate can be changed until
+     * the span is finished.
+     * @type {Event}
+     */
+    this.event = builder.newEvent();
+    this.event.timestamp = new Date();
+    this.event.add(fields);
+    this.event.addField("name", name);
+  }
+
+  /**
+   * adds a group of field->values to this span.
+   * @param {Object|Map<string, any>} data field->value mapping.
+   * @returns {Span} this span.
+   */
+  add(data) {
+    this.event.add(data);
+    return this;
+  }
+
+  /**
+   * adds a single field->value mapping to this span.
+   * @param {string} name
+   * @param {any} val
+   * @returns {Span} this span.
+   */
+  addField(name, val) {
+    this.event.addField(name, val);
+    return this;
+  }
+
+  /**
+   * starts a span as a child of this one, sent through the same builder.
+   * @param {string} name the name of the child span.
+   * @param {Object|Map<string, any>} [fields] fields to start the child span with.
+   * @returns {Span} the child span.
+   * @example
+   *   let span = honey.startSpan("handle request");
+   *   let query = span.startChild("db query", { table: "users" });
+   *   // ...
+   *   query.finish();
+   *   span.finish();
+   */
+  startChild(name, fields) {
+    return new Span(this._builder, name, fields, this);
+  }
+
+  /**
+   * records something that happened at a point in time during this span.  It's sent, timestamped
+   * now, when the span is finished.
+   * @param {string} name
+   * @param {Object|Map<string, any>} [fields]
+   * @returns {Span} this span.
+   * @example
+   *   span.addEvent("cache miss", { key });
+   */
+  addEvent(name, fields) {
+    let ev = this._annotation("span_event", fields);
+    ev.addField("name", name);
+    return this;
+  }
+
+  /**
+   * links this span to a span in another trace (or elsewhere in this one), e.g. the request that
+   * enqueued the job this span processes.  It's sent when the span is finished.
+   * @param {{traceId: string, spanId: string}} target the span to link to, e.g. another Span.
+   * @param {Object|Map<string, any>} [fields]
+   * @returns {Span} this span.
+   */
+  addLink(target, fields) {
+    let ev = this._annotation("link", fields);
+    ev.addField("trace.link.trace_id", target.traceId);
+    ev.addField("trace.link.span_id", target.spanId);
+    return this;
+  }
+
+  /**
+   * sends this span, along with its span events and links.  Only the first call does anything.
+   * The span is sampled as `Event.send()` would sample it (sampling rules and the `sampler`
+   * option look at the span's fields), and its span events and links share that decision: they're
+   * sent presampled at the span's sample rate if it's kept, and dropped with it if it isn't.
+   * @param {Object|Map<string, any>} [fields] fields to add to the span before it's sent.
+   */
+  finish(fields) {
+    if (this._finished) {
+      return;
+    }
+    this._finished = true;
+
+    this.event.add(fields);
+    this.event.add(this._traceFields());
+    this.event.addField("duration_ms", clock() - this._start);
+
+    let annotations = this._annotations;
+    this._annotations = [];
+    if (!this._builder._libhoney._sampleSpan(this.event)) {
+      return;
+    }
+    annotations.forEach((ev) => {
+      ev.sampleRate = this.event.sampleRate;
+      ev.sendPresampled();
+    });
+    this.event.sendPresampled();
+  }
+
+  _traceFields() {
+    let fields = {
+      "trace.trace_id": this.traceId,
+      "trace.span_id": this.spanId,
+    };
+    if (this.parentId !== undefined) {
+      fields["trace.parent_id"] = this.parentId;
+    }
+    return fields;
+  }
+
+  _annotation(type, fields) {
+    let ev = this._builder.newEvent();
+    ev.timestamp = new Date();
+    ev.add(fields);
+    ev.add({
+      "trace.trace_id": this.traceId,
+      "trace.parent_id": this.spanId,
+      "meta.annotation_type": type,
+    });
+    this._annotations.push(ev);
+    return ev;
+  }
+}
@@ -0,0 +1,386 @@
+// Copyright 2016 Hound Technology, Inc. All rights reserved.
+// Use of this source code is governed by the Apache License 2.0
+// license that can be found in the LICENSE file.
+
+/* global Buffer, process */
+
+/**
+ * @module
+ * @private
+ */
+import { ValidatedEvent } from "./transmission";
+
+// the maximum number of bytes we allow the spool to take up on disk before we stop spooling.
+const spoolMaxBytes = 10 * 1024 * 1024;
+// how old (in ms) a spooled event may be and still be replayed.
+const spoolMaxAge = 24 * 60 * 60 * 1000;
+// segments are rotated once they grow past this many bytes.
+const spoolSegmentBytes = 1024 * 1024;
+// how long (in ms) records are buffered in memory before they're written out.
+const spoolFlushInterval = 100;
+
+const segmentSuffix = ".seg";
+// <time>-<pid>-<instance>-<seq>.seg.  segments from before instances were named have no instance.
+const segmentName = /^\d+-(\d+)-(?:([a-z0-9]+)-)?\d+\.seg$/;
+
+// the instances of the spools open in this process, whose segments aren't to be replayed.
+const openInstances = new Set();
+
+// whether the process with this pid is still running (and so might still be writing its segments).
+const processAlive = pid => {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (e) {
+    // EPERM: it's there, it just isn't ours to signal.
+    return e.code === "EPERM";
+  }
+};
+
+// whether the segment was written by a spool that's still open, here or in another process.
+const ownerAlive = name => {
+  let match = segmentName.exec(name);
+  if (!match) {
+    return false;
+  }
+  let pid = Number(match[1]);
+  if (pid !== process.pid) {
+    return processAlive(pid);
+  }
+  return match[2] !== undefined && openInstances.has(match[2]);
+};
+
+// runs a filesystem call, treating a file that isn't there (e.g. because a spool in another
+// process sharing the directory replayed and deleted it) as undefined.
+const ignoreMissing = fn => {
+  try {
+    return fn();
+  } catch (e) {
+    if (e.code === "ENOENT") {
+      return undefined;
+    }
+    throw e;
+  }
+};
+
+/**
+ * A file-backed spool of undelivered events, so they survive crashes and restarts.
+ *
+ * The spool is a directory of append-only segment files, each holding newline-delimited JSON
+ * records: one record per queued event, and an ack record once that event no longer needs to be
+ * delivered (because it was sent, or failed in a way retrying won't fix).  Segments whose events
+ * have all been acked are deleted.  Whatever is left un-acked on disk is replayed by the next
+ * spool opened on the same directory.
+ *
+ * Records are buffered in memory and written out asynchronously every `flushInterval` ms (and on
+ * `flush()`/`close()`), so sending events never waits on the disk.  A crash loses at most that
+ * interval's worth of records.
+ *
+ * Segment names carry the pid of the process and the instance that wrote them, so several
+ * processes (or instances) can share a directory: only segments whose writer is gone (its
+ * process has exited, or it has been closed) are replayed, and a spool claims each segment by
+ * renaming it to one of its own before replaying it, so no two replay the same one.
+ *
+ * Write keys are stored alongside events, so the spool directory should be treated as a secret.
+ * Failed writes are reported to `logger`.
+ * @private
+ */
+export default class Spool {
+  constructor({ dir, maxBytes, maxAge, segmentBytes, flushInterval, logger = console }) {
+    // only import the fs/path modules after confirming they are needed (e.g. not in a browser)
+    // eslint-disable-next-line no-undef
+    this._fs = require("fs");
+    // eslint-disable-next-line no-undef
+    this._path = require("path");
+
+    this._dir = dir;
+    this._logger = logger;
+    this._maxBytes = typeof maxBytes === "number" ? maxBytes : spoolMaxBytes;
+    this._maxAge = typeof maxAge === "number" ? maxAge : spoolMaxAge;
+    this._segmentBytes =
+      typeof segmentBytes === "number" ? segmentBytes : spoolSegmentBytes;
+    this._flushInterval =
+      typeof flushInterval === "number" ? flushInterval : spoolFlushInterval;
+
+    this._fs.mkdirSync(dir, { recursive: true });
+
+    // segments left behind by spools that are gone, waiting to be replayed (segment name ->
+    // bytes).  spools in other processes sharing the directory may get to them first.
+    this._unreplayed = new Map();
+    this._totalBytes = 0;
+    this._fs
+      .readdirSync(dir)
+      .filter(name => name.endsWith(segmentSuffix) && !ownerAlive(name))
+      .sort()
+      .forEach(name => {
+        let size = ignoreMissing(() => this._fs.statSync(this._segmentPath(name)).size);
+        if (size !== undefined) {
+          this._unreplayed.set(name, size);
+          this._totalBytes += size;
+        }
+      });
+
+    // segment name -> { bytes, outstanding }
+    this._segments = Object.create(null);
+    this._current = null;
+    this._segmentSeq = 0;
+    this._nextId = 1;
+    // spool id -> segment name
+    this._ids = new Map();
+
+    this._instance = Math.random()
+      .toString(36)
+      .slice(2, 10);
+    openInstances.add(this._instance);
+    // segment name -> records not yet written to it
+    this._buffered = new Map();
+    this._flushTimer = null;
+    // writes (and deletions) happen one after another, in the order they were asked for.
+    this._writing = Promise.resolve();
+  }
+
+  _segmentPath(name) {
+    return this._path.join(this._dir, name);
+  }
+
+  _write(name, line) {
+    let bytes = Buffer.byteLength(line);
+    let lines = this._buffered.get(name);
+    if (!lines) {
+      lines = [];
+      this._buffered.set(name, lines);
+    }
+    lines.push(line);
+    this._segments[name].bytes += bytes;
+    this._totalBytes += bytes;
+    this._scheduleFlush();
+  }
+
+  _scheduleFlush() {
+    if (this._flushTimer !== null) {
+      return;
+    }
+    this._flushTimer = setTimeout(() => {
+      this._flushTimer = null;
+      this.flush();
+    }, this._flushInterval);
+    // buffered records shouldn't keep the process alive on their own.
+    if (typeof this._flushTimer.unref === "function") {
+      this._flushTimer.unref();
+    }
+  }
+
+  _enqueueWrite(fn) {
+    this._writing = this._writing.then(fn).catch(e => {
+      this._logger.warn(`unable to write to spool in ${this._dir}: ${e}`);
+    });
+    return this._writing;
+  }
+
+  /**
+   * writes out the records buffered so far.
+   * @returns {Promise} resolves once they're on disk.
+   */
+  flush() {
+    if (this._flushTimer !== null) {
+      clearTimeout(this._flushTimer);
+      this._flushTimer = null;
+    }
+    let buffered = this._buffered;
+    if (buffered.size === 0) {
+      return this._writing;
+    }
+    this._buffered = new Map();
+    return this._enqueueWrite(() =>
+      Promise.all(
+        Array.from(buffered, ([name, lines]) =>
+          this._fs.promises.appendFile(this._segmentPath(name), lines.join(""))
+        )
+      )
+    );
+  }
+
+  /**
+   * writes out what's buffered, and lets spools opened after this one replay its segments.
+   * @returns {Promise} resolves once everything is on disk.
+   */
+  close() {
+    openInstances.delete(this._instance);
+    return this.flush();
+  }
+
+  _newSegmentName() {
+    return `${Date.now()}-${process.pid}-${this._instance}-${this._segmentSeq++}${segmentSuffix}`;
+  }
+
+  _rotate() {
+    let previous = this._current;
+    this._current = this._newSegmentName();
+    this._segments[this._current] = { bytes: 0, outstanding: 0 };
+    if (previous !== null) {
+      this._removeIfDone(previous);
+    }
+  }
+
+  _removeIfDone(name) {
+    let segment = this._segments[name];
+    if (name === this._current || segment.outstanding > 0) {
+      return;
+    }
+    // records still buffered for it needn't be written at all.
+    this._buffered.delete(name);
+    this._enqueueWrite(() =>
+      this._fs.promises.unlink(this._segmentPath(name)).catch(e => {
+        // it never made it to disk.
+        if (e.code !== "ENOENT") {
+          throw e;
+        }
+      })
+    );
+    this._totalBytes -= segment.bytes;
+    delete this._segments[name];
+  }
+
+  /**
+   * writes an event to the spool.  Returns false (and leaves the event unspooled) if the spool
+   * is full or the event can't be serialized.
+   */
+  append(ev) {
+    if (ev.spoolId !== undefined) {
+      return true;
+    }
+
+    let spooledAt = ev.spooledAt || Date.now();
+    let line;
+    try {
+      line = JSON.stringify({
+        id: this._nextId,
+        t: spooledAt,
+        ev: {
+          timestamp: ev.timestamp,
+          apiHost: ev.apiHost,
+          writeKey: ev.writeKey,
+          dataset: ev.dataset,
+          sampleRate: ev.sampleRate,
+          postData: ev.postData,
+          metadata: ev.metadata
+        }
+      }) + "\n";
+    } catch (e) {
+      return false;
+    }
+    if (this._totalBytes + Buffer.byteLength(line) > this._maxBytes) {
+      return false;
+    }
+
+    let segment = this._segments[this._current];
+    if (!segment || segment.bytes >= this._segmentBytes) {
+      this._rotate();
+    }
+    this._write(this._current, line);
+    ev.spoolId = this._nextId++;
+    ev.spooledAt = spooledAt;
+    this._ids.set(ev.spoolId, this._current);
+    this._segments[this._current].outstanding++;
+    return true;
+  }
+
+  /**
+   * marks a spooled event as no longer needing delivery.
+   */
+  ack(ev) {
+    let name = this._ids.get(ev.spoolId);
+    if (name === undefined) {
+      return;
+    }
+    // acks go in the same segment as the event they ack, so deleting a segment never loses an
+    // ack for an event that's still on disk elsewhere.
+    this._write(name, JSON.stringify({ ack: ev.spoolId }) + "\n");
+    this._ids.delete(ev.spoolId);
+    ev.spoolId = undefined;
+    this._segments[name].outstanding--;
+    this._removeIfDone(name);
+  }
+
+  // takes a segment left behind by a spool that's gone by renaming it to one of ours, so no other
+  // spool on the directory replays it too.  returns its new name, or undefined if another spool
+  // got there first.  if we go away before it's deleted, it's replayed again.
+  _claim(name) {
+    let claimed = this._newSegmentName();
+    let renamed = ignoreMissing(() => {
+      this._fs.renameSync(this._segmentPath(name), this._segmentPath(claimed));
+      return true;
+    });
+    return renamed ? claimed : undefined;
+  }
+
+  /**
+   * calls `fn` with every un-acked event left behind by spools on this directory that are gone,
+   * oldest first, skipping events older than maxAge and the oldest events beyond maxBytes.  The
+   * replayed segments are deleted afterwards, so `fn` should re-spool (i.e. enqueue) the events
+   * it wants to keep.  Segments another spool replays first are skipped.
+   */
+  replay(fn) {
+    let unreplayed = this._unreplayed;
+    this._unreplayed = new Map();
+    // the replayed events are about to be spooled again, and whatever another spool got to first
+    // is gone, so don't count any of it.
+    unreplayed.forEach(size => (this._totalBytes -= size));
+
+    let names = Array.from(unreplayed.keys())
+      .map(name => this._claim(name))
+      .filter(name => name !== undefined);
+
+    let records = new Map();
+    names.forEach(name => {
+      let contents =
+        ignoreMissing(() => this._fs.readFileSync(this._segmentPath(name), "utf8")) || "";
+      contents.split("\n").forEach(line => {
+        let record;
+        try {
+          record = JSON.parse(line);
+        } catch (e) {
+          // a partial line left behind by a crash mid-write
+          return;
+        }
+        // ids are only unique within the spool that wrote them, but acks always live in the same
+        // segment as the event they ack.
+        if (record.ack !== undefined) {
+          records.delete(`${name}:${record.ack}`);
+        } else {
+          records.set(`${name}:${record.id}`, {
+            record,
+            bytes: Buffer.byteLength(line) + 1
+          });
+        }
+      });
+    });
+
+    let now = Date.now();
+    let replayed = [];
+    let bytes = 0;
+    Array.from(records.values())
+      .filter(({ record }) => now - record.t <= this._maxAge)
+      .reverse()
+      .forEach(entry => {
+        if (bytes + entry.bytes > this._maxBytes) {
+          return;
+        }
+        bytes += entry.bytes;
+        replayed.unshift(entry.record);
+      });
+
+    replayed.forEach(({ t, ev }) => {
+      let event = new ValidatedEvent(
+        Object.assign({}, ev, { timestamp: ev.timestamp && new Date(ev.timestamp) })
+      );
+      event.spooledAt = t;
+      fn(event);
+    });
+
+    names.forEach(name =>
+      ignoreMissing(() => this._fs.unlinkSync(this._segmentPath(name)))
+    );
+    return replayed.length;
+  }
+}
@@ -2,12 +2,19 @@
 // Use of this source code is governed by the Apache License 2.0
 // license that can be found in the LICENSE file.
 
-/* global global, process */
+/* global Buffer, global, process */
 
 /**
  * @module
  */
-import superagent from "superagent";
+import { beaconClient, fetchClient, resolveHttpClient } from "./http_client";
+import { compressBody, compressionTypes } from "./compression";
+import {
+  decode as decodeMsgpack,
+  encodeArray,
+  encode as encodeMsgpack
+} from "./msgpack";
+import { resolveSampler, shouldSample } from "./sampler";
 import urlJoin from "url-join";
 
 const LIBHONEY_VERSION = "libhoney-js/<@LIBHONEY_JS_VERSION@>";
@@ -33,7 +40,79 @@ const pendingWorkCapacity = 10000;
 // how long (in ms) to give a single POST before we timeout
 const deadlineTimeoutMs = 60000;
 
+// how many times to retry a batch that failed with a retryable error.  0 disables retries.
+const maxRetries = 0;
+// how long (in ms) to wait before the first retry.  doubles with every subsequent attempt.
+const retryInitialDelayMs = 100;
+// the maximum total time (in ms) an event may spend waiting on retries before we give up on it.
+const retryMaxTotalDelayMs = 10000;
+
+// how to compress batch request bodies.  one of "none", "gzip" or "deflate".
+const defaultCompression = "none";
+
+// the most (encoded) bytes we put in a single batch request, and in a single event.  these match
+// the limits of the batch API.
+const batchBytesLimit = 5000000;
+const eventBytesLimit = 1000000;
+// browsers cap the bodies of in-flight keepalive requests and beacons at 64KiB, all of them
+// together, so that's the most we send (in one batch or several) as the page goes away.
+const beaconBytesLimit = 64000;
+
+// how to encode batch request bodies.  one of "json" or "msgpack".
+const defaultEncoding = "json";
+const encodingTypes = ["json", "msgpack"];
+
 const emptyResponseCallback = function() {};
+const emptyThrottledCallback = function() {};
+
+// the event a response is about, kept out of sight of response queue consumers.
+const responseEvent = Symbol("event");
+
+/**
+ * ties `response` to the event it's about, so libhoney can find what it's tracking for the event
+ * when the response comes back (see Libhoney's _responseCallback).  The link isn't enumerable, so
+ * it doesn't show up in the response or get copied along with it.
+ * @private
+ */
+export function linkResponse(response, ev) {
+  Object.defineProperty(response, responseEvent, { value: ev });
+  return response;
+}
+
+/**
+ * the event `response` was linked to with linkResponse, if it was.
+ * @private
+ */
+export function linkedEvent(response) {
+  return response[responseEvent];
+}
+
+// batches are grouped (and throttled) per api endpoint, write key and dataset.
+const endpointKey = ev => `${ev.apiHost}_${ev.writeKey}_${ev.dataset}`;
+
+// the longest (in ms) we let a Retry-After header pause sending to an endpoint.  a server (or a
+// proxy) asking for hours would otherwise leave the queue filling up and dropping events.
+const retryAfterLimitMs = 60000;
+
+// parses a Retry-After header, which is either a number of seconds or an HTTP date, into a
+// number of ms from now, at most retryAfterLimitMs.  returns undefined if the header is missing
+// or malformed.
+const parseRetryAfter = (value, now) => {
+  if (typeof value !== "string" || value.trim() === "") {
+    return undefined;
+  }
+  let delay;
+  if (/^\d+$/.test(value.trim())) {
+    delay = parseInt(value, 10) * 1000;
+  } else {
+    let date = Date.parse(value);
+    if (isNaN(date)) {
+      return undefined;
+    }
+    delay = Math.max(date - now, 0);
+  }
+  return Math.min(delay, retryAfterLimitMs);
+};
 
 const eachPromise = (arr, iteratorFn) =>
   arr.reduce((p, item) => {
@@ -60,7 +139,7 @@ class BatchEndpointAggregator {
     this.batches = partition(
       events,
       /* keyfn */
-      ev => `${ev.apiHost}_${ev.writeKey}_${ev.dataset}`,
+      endpointKey,
       /* createfn */
       ev => ({
         apiHost: ev.apiHost,
@@ -73,27 +152,158 @@ class BatchEndpointAggregator {
     );
   }
 
-  encodeBatchEvents(events) {
-    let first = true;
-    let numEncoded = 0;
-    let encodedEvents = events.reduce((acc, ev) => {
+  // encodes events one at a time, so a single bad or oversized event doesn't take the rest of its
+  // batch down with it, then splits them into request bodies of at most maxBatchBytes.  events
+  // that fail to encode have `encodeError` set, and ride along with whichever request body they
+  // would have been in so their responses line up.
+  encodeBatches(events, { encoding, maxBatchBytes, maxEventBytes, truncate }) {
+    let encoder = encoders[encoding];
+    let chunks = [];
+    let chunk = { events: [], encodedEvents: [], bytes: encoder.overhead };
+
+    events.forEach(ev => {
+      let encodedEvent;
       try {
-        let encodedEvent = JSON.stringify(ev);
-        numEncoded++;
-        let newAcc = acc + (!first ? "," : "") + encodedEvent;
-        first = false;
-        return newAcc;
+        encodedEvent = this.encodeEvent(ev, encoder, maxEventBytes, truncate);
       } catch (e) {
         ev.encodeError = e;
-        return acc;
+        chunk.events.push(ev);
+        return;
+      }
+
+      let bytes = byteLength(encodedEvent) + encoder.separator;
+      if (chunk.encodedEvents.length > 0 && chunk.bytes + bytes > maxBatchBytes) {
+        chunks.push(chunk);
+        chunk = { events: [], encodedEvents: [], bytes: encoder.overhead };
+      }
+      chunk.events.push(ev);
+      chunk.encodedEvents.push(encodedEvent);
+      chunk.bytes += bytes;
+    });
+    chunks.push(chunk);
+
+    return chunks.map(({ events: chunkEvents, encodedEvents }) => ({
+      events: chunkEvents,
+      encoded: encoder.join(encodedEvents),
+      numEncoded: encodedEvents.length
+    }));
+  }
+
+  encodeEvent(ev, encoder, maxEventBytes, truncate) {
+    ev.encodeError = undefined;
+    let encoded = encoder.encode(ev);
+    let bytes = byteLength(encoded);
+    if (bytes <= maxEventBytes) {
+      return encoded;
+    }
+    if (truncate) {
+      let truncated = this.truncateEvent(ev, encoder, maxEventBytes);
+      if (truncated !== undefined) {
+        return truncated;
+      }
+    }
+    throw new Error(
+      `event exceeds maxEventBytes (${bytes} > ${maxEventBytes} bytes)`
+    );
+  }
+
+  // shrinks the event's largest fields until it fits: strings are cut short, anything else is
+  // dropped.  returns the encoded event, or undefined if it can't be made to fit.
+  truncateEvent(ev, encoder, maxEventBytes) {
+    let original = ev.postData;
+    let data = Object.assign({}, original);
+    ev.postData = data;
+
+    let encoded = encoder.encode(ev);
+    let bytes = byteLength(encoded);
+    while (bytes > maxEventBytes) {
+      let largest;
+      let largestBytes = -1;
+      Object.keys(data).forEach(k => {
+        let fieldBytes = byteLength(encoder.encode(data[k]) || "");
+        if (fieldBytes > largestBytes) {
+          largest = k;
+          largestBytes = fieldBytes;
+        }
+      });
+      if (largest === undefined) {
+        ev.postData = original;
+        return undefined;
+      }
+
+      let value = data[largest];
+      let excess = bytes - maxEventBytes + truncationMarker.length;
+      if (typeof value === "string" && value.length > excess) {
+        data[largest] = value.slice(0, value.length - excess) + truncationMarker;
+      } else {
+        delete data[largest];
       }
-    }, "");
+      encoded = encoder.encode(ev);
+      bytes = byteLength(encoded);
+    }
 
-    let encoded = "[" + encodedEvents + "]";
-    return { encoded, numEncoded };
+    ev.truncated = true;
+    return encoded;
   }
 }
 
+const truncationMarker = "...[truncated]";
+
+const byteLength = encoded =>
+  typeof encoded === "string" ? utf8Length(encoded) : encoded.length;
+
+const utf8Length = str =>
+  typeof Buffer !== "undefined"
+    ? Buffer.byteLength(str)
+    : new TextEncoder().encode(str).length;
+
+// how events are encoded for each `encoding`, and joined up into a batch request body.
+const encoders = {
+  json: {
+    encode: value => JSON.stringify(value),
+    join: encodedEvents => "[" + encodedEvents.join(",") + "]",
+    // the brackets, and a comma between each event.
+    overhead: 2,
+    separator: 1
+  },
+  msgpack: {
+    encode: value => encodeMsgpack(value),
+    join: encodedEvents => {
+      let encoded = encodeArray(encodedEvents);
+      if (process.env.LIBHONEY_TARGET !== "browser") {
+        // superagent only sends Buffers as-is in node.
+        encoded = Buffer.from(encoded.buffer, encoded.byteOffset, encoded.byteLength);
+      }
+      return encoded;
+    },
+    // at most, the array header.
+    overhead: 5,
+    separator: 0
+  }
+};
+
+// the batch API answers with an array of per-event responses, encoded as json or msgpack.
+const parseBatchResponse = res => {
+  if (/msgpack/.test(res.type || "")) {
+    return decodeMsgpack(res.body);
+  }
+  if (typeof res.text !== "string" && res.body instanceof ArrayBuffer) {
+    // we asked for a binary response (in case it was msgpack), but got json.
+    return JSON.parse(new TextDecoder().decode(res.body));
+  }
+  return JSON.parse(res.text);
+};
+
+// the server has taken a batch it answered with a 2xx, so a response we can't parse fails the
+// batch's events without retrying them (which would ingest them twice).
+const unparseableResponse = (res, cause) => {
+  let err = new Error(`unable to parse the batch response: ${cause.message}`);
+  err.status = res.status;
+  err.response = res;
+  err.retryable = false;
+  return err;
+};
+
 /**
  * @private
  */
@@ -114,6 +324,16 @@ export class ValidatedEvent {
     this.dataset = dataset;
     this.sampleRate = sampleRate;
     this.metadata = metadata;
+    // delivery bookkeeping, not part of the event's JSON encoding.
+    this.attempts = 0;
+    this.retryDelay = 0;
+    this.spoolId = undefined;
+    this.spooledAt = undefined;
+    this.truncated = false;
+    // the name of the sampling rule that picked sampleRate, if one did.
+    this.sampleRule = undefined;
+    // the ways the event broke its dataset's schema, if it did, see ./schema.js.
+    this.schemaViolations = undefined;
   }
 
   toJSON() {
@@ -208,19 +428,43 @@ export class NullTransmission {
  */
 export class Transmission {
   constructor(options) {
+    this._logger = options.logger || console;
     this._responseCallback = emptyResponseCallback;
+    this._throttledCallback = emptyThrottledCallback;
     this._batchSizeTrigger = batchSizeTrigger;
     this._batchTimeTrigger = batchTimeTrigger;
     this._maxConcurrentBatches = maxConcurrentBatches;
     this._pendingWorkCapacity = pendingWorkCapacity;
     this._timeout = deadlineTimeoutMs;
+    this._maxRetries = maxRetries;
+    this._retryInitialDelay = retryInitialDelayMs;
+    this._retryMaxTotalDelay = retryMaxTotalDelayMs;
+    this._compression = defaultCompression;
+    this._encoding = defaultEncoding;
+    this._maxBatchBytes = batchBytesLimit;
+    this._maxEventBytes = eventBytesLimit;
+    this._truncateOversizedEvents = false;
     this._sendTimeoutId = -1;
+    this._throttleTimeoutId = -1;
     this._eventQueue = [];
     this._batchCount = 0;
+    this._pendingRetryCount = 0;
+    // { timer, events } for each scheduled retry
+    this._retryTimers = new Set();
+    // events we've queued and not yet reported on, and how the reported ones fared.
+    this._outstanding = 0;
+    this._sentCount = 0;
+    this._failedCount = 0;
+    this._closed = false;
+    // endpoint key -> timestamp (ms) until which we hold off sending to that endpoint.
+    this._throttledUntil = Object.create(null);
 
     if (typeof options.responseCallback === "function") {
       this._responseCallback = options.responseCallback;
     }
+    if (typeof options.throttledCallback === "function") {
+      this._throttledCallback = options.throttledCallback;
+    }
     if (typeof options.batchSizeTrigger === "number") {
       this._batchSizeTrigger = Math.max(options.batchSizeTrigger, 1);
     }
@@ -236,20 +480,82 @@ export class Transmission {
     if (typeof options.timeout === "number") {
       this._timeout = options.timeout;
     }
+    if (typeof options.maxRetries === "number") {
+      this._maxRetries = Math.max(options.maxRetries, 0);
+    }
+    if (typeof options.retryInitialDelay === "number") {
+      this._retryInitialDelay = Math.max(options.retryInitialDelay, 0);
+    }
+    if (typeof options.retryMaxTotalDelay === "number") {
+      this._retryMaxTotalDelay = Math.max(options.retryMaxTotalDelay, 0);
+    }
+    if (typeof options.maxBatchBytes === "number") {
+      this._maxBatchBytes = options.maxBatchBytes;
+    }
+    if (typeof options.maxEventBytes === "number") {
+      this._maxEventBytes = options.maxEventBytes;
+    }
+    if (typeof options.truncateOversizedEvents === "boolean") {
+      this._truncateOversizedEvents = options.truncateOversizedEvents;
+    }
+    if (options.encoding !== undefined) {
+      if (encodingTypes.indexOf(options.encoding) !== -1) {
+        this._encoding = options.encoding;
+      } else {
+        this._logger.warn(
+          `unknown encoding "${options.encoding}".  encoding batches as json.`
+        );
+      }
+    }
+    if (options.compression !== undefined) {
+      if (compressionTypes.indexOf(options.compression) !== -1) {
+        this._compression = options.compression;
+      } else {
+        this._logger.warn(
+          `unknown compression "${options.compression}".  sending batches uncompressed.`
+        );
+      }
+    }
+
+    this._encodingOptions = {
+      encoding: this._encoding,
+      maxBatchBytes: this._maxBatchBytes,
+      maxEventBytes: this._maxEventBytes,
+      truncate: this._truncateOversizedEvents
+    };
+
+    // a Spool instance shared with (and replayed by) the Libhoney instance, see ./spool.js
+    if (options.spool && typeof options.spool.append === "function") {
+      this._spool = options.spool;
+    }
 
     this._userAgentAddition = options.userAgentAddition || "";
     this._proxy = options.proxy;
     this._proxyAgent = this._determineProxyAgent(this._proxy);
 
+    // "superagent", "fetch", "auto" or a client object, see ./http_client.js
+    this._httpClient = resolveHttpClient(options.httpClient, this._logger);
+    if (this._proxyAgent && this._httpClient === fetchClient) {
+      this._logger.warn(
+        "the fetch http client doesn't support proxies.  sending batches directly."
+      );
+    }
+
+    // an optional dynamic sampler that picks each event's sample rate, see ./sampler.js
+    this._sampler = resolveSampler(options.sampler, this._logger);
+    // the field (e.g. "trace.trace_id") whose value decides whether events are kept, if any.
+    this._deterministicSamplingField = options.deterministicSamplingField;
+
     // Included for testing; to stub out randomness and verify that an event
     // was dropped.
     this._randomFn = Math.random;
+    // Included for testing; to stub out the jitter applied to retry backoff.
+    this._jitterFn = Math.random;
   }
 
-  // current proxy config API is only through parameters in code, despite the proxy-agent
-  // module supporting configuration through the conventional environment variables
-  // TODO: add config via env vars; which should win over code config and which would need
-  //       to be evaluated per batch API endpoint (complicated)
+  // the proxy comes from options.proxy, which Libhoney sets from HTTPS_PROXY/HTTP_PROXY and
+  // NO_PROXY (see ./env.js).  those are evaluated against the instance's apiHost, not the apiHost
+  // of each batch.
   _determineProxyAgent(proxy) {
     // proxy config in code is not supported when running in browsers
     if (process.env.LIBHONEY_TARGET === "browser") return undefined;
@@ -265,23 +571,53 @@ export class Transmission {
       // use the configured proxy URL, regardless of the protocol of the batch API endpoint URL
       agentWithProxy = new ProxyAgent({ getProxyForUrl: () => proxy });
     } catch(e) {
-      console.log(`Unable to configure for transmission through proxy provided: ${proxy}`);
-      console.log(e);
+      this._logger.warn(
+        `Unable to configure for transmission through proxy provided: ${proxy}`,
+        e
+      );
     }
 
     return agentWithProxy;
   }
 
+  _spoolAppend(ev) {
+    if (!this._spool) {
+      return;
+    }
+    try {
+      this._spool.append(ev);
+    } catch (e) {
+      this._logger.warn(`unable to write event to spool: ${e}`);
+    }
+  }
+
+  _spoolAck(events) {
+    if (!this._spool) {
+      return;
+    }
+    try {
+      events.forEach(ev => this._spool.ack(ev));
+    } catch (e) {
+      this._logger.warn(`unable to ack event in spool: ${e}`);
+    }
+  }
+
   _droppedCallback(ev, reason) {
     this._responseCallback([
-      {
-        metadata: ev.metadata,
-        error: new Error(reason)
-      }
+      linkResponse(
+        {
+          metadata: ev.metadata,
+          error: new Error(reason)
+        },
+        ev
+      )
     ]);
   }
 
   sendEvent(ev) {
+    if (this._sampler && ev.sampleRule === undefined) {
+      ev.sampleRate = this._sampler.getSampleRate(ev.postData);
+    }
     // bail early if we aren't sampling this event
     if (!this._shouldSendEvent(ev)) {
       this._droppedCallback(ev, "event dropped due to sampling");
@@ -292,11 +628,17 @@ export class Transmission {
   }
 
   sendPresampledEvent(ev) {
+    if (this._closed) {
+      this._droppedCallback(ev, "transmission is closed");
+      return;
+    }
     if (this._eventQueue.length >= this._pendingWorkCapacity) {
       this._droppedCallback(ev, "queue overflow");
       return;
     }
+    this._spoolAppend(ev);
     this._eventQueue.push(ev);
+    this._outstanding++;
     if (this._eventQueue.length >= this._batchSizeTrigger) {
       this._sendBatch();
     } else {
@@ -304,21 +646,175 @@ export class Transmission {
     }
   }
 
-  flush() {
-    if (this._eventQueue.length === 0 && this._batchCount === 0) {
+  /**
+   * sends everything queued, resolving once it's all been sent (or `timeoutMs` has passed) with a
+   * summary of how the events we were waiting on fared: `{ sent, failed, pending }`, where
+   * `pending` counts the events still queued or in flight at the deadline.
+   */
+  flush({ timeoutMs } = {}) {
+    let [sentAtStart, failedAtStart] = [this._sentCount, this._failedCount];
+    const summarize = () => ({
+      sent: this._sentCount - sentAtStart,
+      failed: this._failedCount - failedAtStart,
+      pending: this._outstanding
+    });
+
+    if (
+      this._eventQueue.length === 0 &&
+      this._batchCount === 0 &&
+      this._pendingRetryCount === 0
+    ) {
       // we're not currently waiting on anything, we're done!
-      return Promise.resolve();
+      return Promise.resolve(summarize());
     }
 
-    return new Promise(resolve => {
+    let flushed = new Promise(resolve => {
+      let previous = this.flushCallback;
       this.flushCallback = () => {
         this.flushCallback = null;
+        if (previous) {
+          previous();
+        }
         resolve();
       };
     });
+    // a flush means send now, not once the batch timer goes off.
+    if (this._eventQueue.length > 0) {
+      this._sendBatch();
+    }
+
+    if (typeof timeoutMs !== "number") {
+      return flushed.then(summarize);
+    }
+    let timer;
+    let deadline = new Promise(resolve => {
+      timer = _global.setTimeout(resolve, timeoutMs);
+    });
+    return Promise.race([flushed, deadline]).then(() => {
+      _global.clearTimeout(timer);
+      return summarize();
+    });
+  }
+
+  /**
+   * stops sending for good: clears our timers, fails the events that are still queued or waiting
+   * to be retried, and releases the proxy agent.  Batches already in flight still report back.
+   */
+  close() {
+    this._closed = true;
+    this._clearSendTimeout();
+    if (this._throttleTimeoutId !== -1) {
+      _global.clearTimeout(this._throttleTimeoutId);
+      this._throttleTimeoutId = -1;
+    }
+
+    let abandoned = this._eventQueue;
+    this._eventQueue = [];
+    this._retryTimers.forEach(({ timer, events }) => {
+      _global.clearTimeout(timer);
+      abandoned.push(...events);
+    });
+    this._retryTimers.clear();
+    this._pendingRetryCount = 0;
+    if (abandoned.length > 0) {
+      this._reportResponses(abandoned, ev => ({
+        metadata: ev.metadata,
+        error: new Error("transmission closed before the event was sent"),
+        attempts: ev.attempts
+      }));
+    }
+
+    if (this._proxyAgent && typeof this._proxyAgent.destroy === "function") {
+      this._proxyAgent.destroy();
+    }
+    if (this._batchCount === 0 && this.flushCallback) {
+      this.flushCallback();
+    }
+  }
+
+  // reports the outcome of events we queued, with `responseFor(ev)` giving each one's response,
+  // keeping count of them for flush summaries.
+  _reportResponses(events, responseFor) {
+    let responses = events.map(ev => linkResponse(responseFor(ev), ev));
+    responses.forEach(resp => {
+      this._outstanding--;
+      if (resp.error || resp.status_code >= 300) {
+        this._failedCount++;
+      } else {
+        this._sentCount++;
+      }
+    });
+    this._responseCallback(responses);
+  }
+
+  /**
+   * sends everything still queued right away, with requests the browser finishes even if the
+   * page is going away: fetch with keepalive, or sendBeacon where fetch isn't available.  Batches
+   * are split to fit the browsers' limits on those, and sent uncompressed (there's no time to wait
+   * on CompressionStream).  The browser refuses anything past its limit on all of those requests
+   * together, so batches that don't fit aren't sent, and their events are reported as dropped.
+   * Events for throttled endpoints stay queued.
+   */
+  flushOnPageHide() {
+    if (this._closed) {
+      return;
+    }
+    this._clearSendTimeout();
+
+    let events = this._takeSendableEvents(this._eventQueue.length);
+    if (events.length === 0) {
+      return;
+    }
+
+    let useBeacon = typeof fetch !== "function";
+    let batches = this._encodeBatches(
+      events,
+      Object.assign({}, this._encodingOptions, {
+        maxBatchBytes: Math.min(this._maxBatchBytes, beaconBytesLimit),
+        // beacons can't say they're sending msgpack.
+        encoding: useBeacon ? "json" : this._encoding
+      })
+    );
+
+    let inFlightBytes = 0;
+    let sendable = [];
+    batches.forEach(batch => {
+      let bytes = byteLength(batch.encoded);
+      if (inFlightBytes + bytes <= beaconBytesLimit) {
+        inFlightBytes += bytes;
+        sendable.push(batch);
+        return;
+      }
+      this._reportResponses(batch.events, ev => ({
+        metadata: ev.metadata,
+        error:
+          ev.encodeError ||
+          new Error(
+            "event dropped: the browser's limit on requests sent as the page goes away was reached"
+          )
+      }));
+    });
+
+    // unlike _sendBatch, all of the batches go out at once: there may be no time for another.
+    this._batchCount++;
+    Promise.all(
+      sendable.map(batch =>
+        this._postBatch(batch, {
+          encoding: useBeacon ? "json" : this._encoding,
+          compression: "none",
+          httpClient: useBeacon ? beaconClient : fetchClient,
+          keepalive: true
+        })
+      )
+    )
+      .then(() => this._finishBatch())
+      .catch(() => this._finishBatch());
   }
 
   _sendBatch() {
+    if (this._closed) {
+      return;
+    }
     if (this._batchCount === maxConcurrentBatches) {
       // don't start up another concurrent batch.  the next timeout/sendEvent or batch completion
       // will cause us to send another
@@ -327,133 +823,354 @@ export class Transmission {
 
     this._clearSendTimeout();
 
+    let events = this._takeSendableEvents();
+    if (events.length === 0 && this._eventQueue.length > 0) {
+      // everything left in the queue is for throttled endpoints.
+      this._ensureThrottleTimeout();
+      return;
+    }
+
     this._batchCount++;
 
-    let batchAgg = new BatchEndpointAggregator(
-      this._eventQueue.splice(0, this._batchSizeTrigger)
-    );
+    let batches = this._encodeBatches(events, this._encodingOptions);
+    eachPromise(batches, batch =>
+      this._postBatch(batch, {
+        encoding: this._encoding,
+        compression: this._compression,
+        httpClient: this._httpClient
+      })
+    )
+      .then(() => this._finishBatch())
+      .catch(() => this._finishBatch());
+  }
 
-    const finishBatch = () => {
-      this._batchCount--;
+  _finishBatch() {
+    this._batchCount--;
 
-      let queueLength = this._eventQueue.length;
-      if (queueLength > 0) {
-        if (queueLength >= this._batchSizeTrigger) {
-          this._sendBatch();
-        } else {
-          this._ensureSendTimeout();
-        }
-        return;
+    let queueLength = this._eventQueue.length;
+    if (queueLength > 0) {
+      if (queueLength >= this._batchSizeTrigger || this.flushCallback) {
+        this._sendBatch();
+      } else {
+        this._ensureSendTimeout();
       }
+      return;
+    }
 
-      if (this._batchCount === 0 && this.flushCallback) {
-        this.flushCallback();
-      }
-    };
+    if (
+      this._batchCount === 0 &&
+      this._pendingRetryCount === 0 &&
+      this.flushCallback
+    ) {
+      this.flushCallback();
+    }
+  }
 
-    let batches = Object.keys(batchAgg.batches).map(k => batchAgg.batches[k]);
-    eachPromise(batches, batch => {
-      let url = urlJoin(batch.apiHost, "/1/batch", batch.dataset);
-      let postReq = superagent.post(url);
+  // groups events by endpoint, and encodes each group into as many batches as it takes to stay
+  // under the batch size limit.
+  _encodeBatches(events, encodingOptions) {
+    let batchAgg = new BatchEndpointAggregator(events);
+    let batches = [];
+    Object.keys(batchAgg.batches).forEach(k => {
+      let batch = batchAgg.batches[k];
+      batchAgg
+        .encodeBatches(batch.events, encodingOptions)
+        .forEach(encodedBatch =>
+          batches.push(Object.assign({}, batch, encodedBatch))
+        );
+    });
+    return batches;
+  }
 
-      let reqPromise;
-      if (process.env.LIBHONEY_TARGET === "browser") {
-        reqPromise = Promise.resolve({ req: postReq });
-      } else {
-        reqPromise = Promise.resolve({ req: postReq.agent(this._proxyAgent) });
-      }
-      let { encoded, numEncoded } = batchAgg.encodeBatchEvents(batch.events);
-      return reqPromise.then(
-        ({ req }) =>
-          new Promise(resolve => {
-            // if we failed to encode any of the events, no point in sending anything to honeycomb
-            if (numEncoded === 0) {
-              this._responseCallback(
-                batch.events.map(ev => ({
-                  metadata: ev.metadata,
-                  error: ev.encodeError
-                }))
-              );
-              resolve();
-              return;
-            }
+  // posts a single encoded batch, reporting the outcome for each of its events.  the returned
+  // promise always resolves, errors cause the events to be retried or reported as failed.
+  _postBatch(batch, { encoding, compression, httpClient, keepalive }) {
+    let url = urlJoin(batch.apiHost, "/1/batch", batch.dataset);
+    let { encoded, numEncoded } = batch;
+    let bodyPromise =
+      numEncoded === 0
+        ? Promise.resolve({ body: encoded })
+        : compressBody(encoded, compression);
+    return bodyPromise.then(
+      ({ body, contentEncoding }) =>
+        new Promise(resolve => {
+          // if we failed to encode any of the events, no point in sending anything to honeycomb
+          if (numEncoded === 0) {
+            this._spoolAck(batch.events);
+            this._reportResponses(batch.events, ev => ({
+              metadata: ev.metadata,
+              error: ev.encodeError
+            }));
+            resolve();
+            return;
+          }
 
-            let userAgent = `${LIBHONEY_VERSION} ${NODE_VERSION}`;
-            let trimmedAddition = this._userAgentAddition.trim();
-            if (trimmedAddition) {
-              userAgent = `${LIBHONEY_VERSION} ${trimmedAddition} ${NODE_VERSION}`;
-            }
+          let userAgent = `${LIBHONEY_VERSION} ${NODE_VERSION}`;
+          let trimmedAddition = this._userAgentAddition.trim();
+          if (trimmedAddition) {
+            userAgent = `${LIBHONEY_VERSION} ${trimmedAddition} ${NODE_VERSION}`;
+          }
+
+          let headers = {
+            "X-Honeycomb-Team": batch.writeKey,
+            [process.env.LIBHONEY_TARGET === "browser"
+              ? "X-Honeycomb-UserAgent"
+              : "User-Agent"]: userAgent,
+            "Content-Type":
+              encoding === "msgpack"
+                ? "application/msgpack"
+                : "application/json"
+          };
+          if (contentEncoding) {
+            headers["Content-Encoding"] = contentEncoding;
+          }
+
+          let start = Date.now();
+          const handleResponse = (err, response) => {
+            let end = Date.now();
+
+            batch.events.forEach(ev => {
+              if (!ev.encodeError) {
+                ev.attempts++;
+              }
+            });
 
-            let start = Date.now();
-            req
-              .set("X-Honeycomb-Team", batch.writeKey)
-              .set(
-                process.env.LIBHONEY_TARGET === "browser"
-                  ? "X-Honeycomb-UserAgent"
-                  : "User-Agent",
-                userAgent
-              )
-              .type("json")
-              .timeout(this._timeout)
-              .send(encoded)
-              .end((err, res) => {
-                let end = Date.now();
-
-                if (err) {
-                  this._responseCallback(
-                    batch.events.map(ev => ({
-                      // eslint-disable-next-line camelcase
-                      status_code: ev.encodeError ? undefined : err.status,
-                      duration: end - start,
-                      metadata: ev.metadata,
-                      error: ev.encodeError || err
-                    }))
-                  );
+            if (err) {
+              this._maybeThrottle(batch, err, end);
+
+              let failed = batch.events;
+              if (this._isRetryable(err)) {
+                let retryable = failed.filter(ev => this._canRetry(ev));
+                failed = failed.filter(ev => retryable.indexOf(ev) === -1);
+                this._scheduleRetry(retryable);
+              }
+              // events that failed for a reason retrying could fix stay spooled, to be
+              // replayed by the next libhoney instance.
+              this._spoolAck(
+                failed.filter(ev => ev.encodeError || !this._isRetryable(err))
+              );
+              if (failed.length > 0) {
+                this._reportResponses(failed, ev => ({
+                  // eslint-disable-next-line camelcase
+                  status_code: ev.encodeError ? undefined : err.status,
+                  duration: end - start,
+                  metadata: ev.metadata,
+                  error: ev.encodeError || err,
+                  attempts: ev.attempts
+                }));
+              }
+            } else {
+              this._spoolAck(batch.events);
+              let respIdx = 0;
+              this._reportResponses(batch.events, ev => {
+                if (ev.encodeError) {
+                  return {
+                    duration: end - start,
+                    metadata: ev.metadata,
+                    error: ev.encodeError,
+                    attempts: ev.attempts
+                  };
                 } else {
-                  let response = JSON.parse(res.text);
-                  let respIdx = 0;
-                  this._responseCallback(
-                    batch.events.map(ev => {
-                      if (ev.encodeError) {
-                        return {
-                          duration: end - start,
-                          metadata: ev.metadata,
-                          error: ev.encodeError
-                        };
-                      } else {
-                        let nextResponse = response[respIdx++];
-                        return {
-                          // eslint-disable-next-line camelcase
-                          status_code: nextResponse.status,
-                          duration: end - start,
-                          metadata: ev.metadata,
-                          error: nextResponse.err
-                        };
-                      }
-                    })
-                  );
+                  let nextResponse = response ? response[respIdx++] : {};
+                  return {
+                    // eslint-disable-next-line camelcase
+                    status_code: nextResponse.status,
+                    duration: end - start,
+                    metadata: ev.metadata,
+                    error: nextResponse.err,
+                    attempts: ev.attempts,
+                    truncated: ev.truncated
+                  };
                 }
-                // we resolve unconditionally to continue the iteration in eachSeries.  errors will cause
-                // the event to be re-enqueued/dropped.
-                resolve();
               });
-          })
-      );
-    })
-      .then(finishBatch)
-      .catch(finishBatch);
+            }
+            // we resolve unconditionally to continue the iteration in eachSeries.  errors will cause
+            // the event to be re-enqueued/dropped.
+            resolve();
+          };
+
+          // a client that throws rather than rejecting fails the batch the same way.
+          Promise.resolve()
+            .then(() =>
+              httpClient.post({
+                url,
+                headers,
+                body,
+                timeout: this._timeout,
+                agent: this._proxyAgent,
+                keepalive,
+                // msgpack responses are binary, xhr needs to be told up front.
+                responseType:
+                  encoding === "msgpack" &&
+                  process.env.LIBHONEY_TARGET === "browser"
+                    ? "arraybuffer"
+                    : undefined
+              })
+            )
+            .then(
+              res => {
+                let response;
+                try {
+                  // beacons don't get a response to parse, see beaconClient.
+                  response = res ? parseBatchResponse(res) : null;
+                } catch (e) {
+                  handleResponse(unparseableResponse(res, e));
+                  return;
+                }
+                handleResponse(null, response);
+              },
+              err => handleResponse(err)
+            );
+        })
+    );
   }
 
-  _shouldSendEvent(ev) {
-    let { sampleRate } = ev;
-    if (sampleRate <= 1) {
-      return true;
+  // network errors and timeouts (no status), server errors and rate limiting are worth retrying;
+  // anything else (e.g. a 4xx for a bad write key, or a batch that was taken but whose response
+  // we couldn't parse) will fail the same way again, or already got through.
+  _isRetryable(err) {
+    if (err.retryable === false) {
+      return false;
+    }
+    let status = err.status;
+    return !status || status >= 500 || status === 429;
+  }
+
+  _canRetry(ev) {
+    if (this._closed || ev.encodeError || ev.attempts > this._maxRetries) {
+      return false;
+    }
+    return ev.retryDelay + this._backoffDelay(ev.attempts) <= this._retryMaxTotalDelay;
+  }
+
+  // the upper bound of the delay before the given retry, doubling with every attempt.
+  _backoffDelay(attempt) {
+    return this._retryInitialDelay * Math.pow(2, attempt - 1);
+  }
+
+  _scheduleRetry(events) {
+    if (events.length === 0) {
+      return;
+    }
+
+    // "equal jitter": wait at least half of the backoff so retries still back off, and spread
+    // the rest out so concurrent batches don't all hammer the API at the same moment.
+    let backoff = this._backoffDelay(Math.max(...events.map(ev => ev.attempts)));
+    let delay = Math.round(backoff / 2 + (this._jitterFn() * backoff) / 2);
+    events.forEach(ev => (ev.retryDelay += delay));
+
+    this._pendingRetryCount++;
+    let retry = { events };
+    retry.timer = _global.setTimeout(() => {
+      this._retryTimers.delete(retry);
+      this._pendingRetryCount--;
+      // retried events go to the front of the queue, ahead of any new work.
+      this._eventQueue.unshift(...events);
+      if (
+        this._eventQueue.length >= this._batchSizeTrigger ||
+        this.flushCallback
+      ) {
+        this._sendBatch();
+      } else {
+        this._ensureSendTimeout();
+      }
+    }, delay);
+    this._retryTimers.add(retry);
+  }
+
+  // takes up to a batch worth of events off the queue, leaving behind those destined for
+  // endpoints that asked us to back off.
+  _takeSendableEvents(limit = this._batchSizeTrigger) {
+    let now = Date.now();
+    let sendable = [];
+    let held = [];
+    let i = 0;
+    for (; i < this._eventQueue.length; i++) {
+      if (sendable.length === limit) {
+        break;
+      }
+      let ev = this._eventQueue[i];
+      if (this._isThrottled(endpointKey(ev), now)) {
+        held.push(ev);
+      } else {
+        sendable.push(ev);
+      }
     }
-    return this._randomFn() < 1 / sampleRate;
+    this._eventQueue = held.concat(this._eventQueue.slice(i));
+    return sendable;
+  }
+
+  _isThrottled(key, now) {
+    let until = this._throttledUntil[key];
+    if (until === undefined) {
+      return false;
+    }
+    if (until <= now) {
+      delete this._throttledUntil[key];
+      return false;
+    }
+    return true;
+  }
+
+  // pauses sending to the batch's endpoint if the server answered 429 or 503 and told us how
+  // long to wait via Retry-After.  other endpoints are unaffected.
+  _maybeThrottle(batch, err, now) {
+    if (err.status !== 429 && err.status !== 503) {
+      return;
+    }
+    let headers = (err.response && (err.response.headers || err.response.header)) || {};
+    let retryAfter = parseRetryAfter(headers["retry-after"], now);
+    if (retryAfter === undefined) {
+      return;
+    }
+
+    let key = endpointKey(batch);
+    let until = now + retryAfter;
+    if (this._throttledUntil[key] !== undefined && this._throttledUntil[key] >= until) {
+      return;
+    }
+    this._throttledUntil[key] = until;
+    this._throttledCallback({
+      apiHost: batch.apiHost,
+      dataset: batch.dataset,
+      // eslint-disable-next-line camelcase
+      status_code: err.status,
+      retryAfter,
+      until: new Date(until)
+    });
+  }
+
+  // wakes us up when the earliest throttled endpoint becomes sendable again.
+  _ensureThrottleTimeout() {
+    if (this._closed || this._throttleTimeoutId !== -1) {
+      return;
+    }
+    let now = Date.now();
+    let earliest = Infinity;
+    Object.keys(this._throttledUntil).forEach(key => {
+      earliest = Math.min(earliest, this._throttledUntil[key]);
+    });
+    if (earliest === Infinity) {
+      this._ensureSendTimeout();
+      return;
+    }
+    this._throttleTimeoutId = _global.setTimeout(() => {
+      this._throttleTimeoutId = -1;
+      this._sendBatch();
+    }, Math.max(earliest - now, 0));
+  }
+
+  _shouldSendEvent(ev) {
+    return shouldSample(
+      ev.postData,
+      ev.sampleRate,
+      this._deterministicSamplingField,
+      this._randomFn
+    );
   }
 
   _ensureSendTimeout() {
-    if (this._sendTimeoutId === -1) {
+    if (!this._closed && this._sendTimeoutId === -1) {
       this._sendTimeoutId = _global.setTimeout(
         () => this._sendBatch(),
         this._batchTimeTrigger
@@ -0,0 +1,20 @@
+// Copyright 2016 Hound Technology, Inc. All rights reserved.
+// Use of this source code is governed by the Apache License 2.0
+// license that can be found in the LICENSE file.
+
+/* global process */
+
+/**
+ * The entry point of the worker script the "worker" transmission runs, built as
+ * dist/libhoney.worker.js (node) and dist/libhoney.worker.browser.js (browsers).
+ * @module
+ * @private
+ */
+import { runTransmissionWorker } from "./worker_transmission";
+
+if (process.env.LIBHONEY_TARGET === "browser") {
+  runTransmissionWorker(self);
+} else {
+  // eslint-disable-next-line no-undef
+  runTransmissionWorker(require("worker_threads").parentPort);
+}
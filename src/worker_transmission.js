@@ -0,0 +1,401 @@
+// Copyright 2016 Hound Technology, Inc. All rights reserved.
+// Use of this source code is governed by the Apache License 2.0
+// license that can be found in the LICENSE file.
+
+/* global __dirname, process */
+
+/**
+ * A transmission that encodes and sends batches on a worker (a Web Worker in browsers, a
+ * worker_threads Worker in node), keeping that work off the main thread.
+ *
+ * The two sides talk over postMessage:
+ *  - main -> worker: `{ type: "init", options }`, `{ type: "send", events }`,
+ *    `{ type: "flush", id, timeoutMs }`, `{ type: "pagehide" }`
+ *  - worker -> main: `{ type: "responses", responses }`, `{ type: "throttled", throttle }`,
+ *    `{ type: "flushed", id, summary }`
+ *
+ * Event metadata never crosses over (it may not survive structured cloning): events are sent with
+ * an id in its place, and their responses are matched back up with the events (and their
+ * metadata) by that id when they come back.
+ * @module
+ * @private
+ */
+import { Transmission, ValidatedEvent, linkResponse } from "./transmission";
+import { resolveSampler } from "./sampler";
+
+// subscribes to messages from a node Worker/MessagePort, or a browser Worker/worker global.
+const onMessage = (target, fn) => {
+  if (typeof target.on === "function") {
+    target.on("message", fn);
+  } else {
+    target.addEventListener("message", e => fn(e.data));
+  }
+};
+
+// errors lose everything but their message (if that) when cloned, so send the parts we report on.
+const serializeError = err => {
+  if (!(err instanceof Error)) {
+    // e.g. the per-event error strings in batch API responses
+    return err;
+  }
+  return {
+    isError: true,
+    name: err.name,
+    message: err.message,
+    stack: err.stack,
+    status: err.status,
+    timeout: err.timeout,
+    code: err.code
+  };
+};
+
+const deserializeError = serialized => {
+  if (!serialized || !serialized.isError) {
+    return serialized;
+  }
+  let err = new Error(serialized.message);
+  ["name", "stack", "status", "timeout", "code"].forEach(key => {
+    if (serialized[key] !== undefined) {
+      err[key] = serialized[key];
+    }
+  });
+  return err;
+};
+
+// only options that survive structured cloning are sent to the worker.  callbacks stay on the
+// main thread, and everything else (spools, client objects) isn't supported there.
+const workerOptions = options => {
+  let cloneable = {};
+  Object.keys(options).forEach(key => {
+    let value = options[key];
+    if (["string", "number", "boolean"].indexOf(typeof value) !== -1) {
+      cloneable[key] = value;
+    }
+  });
+  return cloneable;
+};
+
+/**
+ * runs the worker side of the worker transmission, driving a base Transmission with the messages
+ * that arrive on `port` (`parentPort` in a worker_threads Worker, `self` in a Web Worker).
+ * @private
+ */
+export function runTransmissionWorker(port) {
+  let transmission;
+
+  onMessage(port, msg => {
+    switch (msg.type) {
+      case "init":
+        transmission = new Transmission(
+          Object.assign({}, msg.options, {
+            responseCallback: responses =>
+              port.postMessage({
+                type: "responses",
+                responses: responses.map(resp =>
+                  Object.assign({}, resp, { error: serializeError(resp.error) })
+                )
+              }),
+            throttledCallback: throttle =>
+              port.postMessage({ type: "throttled", throttle })
+          })
+        );
+        break;
+      case "send":
+        msg.events.forEach(({ presampled, event }) => {
+          let ev = new ValidatedEvent(event);
+          if (presampled) {
+            transmission.sendPresampledEvent(ev);
+          } else {
+            transmission.sendEvent(ev);
+          }
+        });
+        break;
+      case "flush":
+        transmission
+          .flush({ timeoutMs: msg.timeoutMs })
+          .then(summary =>
+            port.postMessage({ type: "flushed", id: msg.id, summary })
+          );
+        break;
+      case "pagehide":
+        transmission.flushOnPageHide();
+        break;
+    }
+  });
+}
+
+/**
+ * @private
+ */
+export class WorkerTransmission {
+  constructor(options) {
+    this._options = options;
+    // loggers can't be cloned, so the worker's own transmission logs to the worker's console.
+    this._logger = options.logger || console;
+    this._responseCallback = options.responseCallback || (() => {});
+    this._throttledCallback = options.throttledCallback || (() => {});
+    // event id -> event, for every event we're still waiting on a response for.
+    this._events = new Map();
+    this._nextEventId = 1;
+    // flush id -> resolve
+    this._flushes = new Map();
+    this._nextFlushId = 1;
+    // events waiting to be posted to the worker, which we do once per tick.
+    this._outbox = [];
+    this._stopped = false;
+    // the base transmission we fall back to if the worker dies.
+    this._fallback = null;
+    // samplers keep state across events (and may not survive cloning), so they run here.
+    this._sampler = resolveSampler(options.sampler, this._logger);
+
+    if (options.spool) {
+      this._logger.warn(
+        "the worker transmission doesn't support spooling.  events will not be spooled."
+      );
+    }
+
+    this._worker = this._startWorker(options);
+    onMessage(this._worker, msg => this._handleMessage(msg));
+    if (typeof this._worker.on === "function") {
+      this._worker.on("error", err => this._handleFailure(err));
+      this._worker.on("exit", code =>
+        this._handleFailure(new Error(`transmission worker exited with code ${code}`))
+      );
+    } else {
+      this._worker.addEventListener("error", e =>
+        this._handleFailure(new Error(e.message || "transmission worker failed"))
+      );
+    }
+
+    this._worker.postMessage({ type: "init", options: workerOptions(options) });
+    this._updateRef();
+  }
+
+  // starts the worker from `workerUrl`, defaulting (in node) to the worker script built alongside
+  // this one.  browsers need to be told where bundlers put it.
+  _startWorker(options) {
+    if (process.env.LIBHONEY_TARGET === "browser") {
+      if (!options.workerUrl) {
+        throw new Error("the worker transmission needs a workerUrl in browsers.");
+      }
+      return new Worker(options.workerUrl);
+    }
+
+    // only import the worker_threads/path modules after confirming they are needed (e.g. not in a browser)
+    // eslint-disable-next-line no-undef
+    const { Worker: ThreadWorker } = require("worker_threads");
+    let workerUrl = options.workerUrl;
+    if (!workerUrl) {
+      if (typeof __dirname === "undefined") {
+        throw new Error("unable to locate the transmission worker, set workerUrl.");
+      }
+      // eslint-disable-next-line no-undef
+      workerUrl = require("path").join(__dirname, "libhoney.worker.js");
+    }
+    return new ThreadWorker(workerUrl);
+  }
+
+  _stopWorker() {
+    this._stopped = true;
+    this._worker.terminate();
+  }
+
+  // node workers keep the process alive, which we only want while we owe the app responses.
+  _updateRef() {
+    if (this._stopped || typeof this._worker.ref !== "function") {
+      return;
+    }
+    if (this._events.size > 0 || this._flushes.size > 0) {
+      this._worker.ref();
+    } else {
+      this._worker.unref();
+    }
+  }
+
+  _handleMessage(msg) {
+    // messages can still arrive after we've stopped the worker (or failed or closed it, which
+    // already settled everything it had), and those are for nothing we're waiting on.
+    if (this._stopped) {
+      return;
+    }
+    switch (msg.type) {
+      case "responses": {
+        let responses = msg.responses
+          .filter(resp => this._events.has(resp.metadata))
+          .map(resp => {
+            let ev = this._events.get(resp.metadata);
+            this._events.delete(resp.metadata);
+            return linkResponse(
+              Object.assign({}, resp, {
+                metadata: ev.metadata,
+                error: deserializeError(resp.error)
+              }),
+              ev
+            );
+          });
+        if (responses.length > 0) {
+          this._responseCallback(responses);
+        }
+        break;
+      }
+      case "throttled":
+        this._throttledCallback(msg.throttle);
+        break;
+      case "flushed": {
+        let resolve = this._flushes.get(msg.id);
+        if (resolve) {
+          this._flushes.delete(msg.id);
+          resolve(msg.summary);
+        }
+        break;
+      }
+    }
+    this._updateRef();
+  }
+
+  // if the worker dies, we fail everything it was working on and send through a base transmission
+  // from then on.
+  _handleFailure(err) {
+    if (this._stopped || this._fallback) {
+      return;
+    }
+    this._logger.warn(
+      `transmission worker failed, falling back to base implementation: ${err}`
+    );
+    this._fallback = new Transmission(this._options);
+
+    this._failOutstanding(err);
+    this._flushes.forEach(resolve => resolve());
+    this._flushes.clear();
+    this._stopWorker();
+  }
+
+  // fails every event we're still waiting on, e.g. when closing.
+  _failOutstanding(err) {
+    let outstanding = Array.from(this._events.values());
+    this._events.clear();
+    if (outstanding.length > 0) {
+      this._responseCallback(
+        outstanding.map(ev => linkResponse({ metadata: ev.metadata, error: err }, ev))
+      );
+    }
+  }
+
+  _post(ev, presampled) {
+    if (this._fallback) {
+      if (presampled) {
+        this._fallback.sendPresampledEvent(ev);
+      } else {
+        this._fallback.sendEvent(ev);
+      }
+      return;
+    }
+
+    let id = this._nextEventId++;
+    this._events.set(id, ev);
+    this._outbox.push({
+      presampled,
+      event: {
+        timestamp: ev.timestamp,
+        apiHost: ev.apiHost,
+        postData: ev.postData,
+        writeKey: ev.writeKey,
+        dataset: ev.dataset,
+        sampleRate: ev.sampleRate,
+        metadata: id
+      }
+    });
+    if (this._outbox.length === 1) {
+      Promise.resolve().then(() => this._postOutbox());
+    }
+    this._updateRef();
+  }
+
+  _postOutbox() {
+    let entries = this._outbox;
+    this._outbox = [];
+    if (entries.length === 0 || this._fallback) {
+      return;
+    }
+    try {
+      this._worker.postMessage({ type: "send", events: entries });
+    } catch (e) {
+      // something in the batch can't be cloned.  find out what, and fail just those events.
+      entries.forEach(entry => {
+        try {
+          this._worker.postMessage({ type: "send", events: [entry] });
+        } catch (cloneError) {
+          let ev = this._events.get(entry.event.metadata);
+          this._events.delete(entry.event.metadata);
+          this._responseCallback([
+            linkResponse({ metadata: ev.metadata, error: cloneError }, ev)
+          ]);
+        }
+      });
+      this._updateRef();
+    }
+  }
+
+  sendEvent(ev) {
+    if (this._sampler && !this._fallback && ev.sampleRule === undefined) {
+      ev.sampleRate = this._sampler.getSampleRate(ev.postData);
+    }
+    this._post(ev, false);
+  }
+
+  sendPresampledEvent(ev) {
+    this._post(ev, true);
+  }
+
+  flushOnPageHide() {
+    if (this._fallback) {
+      this._fallback.flushOnPageHide();
+      return;
+    }
+    this._postOutbox();
+    this._worker.postMessage({ type: "pagehide" });
+  }
+
+  /**
+   * resolves with the worker's flush summary once it has sent everything it was given (or
+   * `timeoutMs` has passed).  the worker keeps running for whatever is sent next, so libhoney
+   * flushes this transmission in place rather than starting a new one (and worker) every time.
+   */
+  flush({ timeoutMs } = {}) {
+    if (this._fallback) {
+      return this._fallback.flush({ timeoutMs });
+    }
+
+    this._postOutbox();
+    return new Promise(resolve => {
+      let id = this._nextFlushId++;
+      this._flushes.set(id, resolve);
+      this._worker.postMessage({ type: "flush", id, timeoutMs });
+      this._updateRef();
+    }).then(summary => {
+      if (this._fallback) {
+        return this._fallback.flush({ timeoutMs });
+      }
+      return summary;
+    });
+  }
+
+  /**
+   * stops the worker, failing the events it hadn't sent yet.
+   */
+  close() {
+    if (this._fallback) {
+      this._fallback.close();
+      return;
+    }
+    this._outbox = [];
+    this._failOutstanding(
+      new Error("transmission closed before the event was sent")
+    );
+    this._flushes.forEach(resolve => resolve({ sent: 0, failed: 0, pending: 0 }));
+    this._flushes.clear();
+    if (!this._stopped) {
+      this._stopWorker();
+    }
+  }
+}